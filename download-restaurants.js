@@ -1,5 +1,6 @@
-const axios = require('axios');
-const RestaurantService = require('./src/services/RestaurantService');
+import axios from 'axios';
+import fs from 'fs';
+import RestaurantService from './src/services/RestaurantService.js';
 
 const NOMINATIM_DELAY = 1000; // 1 second between Nominatim requests
 
@@ -38,7 +39,6 @@ async function getCityBounds(cityName) {
 }
 
 async function main() {
-    const fs = require('fs');
     const cities = fs.readFileSync('cities.md', 'utf8')
         .split('\n')
         .map(city => city.trim())
@@ -21,8 +21,7 @@ const scripts = [
     'reset-cache.js',
     'reset-comments-tags.js',
     'init-db.js',
-    'download-restaurants.js',
-    'migrate-amenities.js'
+    'download-restaurants.js'
 ];
 
 for (const script of scripts) {
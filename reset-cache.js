@@ -1,5 +1,8 @@
-const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('restaurant.db');
+import sqlite3 from 'sqlite3';
+import { runMigrations } from './src/db/migrations.js';
+
+const db = new (sqlite3.verbose().Database)('restaurant.db');
+await runMigrations(db);
 
 console.log('Starting cache reset...');
 
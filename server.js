@@ -2,59 +2,491 @@ import express from 'express';
 import sqlite3 from 'sqlite3';
 const { Database } = sqlite3.verbose();
 import path from 'path';
+import { readFile } from 'fs/promises';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import RestaurantService from './src/services/RestaurantService.js';
+import { calculateAverageRatings } from './src/utils/formatters.js';
+import { runMigrations } from './src/db/migrations.js';
+import RateLimiter from './src/utils/RateLimiter.js';
+import { apiError } from './src/utils/apiErrors.js';
+import { validateRequest } from './src/utils/validation.js';
+import { requestSchemas } from './src/config/apiSchemas.js';
+import { buildOpenApiDocument, checkRouteDocs } from './src/config/openapi.js';
+import { renderRestaurantPage } from './src/utils/restaurantPage.js';
+import { parseOsmAttributes } from './src/utils/osmAttributes.js';
+import { LEGACY_OSM_ID_PATTERN, normalizeOsmId } from './src/utils/osmIds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const port = 3000;
+// Admin routes are disabled unless the server is started with ADMIN_TOKEN set
+const adminToken = process.env.ADMIN_TOKEN || null;
 const db = new Database('restaurant.db');
+
+// Bring the schema up to date before anything else touches the database
+await runMigrations(db);
+
 const restaurantService = new RestaurantService();
 
 app.use(express.json());
 app.use(express.static('.'));
+app.use(identifyClient);
 
-// Initialize database tables
-db.serialize(() => {
-    // Comments table
-    db.run(`
-        CREATE TABLE IF NOT EXISTS comments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            restaurant_id TEXT NOT NULL,
-            text TEXT NOT NULL,
-            food_rating INTEGER CHECK (food_rating IS NULL OR food_rating BETWEEN 1 AND 5),
-            price_rating INTEGER CHECK (price_rating IS NULL OR price_rating BETWEEN 1 AND 5),
-            ambience_rating INTEGER CHECK (ambience_rating IS NULL OR ambience_rating BETWEEN 1 AND 5),
-            date DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (restaurant_id) REFERENCES restaurants(osm_id)
-        )
-    `);
-
-    // Tags table
-    db.run(`
-        CREATE TABLE IF NOT EXISTS tags (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            restaurant_id TEXT NOT NULL,
-            name TEXT NOT NULL,
-            FOREIGN KEY (restaurant_id) REFERENCES restaurants(osm_id)
-        )
-    `);
-});
+// Public comment columns, everything except the edit token hash
+const COMMENT_COLUMNS = 'c.id, c.restaurant_id, c.text, c.food_rating, c.price_rating, c.ambience_rating, c.date';
 
-// Get restaurants in viewport
-app.get('/restaurants', async (req, res) => {
-    try {
-        const south = parseFloat(req.query.south);
-        const west = parseFloat(req.query.west);
-        const north = parseFloat(req.query.north);
-        const east = parseFloat(req.query.east);
+// Max number of ids bound into a single IN (...) clause
+const AGGREGATE_CHUNK_SIZE = 500;
+// Content types that can be reported and moderated, mapped to their tables
+const MODERATED_TABLES = { comment: 'comments', tag: 'tags' };
+// Cookie holding the anonymous client fingerprint used for rate limiting
+const CLIENT_COOKIE = 'mv_client';
+// More reviews than this on one restaurant within the burst window are rejected
+const REVIEW_BURST_LIMIT = 5;
+const REVIEW_BURST_WINDOW = '-10 minutes';
+// Identical review text is rejected within this window
+const DUPLICATE_TEXT_WINDOW = '-1 day';
+// Number of reviews shown on the server-rendered restaurant pages
+const RESTAURANT_PAGE_REVIEWS = 5;
+
+// Write limits per client (IP + fingerprint) and, looser, per IP for clients that drop the cookie
+const writeLimiters = [
+    { key: req => req.clientHash, limiter: new RateLimiter({ windowMs: 10 * 60 * 1000, max: 10 }) },
+    { key: req => req.ip, limiter: new RateLimiter({ windowMs: 10 * 60 * 1000, max: 30 }) }
+];
+const reportLimiters = [
+    { key: req => req.clientHash, limiter: new RateLimiter({ windowMs: 60 * 60 * 1000, max: 20 }) },
+    { key: req => req.ip, limiter: new RateLimiter({ windowMs: 60 * 60 * 1000, max: 60 }) }
+];
+
+/**
+ * Run a query with a callback-style db.all and return a promise of the rows
+ *
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} - Promise resolving to the result rows
+ */
+function allAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
 
-        if (isNaN(south) || isNaN(west) || isNaN(north) || isNaN(east)) {
-            return res.status(400).json({ error: 'Invalid coordinates' });
+/**
+ * Run a query with a callback-style db.get and return a promise of the row
+ *
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object|undefined>} - Promise resolving to the first row
+ */
+function getAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+}
+
+/**
+ * Run a statement with a callback-style db.run and return a promise of its result
+ *
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} - Promise resolving to { lastID, changes }
+ */
+function runAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+// Transactions share the single db connection, so they are queued one after another
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run async work inside a SQLite transaction, committing on success and rolling back on error
+ *
+ * @param {Function} work - Async function issuing the statements of the transaction
+ * @returns {Promise<*>} - Promise resolving to the value returned by work
+ */
+function withTransaction(work) {
+    const result = transactionQueue.then(async () => {
+        await runAsync('BEGIN IMMEDIATE TRANSACTION');
+        try {
+            const value = await work();
+            await runAsync('COMMIT');
+            return value;
+        } catch (error) {
+            await runAsync('ROLLBACK').catch(rollbackError => {
+                console.error('Error rolling back transaction:', rollbackError);
+            });
+            throw error;
         }
+    });
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Save tags for a comment: reuse the restaurant's existing tag rows, insert the
+ * missing ones and link every tag to the comment through comment_tags.
+ * Must be called inside withTransaction.
+ *
+ * @param {string} restaurantId - Restaurant OSM ID
+ * @param {number} commentId - Comment ID
+ * @param {Array} tags - Tag names
+ * @returns {Promise<Array>} - Promise resolving to the saved tag names
+ */
+async function saveCommentTags(restaurantId, commentId, tags) {
+    const existingTags = await allAsync('SELECT id, name FROM tags WHERE restaurant_id = ?', [restaurantId]);
+    const tagIds = new Map(existingTags.map(tag => [tag.name.toLowerCase(), tag.id]));
+    const savedTags = [];
+
+    for (const tag of tags) {
+        const name = tag.trim().toLowerCase();
+        if (!name || savedTags.includes(name)) continue;
+
+        let tagId = tagIds.get(name);
+        if (tagId === undefined) {
+            const { lastID } = await runAsync(
+                'INSERT INTO tags (restaurant_id, name, comment_id) VALUES (?, ?, ?)',
+                [restaurantId, name, commentId]
+            );
+            tagId = lastID;
+            tagIds.set(name, tagId);
+        }
+
+        await runAsync('INSERT OR IGNORE INTO comment_tags (comment_id, tag_id) VALUES (?, ?)', [commentId, tagId]);
+        savedTags.push(name);
+    }
+
+    return savedTags;
+}
+
+/**
+ * Check that a review has something in it. Field formats are checked by the
+ * route schemas, this is the rule they can't express.
+ *
+ * @param {Object} review - Review with text, foodRating, priceRating, ambienceRating and tags
+ * @returns {boolean} - Whether the review has text, a rating or a tag
+ */
+function hasReviewContent(review) {
+    const { text, foodRating, priceRating, ambienceRating, tags } = review;
+    return Boolean((text && text.trim()) ||
+        foodRating != null || priceRating != null || ambienceRating != null ||
+        (tags && tags.length > 0));
+}
+
+/**
+ * Remove a comment's comment_tags links and the tag rows it created that no
+ * other comment uses anymore. Must be called inside withTransaction.
+ *
+ * @param {number} commentId - Comment ID
+ */
+async function unlinkCommentTags(commentId) {
+    await runAsync('DELETE FROM comment_tags WHERE comment_id = ?', [commentId]);
+    await runAsync(
+        'DELETE FROM tags WHERE comment_id = ? AND id NOT IN (SELECT tag_id FROM comment_tags)',
+        [commentId]
+    );
+    // Tags still used by other comments are handed over to one of them
+    await runAsync(
+        `UPDATE tags SET comment_id = (SELECT MIN(comment_id) FROM comment_tags WHERE tag_id = tags.id)
+         WHERE comment_id = ?`,
+        [commentId]
+    );
+}
+
+/**
+ * Load a saved review with its tags
+ *
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<Object|undefined>} - Promise resolving to the review
+ */
+async function getReview(commentId) {
+    const comment = await getAsync(`SELECT ${COMMENT_COLUMNS} FROM comments c WHERE c.id = ?`, [commentId]);
+    if (!comment) return undefined;
+
+    const tags = await allAsync(
+        `SELECT t.name FROM comment_tags ct JOIN tags t ON ct.tag_id = t.id WHERE ct.comment_id = ? ORDER BY t.id`,
+        [commentId]
+    );
+    return { ...comment, tags: tags.map(tag => tag.name) };
+}
 
+/**
+ * Generate a secret edit token for a new review
+ *
+ * @returns {string} - Random URL-safe token
+ */
+function generateEditToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Hash an edit token for storage
+ *
+ * @param {string} token - Edit token
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashEditToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Look up the comment addressed by :id and check the edit token sent with the
+ * request (X-Edit-Token header or editToken body field). Sends the error
+ * response itself when the check fails.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Promise resolving to the comment row, or null if a response was sent
+ */
+async function authorizeCommentEdit(req, res) {
+    const commentId = req.params.id;
+    const token = req.get('X-Edit-Token') || req.body?.editToken;
+
+    if (!token) {
+        res.status(401).json(apiError('edit_token_required', 'Edit token required'));
+        return null;
+    }
+
+    const comment = await getAsync(
+        'SELECT id, restaurant_id, text, food_rating, price_rating, ambience_rating, edit_token_hash FROM comments WHERE id = ?',
+        [commentId]
+    );
+    if (!comment) {
+        res.status(404).json(apiError('not_found', 'Comment not found'));
+        return null;
+    }
+
+    const expected = Buffer.from(comment.edit_token_hash || '', 'hex');
+    const actual = Buffer.from(hashEditToken(token), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        res.status(403).json(apiError('invalid_edit_token', 'Invalid edit token'));
+        return null;
+    }
+
+    return comment;
+}
+
+/**
+ * Identify the client by IP plus a random fingerprint cookie, setting the cookie
+ * on first visit. The hash of both ends up in req.clientHash.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function identifyClient(req, res, next) {
+    const cookies = Object.fromEntries(
+        (req.get('Cookie') || '').split(';')
+            .map(cookie => cookie.trim().split('='))
+            .filter(([name, value]) => name && value)
+    );
+
+    let clientId = cookies[CLIENT_COOKIE];
+    if (!clientId || !/^[A-Za-z0-9_-]{16,64}$/.test(clientId)) {
+        clientId = crypto.randomBytes(16).toString('base64url');
+        res.cookie(CLIENT_COOKIE, clientId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: 365 * 24 * 60 * 60 * 1000
+        });
+    }
+
+    req.clientHash = crypto.createHash('sha256').update(`${req.ip}|${clientId}`).digest('hex');
+    next();
+}
+
+/**
+ * Create a middleware that rejects requests over any of the given limits with a 429
+ *
+ * @param {Array} limiters - Array of { key, limiter } where key maps a request to its rate limit key
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(limiters) {
+    return (req, res, next) => {
+        for (const { key, limiter } of limiters) {
+            const { allowed, retryAfter } = limiter.hit(key(req));
+            if (!allowed) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json(apiError(
+                    'rate_limited',
+                    `Too many requests, please try again in ${retryAfter} seconds`,
+                    { retryAfter }
+                ));
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * Check a new review for duplicate text and for a burst of reviews on the restaurant.
+ * Must be called inside the withTransaction that saves the review, so concurrent
+ * requests can't all pass the check before any of them is saved.
+ *
+ * @param {string} clientHash - Client fingerprint hash
+ * @param {string} restaurantId - Restaurant OSM ID
+ * @param {string|null} text - Review text
+ * @returns {Promise<Object|null>} - Promise resolving to { status, body } to reject with, or null if the review is fine
+ */
+async function checkReviewAbuse(clientHash, restaurantId, text) {
+    const normalizedText = (text || '').trim().toLowerCase();
+
+    if (normalizedText) {
+        // Same text posted by this client anywhere, or by anyone on this restaurant
+        const duplicate = await getAsync(
+            `SELECT id FROM comments
+             WHERE lower(trim(text)) = ?
+               AND (client_hash = ? OR restaurant_id = ?)
+               AND date > datetime('now', ?)
+             LIMIT 1`,
+            [normalizedText, clientHash, restaurantId, DUPLICATE_TEXT_WINDOW]
+        );
+        if (duplicate) {
+            return {
+                status: 409,
+                body: apiError('duplicate_review', 'This review has already been posted', { field: 'text' })
+            };
+        }
+    }
+
+    const { count } = await getAsync(
+        `SELECT COUNT(*) AS count FROM comments WHERE restaurant_id = ? AND date > datetime('now', ?)`,
+        [restaurantId, REVIEW_BURST_WINDOW]
+    );
+    if (count >= REVIEW_BURST_LIMIT) {
+        return {
+            status: 429,
+            body: apiError(
+                'restaurant_burst',
+                'This restaurant is receiving a lot of reviews right now, please try again later',
+                { retryAfter: 600 }
+            )
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Require the admin token (Authorization: Bearer <token>) on a route
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+    if (!adminToken) {
+        return res.status(503).json(apiError('moderation_disabled', 'Moderation is disabled, set ADMIN_TOKEN to enable it'));
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expected = crypto.createHash('sha256').update(adminToken).digest();
+    const actual = crypto.createHash('sha256').update(token || '').digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json(apiError('invalid_admin_token', 'Invalid admin token'));
+    }
+    next();
+}
+
+/**
+ * Close the open reports on a piece of content. Must be called inside withTransaction.
+ *
+ * @param {string} contentType - 'comment' or 'tag'
+ * @param {number} contentId - Comment or tag ID
+ * @param {string} resolution - 'hidden', 'restored' or 'deleted'
+ */
+async function resolveReports(contentType, contentId, resolution) {
+    await runAsync(
+        `UPDATE moderation_reports SET resolution = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE content_type = ? AND content_id = ? AND resolution IS NULL`,
+        [resolution, contentType, contentId]
+    );
+}
+
+/**
+ * Attach review aggregates to restaurant rows: average food, price and ambience
+ * ratings, review count, the tag list and whether the restaurant has reviews
+ *
+ * @param {Array} restaurants - Restaurant rows from RestaurantService
+ * @returns {Promise<Array>} - Promise resolving to the rows with aggregates attached
+ */
+async function attachReviewAggregates(restaurants) {
+    const aggregates = new Map();
+    const tagsByRestaurant = new Map();
+    const ids = restaurants.map(restaurant => restaurant.osm_id);
+
+    for (let i = 0; i < ids.length; i += AGGREGATE_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + AGGREGATE_CHUNK_SIZE);
+        const placeholders = chunk.map(() => '?').join(',');
+
+        const [ratingRows, tagRows] = await Promise.all([
+            allAsync(
+                `SELECT restaurant_id,
+                        AVG(food_rating) AS avg_food,
+                        AVG(price_rating) AS avg_price,
+                        AVG(ambience_rating) AS avg_ambience,
+                        COUNT(*) AS review_count,
+                        COUNT(food_rating) AS food_rating_count,
+                        SUM(CASE WHEN food_rating IS NOT NULL
+                                   OR price_rating IS NOT NULL
+                                   OR ambience_rating IS NOT NULL
+                                   OR (text IS NOT NULL AND text != '')
+                            THEN 1 ELSE 0 END) AS rated_count
+                 FROM comments
+                 WHERE restaurant_id IN (${placeholders}) AND hidden = 0
+                 GROUP BY restaurant_id`,
+                chunk
+            ),
+            allAsync(
+                `SELECT restaurant_id, name FROM tags WHERE restaurant_id IN (${placeholders}) AND hidden = 0 ORDER BY id`,
+                chunk
+            )
+        ]);
+
+        ratingRows.forEach(row => aggregates.set(row.restaurant_id, row));
+        tagRows.forEach(row => {
+            if (!tagsByRestaurant.has(row.restaurant_id)) {
+                tagsByRestaurant.set(row.restaurant_id, []);
+            }
+            tagsByRestaurant.get(row.restaurant_id).push(row.name);
+        });
+    }
+
+    return restaurants.map(restaurant => {
+        const row = aggregates.get(restaurant.osm_id);
+        const tags = tagsByRestaurant.get(restaurant.osm_id) || [];
+        return {
+            ...restaurant,
+            avg_food: row ? row.avg_food : null,
+            avg_price: row ? row.avg_price : null,
+            avg_ambience: row ? row.avg_ambience : null,
+            review_count: row ? row.review_count : 0,
+            food_rating_count: row ? row.food_rating_count : 0,
+            tags,
+            has_reviews: (row ? row.rated_count > 0 : false) || tags.length > 0
+        };
+    });
+}
+
+// Get restaurants in viewport
+// Pass aggregates=true to inline review aggregates with each restaurant
+app.get('/restaurants', validateRequest(requestSchemas['GET /restaurants']), async (req, res) => {
+    try {
+        const { south, west, north, east } = req.query;
         const bounds = { 
             south: Math.min(south, north),
             north: Math.max(south, north),
@@ -63,29 +495,130 @@ app.get('/restaurants', async (req, res) => {
         };
 
         const restaurants = await restaurantService.getRestaurantsInViewport(bounds);
+        if (req.query.aggregates) {
+            return res.json(await attachReviewAggregates(restaurants));
+        }
         res.json(restaurants);
     } catch (error) {
         console.error('Error fetching restaurants:', error);
-        res.status(500).json({ error: 'Failed to fetch restaurants' });
+        res.status(500).json(apiError('internal_error', 'Failed to fetch restaurants'));
+    }
+});
+
+// Get one restaurant with its review aggregates, used to open links to a restaurant
+app.get('/restaurants/:osmId', validateRequest(requestSchemas['GET /restaurants/:osmId']), async (req, res) => {
+    try {
+        const restaurant = await restaurantService.getRestaurant(normalizeOsmId(req.params.osmId));
+        if (!restaurant) {
+            return res.status(404).json(apiError('not_found', 'Restaurant not found'));
+        }
+        const [withAggregates] = await attachReviewAggregates([restaurant]);
+        res.json(withAggregates);
+    } catch (error) {
+        console.error('Error fetching restaurant:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to fetch restaurant'));
+    }
+});
+
+// Full-text search over restaurant names, addresses and tags
+// Bounds (south, west, north, east) restrict the results, lat/lng or the bounds center rank nearer matches first
+app.get('/search', validateRequest(requestSchemas['GET /search']), async (req, res) => {
+    const { q, south, west, north, east, lat, lng, limit } = req.query;
+
+    const missingBound = ['south', 'west', 'north', 'east'].find(field => req.query[field] === undefined);
+    const hasBounds = !missingBound;
+    if (missingBound && [south, west, north, east].some(value => value !== undefined)) {
+        return res.status(400).json(apiError('required', 'south, west, north and east must be given together',
+            { field: missingBound }));
+    }
+    if ((lat === undefined) !== (lng === undefined)) {
+        return res.status(400).json(apiError('required', 'lat and lng must be given together',
+            { field: lat === undefined ? 'lat' : 'lng' }));
+    }
+
+    const bounds = hasBounds ? {
+        south: Math.min(south, north),
+        north: Math.max(south, north),
+        west: Math.min(west, east),
+        east: Math.max(west, east)
+    } : null;
+    let origin = null;
+    if (lat !== undefined) {
+        origin = { lat, lng };
+    } else if (bounds) {
+        origin = { lat: (bounds.south + bounds.north) / 2, lng: (bounds.west + bounds.east) / 2 };
+    }
+
+    try {
+        res.json(await restaurantService.searchRestaurants(q, { bounds, origin, limit }));
+    } catch (error) {
+        console.error('Error searching restaurants:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to search restaurants'));
+    }
+});
+
+// Get details (restaurant row, comments, tags, average ratings) for a batch of restaurants
+app.post('/restaurants/bulk', validateRequest(requestSchemas['POST /restaurants/bulk']), async (req, res) => {
+    const { ids } = req.body;
+
+    try {
+        const osmIds = [...new Set(ids.map(normalizeOsmId))];
+        const placeholders = osmIds.map(() => '?').join(',');
+
+        const [restaurants, comments, tags] = await Promise.all([
+            allAsync(`SELECT * FROM restaurants WHERE osm_id IN (${placeholders})`, osmIds),
+            allAsync(
+                `SELECT ${COMMENT_COLUMNS}, GROUP_CONCAT(t.name) as tags 
+                 FROM comments c 
+                 LEFT JOIN comment_tags ct ON c.id = ct.comment_id 
+                 LEFT JOIN tags t ON ct.tag_id = t.id AND t.hidden = 0 
+                 WHERE c.restaurant_id IN (${placeholders}) AND c.hidden = 0 
+                 GROUP BY c.id 
+                 ORDER BY c.date DESC`,
+                osmIds
+            ),
+            allAsync(
+                `SELECT restaurant_id, name FROM tags WHERE restaurant_id IN (${placeholders}) AND hidden = 0 ORDER BY id`,
+                osmIds
+            )
+        ]);
+
+        const details = {};
+        restaurants.forEach(restaurant => {
+            details[restaurant.osm_id] = { restaurant: parseOsmAttributes(restaurant), comments: [], tags: [], avgRatings: null };
+        });
+        comments.forEach(comment => details[comment.restaurant_id]?.comments.push(comment));
+        tags.forEach(tag => details[tag.restaurant_id]?.tags.push(tag.name));
+        Object.values(details).forEach(detail => {
+            detail.avgRatings = calculateAverageRatings(detail.comments);
+        });
+
+        res.json({
+            restaurants: details,
+            missing: osmIds.filter(id => !details[id])
+        });
+    } catch (error) {
+        console.error('Error fetching restaurant details:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to fetch restaurant details'));
     }
 });
 
 // Get comments for a restaurant
-app.get('/comments/:restaurantId', (req, res) => {
+app.get('/comments/:restaurantId', validateRequest(requestSchemas['GET /comments/:restaurantId']), (req, res) => {
     const { restaurantId } = req.params;
     db.all(
-        `SELECT c.*, GROUP_CONCAT(t.name) as tags 
+        `SELECT ${COMMENT_COLUMNS}, GROUP_CONCAT(t.name) as tags 
          FROM comments c 
          LEFT JOIN comment_tags ct ON c.id = ct.comment_id 
-         LEFT JOIN tags t ON ct.tag_id = t.id 
-         WHERE c.restaurant_id = ? 
+         LEFT JOIN tags t ON ct.tag_id = t.id AND t.hidden = 0 
+         WHERE c.restaurant_id = ? AND c.hidden = 0 
          GROUP BY c.id 
          ORDER BY c.date DESC`,
         [restaurantId],
         (err, comments) => {
             if (err) {
                 console.error('Error fetching comments:', err);
-                return res.status(500).json({ error: 'Failed to fetch comments' });
+                return res.status(500).json(apiError('internal_error', 'Failed to fetch comments'));
             }
             res.json(comments);
         }
@@ -93,33 +626,48 @@ app.get('/comments/:restaurantId', (req, res) => {
 });
 
 // Add a new comment
-app.post('/comments', (req, res) => {
+app.post('/comments', rateLimit(writeLimiters), validateRequest(requestSchemas['POST /comments']), async (req, res) => {
+    if (!hasReviewContent(req.body)) {
+        return res.status(400).json(apiError('empty_review', 'Provide at least one rating or review text'));
+    }
+
     const { restaurantId, text, foodRating, priceRating, ambienceRating } = req.body;
-    
-    db.run(
-        `INSERT INTO comments (restaurant_id, text, food_rating, price_rating, ambience_rating)
-         VALUES (?, ?, ?, ?, ?)`,
-        [restaurantId, text, foodRating || null, priceRating || null, ambienceRating || null],
-        function(err) {
-            if (err) {
-                console.error('Error saving comment:', err);
-                return res.status(500).json({ error: 'Failed to save comment' });
-            }
-            res.json({ id: this.lastID });
+    const editToken = generateEditToken();
+
+    try {
+        const { rejection, id } = await withTransaction(async () => {
+            const rejection = await checkReviewAbuse(req.clientHash, restaurantId, text);
+            if (rejection) return { rejection };
+
+            const { lastID } = await runAsync(
+                `INSERT INTO comments (restaurant_id, text, food_rating, price_rating, ambience_rating, edit_token_hash, client_hash)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [restaurantId, text ? text.trim() : '', foodRating ?? null, priceRating ?? null, ambienceRating ?? null,
+                    hashEditToken(editToken), req.clientHash]
+            );
+            return { id: lastID };
+        });
+
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
         }
-    );
+        res.json({ id, editToken });
+    } catch (error) {
+        console.error('Error saving comment:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to save comment'));
+    }
 });
 
 // Get tags for a restaurant
-app.get('/tags/:restaurantId', (req, res) => {
+app.get('/tags/:restaurantId', validateRequest(requestSchemas['GET /tags/:restaurantId']), (req, res) => {
     const { restaurantId } = req.params;
     db.all(
-        `SELECT name FROM tags WHERE restaurant_id = ?`,
+        `SELECT name FROM tags WHERE restaurant_id = ? AND hidden = 0`,
         [restaurantId],
         (err, tags) => {
             if (err) {
                 console.error('Error fetching tags:', err);
-                return res.status(500).json({ error: 'Failed to fetch tags' });
+                return res.status(500).json(apiError('internal_error', 'Failed to fetch tags'));
             }
             res.json(tags.map(tag => tag.name));
         }
@@ -127,55 +675,299 @@ app.get('/tags/:restaurantId', (req, res) => {
 });
 
 // Add tags to a restaurant
-app.post('/tags', (req, res) => {
+app.post('/tags', rateLimit(writeLimiters), validateRequest(requestSchemas['POST /tags']), async (req, res) => {
     const { restaurantId, tags, commentId } = req.body;
-    
-    // First check for existing tags
-    db.all(
-        'SELECT name FROM tags WHERE restaurant_id = ?',
-        [restaurantId],
-        (err, existingTags) => {
-            if (err) {
-                console.error('Error checking existing tags:', err);
-                return res.status(500).json({ error: 'Failed to check existing tags' });
+    // Older clients send the whole POST /comments response as commentId
+    const id = typeof commentId === 'object' ? commentId.id : commentId;
+
+    try {
+        const comment = await getAsync('SELECT restaurant_id FROM comments WHERE id = ?', [id]);
+        if (!comment || comment.restaurant_id !== restaurantId) {
+            return res.status(404).json(apiError('not_found', 'Comment not found', { field: 'commentId' }));
+        }
+
+        await withTransaction(() => saveCommentTags(restaurantId, id, tags));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to save tags'));
+    }
+});
+
+// Save a review (comment, tags and their comment_tags links) in one transaction
+app.post('/reviews', rateLimit(writeLimiters), validateRequest(requestSchemas['POST /reviews']), async (req, res) => {
+    if (!hasReviewContent(req.body)) {
+        return res.status(400).json(apiError('empty_review', 'Provide at least one rating, review text, or tag'));
+    }
+
+    const { restaurantId, text, foodRating, priceRating, ambienceRating, tags = [] } = req.body;
+    const editToken = generateEditToken();
+
+    try {
+        const { rejection, review } = await withTransaction(async () => {
+            const rejection = await checkReviewAbuse(req.clientHash, restaurantId, text);
+            if (rejection) return { rejection };
+
+            const { lastID } = await runAsync(
+                `INSERT INTO comments
+                 (restaurant_id, text, food_rating, price_rating, ambience_rating, edit_token_hash, client_hash)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [restaurantId, text ? text.trim() : '', foodRating ?? null, priceRating ?? null, ambienceRating ?? null,
+                    hashEditToken(editToken), req.clientHash]
+            );
+            await saveCommentTags(restaurantId, lastID, tags);
+            return { review: await getReview(lastID) };
+        });
+
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+        res.status(201).json({ ...review, editToken });
+    } catch (error) {
+        console.error('Error saving review:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to save review'));
+    }
+});
+
+// Edit a review with the edit token returned when it was saved
+app.patch('/comments/:id', rateLimit(writeLimiters), validateRequest(requestSchemas['PATCH /comments/:id']), async (req, res) => {
+    try {
+        const comment = await authorizeCommentEdit(req, res);
+        if (!comment) return;
+
+        const body = req.body;
+        const pick = (field, current) => (field in body ? body[field] : current);
+        const current = await getReview(comment.id);
+        const review = {
+            restaurantId: comment.restaurant_id,
+            text: pick('text', comment.text),
+            foodRating: pick('foodRating', comment.food_rating),
+            priceRating: pick('priceRating', comment.price_rating),
+            ambienceRating: pick('ambienceRating', comment.ambience_rating),
+            tags: pick('tags', current.tags)
+        };
+
+        if (!hasReviewContent(review)) {
+            return res.status(400).json(apiError('empty_review', 'Provide at least one rating, review text, or tag'));
+        }
+
+        const updated = await withTransaction(async () => {
+            await runAsync(
+                `UPDATE comments SET text = ?, food_rating = ?, price_rating = ?, ambience_rating = ? WHERE id = ?`,
+                [review.text ? review.text.trim() : '', review.foodRating ?? null, review.priceRating ?? null,
+                    review.ambienceRating ?? null, comment.id]
+            );
+            await unlinkCommentTags(comment.id);
+            await saveCommentTags(comment.restaurant_id, comment.id, review.tags || []);
+            return getReview(comment.id);
+        });
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to update comment'));
+    }
+});
+
+// Delete a review with the edit token returned when it was saved
+app.delete('/comments/:id', rateLimit(writeLimiters), validateRequest(requestSchemas['DELETE /comments/:id']), async (req, res) => {
+    try {
+        const comment = await authorizeCommentEdit(req, res);
+        if (!comment) return;
+
+        await withTransaction(async () => {
+            await unlinkCommentTags(comment.id);
+            await runAsync('DELETE FROM comments WHERE id = ?', [comment.id]);
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to delete comment'));
+    }
+});
+
+// Report a comment or tag for moderation
+app.post('/reports', rateLimit(reportLimiters), validateRequest(requestSchemas['POST /reports']), async (req, res) => {
+    const { contentType, contentId, reason } = req.body;
+
+    try {
+        const content = await getAsync(`SELECT id FROM ${MODERATED_TABLES[contentType]} WHERE id = ?`, [contentId]);
+        if (!content) {
+            return res.status(404).json(apiError('not_found', `${contentType} not found`, { field: 'contentId' }));
+        }
+
+        await runAsync(
+            'INSERT INTO moderation_reports (content_type, content_id, reason) VALUES (?, ?, ?)',
+            [contentType, contentId, reason ? reason.trim() : null]
+        );
+        res.status(201).json({ success: true });
+    } catch (error) {
+        console.error('Error saving report:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to save report'));
+    }
+});
+
+// List reported content; ?status=open (default) or ?status=all
+app.get('/admin/moderation', requireAdmin, validateRequest(requestSchemas['GET /admin/moderation']), async (req, res) => {
+    const openOnly = req.query.status === 'open';
+
+    try {
+        const reports = await allAsync(
+            `SELECT r.content_type, r.content_id,
+                    COUNT(*) AS report_count,
+                    GROUP_CONCAT(r.reason, ' | ') AS reasons,
+                    MIN(r.created_at) AS first_reported_at,
+                    MAX(r.created_at) AS last_reported_at,
+                    COALESCE(c.restaurant_id, t.restaurant_id) AS restaurant_id,
+                    COALESCE(c.text, t.name) AS content,
+                    COALESCE(c.hidden, t.hidden) AS hidden
+             FROM moderation_reports r
+             LEFT JOIN comments c ON r.content_type = 'comment' AND c.id = r.content_id
+             LEFT JOIN tags t ON r.content_type = 'tag' AND t.id = r.content_id
+             ${openOnly ? 'WHERE r.resolution IS NULL' : ''}
+             GROUP BY r.content_type, r.content_id
+             ORDER BY report_count DESC, last_reported_at DESC`
+        );
+        res.json(reports);
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json(apiError('internal_error', 'Failed to fetch moderation queue'));
+    }
+});
+
+// Hide or restore reported content
+['hide', 'restore'].forEach(action => {
+    const route = `/admin/moderation/:contentType/:contentId/${action}`;
+    app.post(route, requireAdmin, validateRequest(requestSchemas[`POST ${route}`]), async (req, res) => {
+        const { contentType, contentId } = req.params;
+        const table = MODERATED_TABLES[contentType];
+
+        try {
+            const changes = await withTransaction(async () => {
+                const result = await runAsync(`UPDATE ${table} SET hidden = ? WHERE id = ?`,
+                    [action === 'hide' ? 1 : 0, contentId]);
+                if (result.changes > 0) {
+                    await resolveReports(contentType, contentId, action === 'hide' ? 'hidden' : 'restored');
+                }
+                return result.changes;
+            });
+
+            if (changes === 0) {
+                return res.status(404).json(apiError('not_found', `${contentType} not found`));
             }
+            res.json({ success: true });
+        } catch (error) {
+            console.error(`Error applying ${action} to ${contentType} ${contentId}:`, error);
+            res.status(500).json(apiError('internal_error', `Failed to ${action} ${contentType}`));
+        }
+    });
+});
 
-            const existingTagSet = new Set(existingTags.map(tag => tag.name.toLowerCase()));
-            const newTags = tags.filter(tag => !existingTagSet.has(tag.toLowerCase()));
-            
-            if (newTags.length === 0) {
-                return res.json({ success: true, message: 'No new tags to add' });
+// Delete reported content
+app.delete('/admin/moderation/:contentType/:contentId', requireAdmin,
+    validateRequest(requestSchemas['DELETE /admin/moderation/:contentType/:contentId']), async (req, res) => {
+    const { contentType, contentId } = req.params;
+
+    try {
+        const changes = await withTransaction(async () => {
+            let result;
+            if (contentType === 'comment') {
+                await unlinkCommentTags(contentId);
+                result = await runAsync('DELETE FROM comments WHERE id = ?', [contentId]);
+            } else {
+                await runAsync('DELETE FROM comment_tags WHERE tag_id = ?', [contentId]);
+                result = await runAsync('DELETE FROM tags WHERE id = ?', [contentId]);
             }
+            await resolveReports(contentType, contentId, 'deleted');
+            return result.changes;
+        });
 
-            const stmt = db.prepare('INSERT INTO tags (restaurant_id, name, comment_id) VALUES (?, ?, ?)');
-            
-            db.serialize(() => {
-                db.run('BEGIN TRANSACTION');
-                
-                newTags.forEach(tag => {
-                    stmt.run(restaurantId, tag, commentId.id, function(err) {
-                        if (err) {
-                            console.error('Error saving tag:', err);
-                            return;
-                        }
-                        // Add entry to comment_tags table
-                        db.run('INSERT INTO comment_tags (comment_id, tag_id) VALUES (?, ?)',
-                            [commentId.id, this.lastID]);
-                    });
-                });
-                
-                db.run('COMMIT', err => {
-                    if (err) {
-                        console.error('Error saving tags:', err);
-                        return res.status(500).json({ error: 'Failed to save tags' });
-                    }
-                    res.json({ success: true });
-                });
-            });
-            
-            stmt.finalize();
+        if (changes === 0) {
+            return res.status(404).json(apiError('not_found', `${contentType} not found`));
         }
-    );
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error deleting ${contentType} ${contentId}:`, error);
+        res.status(500).json(apiError('internal_error', `Failed to delete ${contentType}`));
+    }
+});
+
+// Shareable restaurant links: the app's page with the restaurant rendered in for
+// link previews and crawlers. The app then reads the id from the path and opens it.
+app.get('/r/:osmId', validateRequest(requestSchemas['GET /r/:osmId']), async (req, res) => {
+    const indexPath = path.join(__dirname, 'index.html');
+    const { osmId } = req.params;
+
+    if (LEGACY_OSM_ID_PATTERN.test(osmId)) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+        return res.redirect(301, `/r/${normalizeOsmId(osmId)}${query}`);
+    }
+
+    try {
+        const restaurant = await restaurantService.getRestaurant(osmId);
+        if (!restaurant) {
+            return res.status(404).sendFile(indexPath);
+        }
+
+        const [[withAggregates], reviews, template] = await Promise.all([
+            attachReviewAggregates([restaurant]),
+            allAsync(
+                `SELECT ${COMMENT_COLUMNS}
+                 FROM comments c
+                 WHERE c.restaurant_id = ? AND c.hidden = 0
+                 ORDER BY c.date DESC, c.id DESC
+                 LIMIT ?`,
+                [osmId, RESTAURANT_PAGE_REVIEWS]
+            ),
+            readFile(indexPath, 'utf8')
+        ]);
+
+        const origin = `${req.protocol}://${req.get('host')}`;
+        res.type('html').send(renderRestaurantPage(template, {
+            restaurant: withAggregates,
+            reviews,
+            url: `${origin}/r/${encodeURIComponent(osmId)}`,
+            imageUrl: `${origin}/Logo.png`
+        }));
+    } catch (error) {
+        // The plain app still opens the restaurant
+        console.error('Error rendering restaurant page:', error);
+        res.sendFile(indexPath);
+    }
+});
+
+// OpenAPI description of the routes above, and a page to browse it
+const openApiDocument = buildOpenApiDocument();
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+app.get('/api/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'api-docs.html'));
+});
+
+// Refuse to start when a route, its request schema and its documentation disagree
+const registeredRoutes = app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+const routeDocProblems = checkRouteDocs(registeredRoutes);
+if (routeDocProblems.length > 0) {
+    throw new Error(`API documentation is out of date:\n  ${routeDocProblems.join('\n  ')}`);
+}
+
+// Malformed JSON bodies and unexpected errors get the same error format as the routes
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json(apiError('invalid_json', 'Request body is not valid JSON'));
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json(apiError('payload_too_large', 'Request body is too large'));
+    }
+    console.error('Unhandled error:', err);
+    res.status(500).json(apiError('internal_error', 'Internal server error'));
 });
 
 app.listen(port, () => {
@@ -1,6 +1,4 @@
 import MapComponent from './map.js';
-import ApiService from '../services/ApiService.js';
-import MarkersComponent from './markers.js';
 import FilteringComponent from '../features/filtering.js';
 
 /**
@@ -67,25 +65,6 @@ class ControlsComponent {
             if (this.filtersPanel) this.filtersPanel.hidden = isActive;
         });
 
-        // City search functionality
-        this.searchInput?.addEventListener('keydown', async (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault(); // Prevent form submission
-                const query = this.searchInput.value.trim();
-                if (query) {
-                    const location = await ApiService.searchCity(query);
-                    if (location) {
-                        MapComponent.setView(location.lat, location.lon, 15);
-                        this.searchToggle?.classList.remove('active');
-                        if (this.searchPanel) this.searchPanel.hidden = true;
-                        this.searchInput.value = '';
-                    } else {
-                        alert('City not found');
-                    }
-                }
-            }
-        });
-
         // Zoom controls
         this.zoomInButton?.addEventListener('click', () => {
             MapComponent.zoomIn();
@@ -99,6 +78,14 @@ class ControlsComponent {
         document.addEventListener('click', () => this.closeAllSelect());
     }
 
+    /**
+     * Close the search panel
+     */
+    closeSearchPanel() {
+        this.searchToggle?.classList.remove('active');
+        if (this.searchPanel) this.searchPanel.hidden = true;
+    }
+
     /**
      * Initialize custom select elements
      */
@@ -135,7 +122,7 @@ class ControlsComponent {
         items.querySelectorAll('div').forEach(item => {
             item.addEventListener('click', (e) => {
                 e.stopPropagation();
-                selected.textContent = item.textContent;
+                selected.textContent = item.dataset.label ?? item.textContent;
                 FilteringComponent.setFilter(id.replace('-filter', ''), item.dataset.value);
                 items.classList.add('select-hide');
                 selected.classList.remove('select-arrow-active');
@@ -44,11 +44,13 @@ class MapComponent {
     }
 
     /**
-     * Initialize the map with the user's location or saved location from URL
+     * Initialize the map with the user's location or saved location from URL.
+     * The URL is kept up to date by UrlStateComponent.
      * 
+     * @param {Object|null} linkedRestaurant - Restaurant linked in the URL, centered on when the URL has no location
      * @returns {Promise<void>}
      */
-    async initializeLocation() {
+    async initializeLocation(linkedRestaurant = null) {
         // Check for location in URL parameters first
         const urlParams = new URLSearchParams(window.location.search);
         const lat = parseFloat(urlParams.get('lat'));
@@ -58,34 +60,15 @@ class MapComponent {
         if (!isNaN(lat) && !isNaN(lon)) {
             console.log('Setting map view from URL parameters:', { lat, lon, zoom: zoom || 15 });
             this.map.setView([lat, lon], zoom || 15);
+        } else if (linkedRestaurant) {
+            console.log('Setting map view on the linked restaurant:', linkedRestaurant.osm_id);
+            this.map.setView([linkedRestaurant.lat, linkedRestaurant.lng], 18);
         } else {
             // Fall back to geolocation
             const location = await GeolocationService.getUserLocation();
             console.log('Setting initial map view from geolocation:', location);
             this.map.setView([location.lat, location.lon], 15);
         }
-        
-        // Add event listener to update URL when map moves
-        this.map.on('moveend', () => {
-            this.updateUrlWithMapLocation();
-        });
-    }
-    
-    /**
-     * Update URL with current map location
-     */
-    updateUrlWithMapLocation() {
-        const center = this.map.getCenter();
-        const zoom = this.map.getZoom();
-        
-        const urlParams = new URLSearchParams(window.location.search);
-        urlParams.set('lat', center.lat.toFixed(6));
-        urlParams.set('lon', center.lng.toFixed(6));
-        urlParams.set('zoom', zoom);
-        
-        // Update URL without reloading the page
-        const newUrl = `${window.location.pathname}?${urlParams.toString()}`;
-        window.history.replaceState({ path: newUrl }, '', newUrl);
     }
 
     /**
@@ -169,6 +152,28 @@ class MapComponent {
         this.map.setView([lat, lon], zoom);
     }
 
+    /**
+     * Animate the map to a specific location
+     * 
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} zoom - Zoom level
+     * @returns {Promise<void>} - Resolves when the map stops moving
+     */
+    flyTo(lat, lon, zoom = 14) {
+        const target = L.latLng(lat, lon);
+        
+        // Nothing to animate, and no moveend to wait for
+        if (this.map.getZoom() === zoom && this.map.getCenter().equals(target)) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            this.map.once('moveend', () => resolve());
+            this.map.flyTo(target, zoom);
+        });
+    }
+
     /**
      * Zoom in the map
      */
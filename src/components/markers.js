@@ -1,6 +1,7 @@
 import MapComponent from './map.js';
 import ApiService from '../services/ApiService.js';
-import { calculateAverageRatings } from '../utils/formatters.js';
+import { calculateAverageRatings, getInlineAggregates, hasAnyReviews } from '../utils/formatters.js';
+import { getTimeZone } from '../utils/timeZones.js';
 import PopupComponent from './popups.js';
 
 /**
@@ -12,6 +13,7 @@ class MarkersComponent {
         this.markerLayers = {}; // Track which layer each marker belongs to
         this.allTags = new Set(); // Store all unique tags from restaurants
         this.restaurantDataCache = new Map(); // Cache for restaurant data
+        this.commentsCache = new Map(); // Comments loaded lazily when a popup opens
         this.popupTimeouts = new Map(); // Store timeout IDs for popup auto-close
         this.popupHoverStates = new Map(); // Track if mouse is over popup or marker
         
@@ -73,16 +75,32 @@ class MarkersComponent {
      * 
      * @param {Object} restaurant - Restaurant data
      * @param {boolean} forceUpdate - Whether to force an update regardless of cache
+     * @param {boolean} addToMap - Whether to show a marker that isn't on the map yet, FilteringComponent adds it otherwise
      * @returns {Promise<L.Marker>} - Promise resolving to the created/updated marker
      */
-    async updateMarker(restaurant, forceUpdate = false) {
+    async updateMarker(restaurant, forceUpdate = false, addToMap = true) {
         console.log(`Markers.js - updateMarker called for restaurant: ${restaurant.name} (${restaurant.osm_id})`);
         try {
             const cacheKey = restaurant.osm_id;
             let cachedData = this.restaurantDataCache.get(cacheKey);
+            const inlineAggregates = getInlineAggregates(restaurant);
             
-            // Only fetch data if we don't have it cached or if forceUpdate is true
-            if (!cachedData || forceUpdate) {
+            if (forceUpdate) {
+                this.commentsCache.delete(cacheKey);
+            }
+            
+            if (inlineAggregates) {
+                // Comments loaded before someone added or removed a review are out of date
+                if (cachedData?.reviewCount !== inlineAggregates.reviewCount) {
+                    this.commentsCache.delete(cacheKey);
+                }
+                
+                // Aggregates came with the viewport response, comments are loaded when the popup opens
+                cachedData = inlineAggregates;
+                this.restaurantDataCache.set(cacheKey, cachedData);
+                inlineAggregates.tags.forEach(tag => this.allTags.add(tag));
+            } else if (!cachedData || forceUpdate) {
+                // Only fetch data if we don't have it cached or if forceUpdate is true
                 console.log(`Markers.js - Fetching data for restaurant: ${restaurant.name}`);
                 const [comments, tags] = await Promise.all([
                     ApiService.getComments(restaurant.osm_id),
@@ -93,14 +111,19 @@ class MarkersComponent {
                 const avgRatings = calculateAverageRatings(comments);
                 
                 // Cache the data
-                cachedData = { comments, tags, avgRatings };
+                cachedData = { comments, tags, avgRatings, hasReviews: hasAnyReviews(comments, tags) };
                 this.restaurantDataCache.set(cacheKey, cachedData);
+                this.commentsCache.set(cacheKey, comments);
                 
                 // Update all tags collection
                 tags.forEach(tag => this.allTags.add(tag));
             }
             
-            const { comments, tags, avgRatings } = cachedData;
+            const { tags, avgRatings, hasReviews } = cachedData;
+            
+            // Refreshing a marker closes its popup, reopen it once the marker is back
+            const wasPopupOpen = !!this.markers[restaurant.osm_id]?.isPopupOpen();
+            const wasOnMap = !!this.markerLayers[restaurant.osm_id];
             
             // Remove marker from previous layer if it exists
             if (this.markers[restaurant.osm_id]) {
@@ -117,10 +140,6 @@ class MarkersComponent {
                 this.popupHoverStates.delete(restaurant.osm_id);
             }
             
-            const hasReviews = comments.some(comment => 
-                comment.food_rating || comment.price_rating || comment.ambience_rating || comment.text
-            ) || tags.length > 0;
-            
             // Create marker content with emoji
             const amenityEmoji = this.getAmenityEmoji(restaurant.amenity);
             
@@ -129,7 +148,7 @@ class MarkersComponent {
             
             // Create a divIcon
             const customIcon = L.divIcon({
-                className: 'custom-marker',
+                className: restaurant.closed_at ? 'custom-marker closed-marker' : 'custom-marker',
                 html: hasReviews ? 
                     `<div class="marker-rectangle">
                         ${iconContent}
@@ -221,15 +240,20 @@ class MarkersComponent {
             }
             
             // Store restaurant data with marker
-            this.storeRestaurantData(marker, restaurant, avgRatings, tags, comments);
+            this.storeRestaurantData(marker, restaurant, avgRatings, tags, hasReviews);
 
             // Lazy popup creation - only create popup content when needed
             marker.unbindPopup(); // Remove any existing popup
             
             marker.bindPopup(() => {
                 // This function is only called when the popup is opened
+                const comments = this.commentsCache.get(restaurant.osm_id) || null;
                 const popupContent = PopupComponent.createPopupContent(restaurant, comments, tags, avgRatings);
                 
+                if (!comments) {
+                    this.loadPopupComments(marker, restaurant, popupContent);
+                }
+                
                 // Add event listeners to the popup container after it's added to the DOM
                 setTimeout(() => {
                     const popup = marker.getPopup();
@@ -264,10 +288,19 @@ class MarkersComponent {
                 return popupContent;
             });
 
+            if (!addToMap && !wasOnMap) {
+                this.markerLayers[restaurant.osm_id] = null;
+                return marker;
+            }
+            
             // Add to appropriate layer and track which layer it belongs to
             console.log(`Markers.js - Adding marker to ${hasReviews ? 'reviewed' : 'nonReviewed'} layer`);
             this.markerLayers[restaurant.osm_id] = MapComponent.addMarkerToLayer(marker, hasReviews);
             
+            if (wasPopupOpen) {
+                marker.openPopup();
+            }
+            
             return marker;
         } catch (error) {
             console.error('Error updating marker:', error);
@@ -275,6 +308,73 @@ class MarkersComponent {
         }
     }
 
+    /**
+     * Fly to a restaurant and open its popup
+     * 
+     * @param {Object} restaurant - Restaurant data with osm_id, lat and lng
+     * @returns {Promise<L.Marker|null>} - Promise resolving to the marker, or null if it couldn't be shown
+     */
+    async showRestaurant(restaurant) {
+        // Restaurants found by search may not have a marker yet
+        const data = ApiService.cachedRestaurants.get(restaurant.osm_id) || restaurant;
+        let marker = this.markers[restaurant.osm_id];
+        if (!marker) {
+            marker = await this.updateMarker(data);
+            if (!marker) return null;
+        }
+
+        // Show the restaurant even if the active filters hide it
+        if (!this.markerLayers[restaurant.osm_id]) {
+            this.markerLayers[restaurant.osm_id] = MapComponent.addMarkerToLayer(marker, marker.restaurantData.hasReviews);
+        }
+
+        MapComponent.map.fire('closeAllPopups');
+        await MapComponent.flyTo(marker.getLatLng().lat, marker.getLatLng().lng, 18);
+
+        // Unreviewed markers may still be hidden in a cluster at this zoom
+        if (this.markerLayers[restaurant.osm_id] === 'nonReviewed') {
+            await new Promise(resolve => MapComponent.nonReviewedCluster.zoomToShowLayer(marker, resolve));
+        }
+
+        marker.openPopup();
+        return marker;
+    }
+
+    /**
+     * Forget the loaded comments of a restaurant, so its popup loads them again
+     * 
+     * @param {string} restaurantId - Restaurant ID
+     */
+    clearComments(restaurantId) {
+        this.commentsCache.delete(restaurantId);
+    }
+
+    /**
+     * Load comments for an open popup and render them into its comments section
+     * 
+     * @param {L.Marker} marker - The marker whose popup is open
+     * @param {Object} restaurant - Restaurant data
+     * @param {HTMLElement} popupContent - Popup content element
+     */
+    async loadPopupComments(marker, restaurant, popupContent) {
+        const commentsSection = popupContent.querySelector('.comments-section');
+        try {
+            const comments = await ApiService.getComments(restaurant.osm_id);
+            this.commentsCache.set(restaurant.osm_id, comments);
+            
+            if (commentsSection) {
+                commentsSection.innerHTML = PopupComponent.renderComments(comments);
+            }
+        } catch (error) {
+            // Not cached, so opening the popup again retries
+            console.error('Error loading reviews:', error);
+            if (commentsSection) {
+                commentsSection.innerHTML = PopupComponent.renderCommentsError();
+            }
+        }
+        marker.getPopup()?.update();
+    }
+
     /**
      * Store restaurant data with marker
      * 
@@ -282,14 +382,17 @@ class MarkersComponent {
      * @param {Object} restaurant - Restaurant data
      * @param {Object} avgRatings - Average ratings
      * @param {Array} tags - Tags
-     * @param {Array} comments - Comments
+     * @param {boolean} hasReviews - Whether the restaurant has reviews
      */
-    storeRestaurantData(marker, restaurant, avgRatings, tags, comments) {
+    storeRestaurantData(marker, restaurant, avgRatings, tags, hasReviews) {
+        // Looked up once per marker for the opening hours filter, restaurants don't move
+        const timeZone = marker.restaurantData?.timeZone ?? getTimeZone(restaurant.lat, restaurant.lng);
         const data = {
             ...restaurant,
             avgRatings,
             tags,
-            comments
+            hasReviews,
+            timeZone
         };
         marker.restaurantData = data;
     }
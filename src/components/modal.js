@@ -1,5 +1,17 @@
 import ApiService from '../services/ApiService.js';
 import MapComponent from './map.js';
+import PopupComponent from './popups.js';
+import { html } from '../utils/html.js';
+import { REVIEW_TEXT_MAX_LENGTH, TAG_MAX_LENGTH, MAX_TAGS_PER_REVIEW, TAG_PATTERN } from '../config/reviewConfig.js';
+
+// Form elements that show the errors of each review field, by API field name
+const FIELD_ELEMENTS = {
+    text: '#review-text',
+    foodRating: '.stars[data-rating="food"]',
+    priceRating: '.stars[data-rating="price"]',
+    ambienceRating: '.stars[data-rating="ambience"]',
+    tags: '#tags-input'
+};
 
 /**
  * Modal component responsible for handling the review modal
@@ -10,6 +22,7 @@ class ModalComponent {
         this.closeBtn = null;
         this.submitBtn = null;
         this.currentRestaurantId = null;
+        this.editingCommentId = null; // Set while editing an existing review
         this.currentRatings = { food: 0, price: 0, ambience: 0 };
         this.currentTags = new Set();
     }
@@ -26,9 +39,11 @@ class ModalComponent {
         this.initializeRatings();
         this.initializeTags();
         
-        // Expose the openReviewModal method to the global scope
-        window.openReviewModal = this.openReviewModal.bind(this);
-        window.removeTag = this.removeTag.bind(this);
+        // Handle the review buttons of restaurant popups
+        PopupComponent.registerActionHandler('add-review', ({ restaurantId }) => this.openReviewModal(restaurantId));
+        PopupComponent.registerActionHandler('edit-review', ({ restaurantId, commentId }) => this.openEditModal(restaurantId, Number(commentId)));
+        PopupComponent.registerActionHandler('delete-review', ({ restaurantId, commentId }) => this.deleteReview(restaurantId, Number(commentId)));
+        PopupComponent.registerActionHandler('report-review', ({ commentId }) => this.reportReview(Number(commentId)));
     }
 
     /**
@@ -53,6 +68,14 @@ class ModalComponent {
         if (this.submitBtn) {
             this.submitBtn.onclick = this.handleSubmit.bind(this);
         }
+
+        // Remove buttons of the tags added so far (delegation)
+        document.getElementById('tags-display')?.addEventListener('click', (e) => {
+            const tag = e.target.closest('.remove')?.closest('.tag');
+            if (tag) this.removeTag(tag.dataset.tag);
+        });
+
+        document.getElementById('review-text')?.setAttribute('maxlength', REVIEW_TEXT_MAX_LENGTH);
     }
 
     /**
@@ -104,11 +127,17 @@ class ModalComponent {
                 e.preventDefault();
                 const tag = tagsInput.value.trim().toLowerCase();
                 if (tag) {
+                    const error = this.validateTag(tag);
+                    if (error) {
+                        this.showFieldError('tags', error);
+                        return;
+                    }
+                    this.clearFieldErrors();
                     if (!this.currentTags.has(tag)) {
                         this.currentTags.add(tag);
                         this.updateTagsDisplay();
                     } else {
-                        const existingTag = document.querySelector(`.tag[data-tag="${tag}"]`);
+                        const existingTag = document.querySelector(`#tags-display .tag[data-tag="${CSS.escape(tag)}"]`);
                         if (existingTag) {
                             existingTag.classList.add('duplicate');
                             setTimeout(() => existingTag.classList.remove('duplicate'), 1000);
@@ -120,18 +149,66 @@ class ModalComponent {
         });
     }
 
+    /**
+     * Show an error message under the form element of a review field
+     * 
+     * @param {string} field - Field name from the API, e.g. 'text' or 'tags[2]'
+     * @param {string} message - Error message
+     * @returns {boolean} - Whether the field has an element the message could be shown under
+     */
+    showFieldError(field, message) {
+        const selector = FIELD_ELEMENTS[field.replace(/[.[].*$/, '')];
+        const element = selector && this.modal?.querySelector(selector);
+        if (!element) return false;
+
+        this.clearFieldErrors();
+        const errorElement = document.createElement('div');
+        errorElement.className = 'field-error';
+        errorElement.textContent = message;
+        element.classList.add('has-error');
+        element.insertAdjacentElement('afterend', errorElement);
+        return true;
+    }
+
+    /**
+     * Remove the field error messages of the form
+     */
+    clearFieldErrors() {
+        this.modal?.querySelectorAll('.field-error').forEach(element => element.remove());
+        this.modal?.querySelectorAll('.has-error').forEach(element => element.classList.remove('has-error'));
+    }
+
+    /**
+     * Check a new tag against the limits the server enforces
+     * 
+     * @param {string} tag - Normalized tag
+     * @returns {string|null} - Error message, or null if the tag is valid
+     */
+    validateTag(tag) {
+        if (tag.length > TAG_MAX_LENGTH) {
+            return `Tags can be at most ${TAG_MAX_LENGTH} characters long.`;
+        }
+        if (!TAG_PATTERN.test(tag)) {
+            return 'Tags can only contain letters, numbers, spaces, hyphens and underscores.';
+        }
+        if (!this.currentTags.has(tag) && this.currentTags.size >= MAX_TAGS_PER_REVIEW) {
+            return `A review can have at most ${MAX_TAGS_PER_REVIEW} tags.`;
+        }
+        return null;
+    }
+
     /**
      * Update tags display
      */
     updateTagsDisplay() {
         const tagsDisplay = document.getElementById('tags-display');
         if (tagsDisplay) {
-            tagsDisplay.innerHTML = Array.from(this.currentTags).map(tag => `
-                <span class="tag">
+            tagsDisplay.innerHTML = html`${Array.from(this.currentTags).map(tag => html`
+                <span class="tag" data-tag="${tag}">
                     ${tag}
-                    <span class="remove" onclick="removeTag('${tag}')">&times;</span>
+                    <span class="remove">&times;</span>
                 </span>
-            `).join('');
+            `)}`;
         }
     }
 
@@ -162,19 +239,118 @@ class ModalComponent {
      */
     openReviewModal(restaurantId) {
         this.currentRestaurantId = restaurantId;
+        this.editingCommentId = null;
         this.resetRatings();
         this.resetTags();
+        this.clearFieldErrors();
+        this.setTitle('Add Review');
         if (this.modal) {
             document.getElementById('review-text').value = '';
             this.modal.style.display = 'block';
         }
     }
 
+    /**
+     * Open the review modal prefilled with a review written by this browser
+     * 
+     * @param {string} restaurantId - Restaurant ID
+     * @param {number} commentId - Comment ID
+     */
+    async openEditModal(restaurantId, commentId) {
+        const comments = await ApiService.getComments(restaurantId);
+        const comment = comments.find(c => c.id === commentId);
+        if (!comment) {
+            alert('This review no longer exists.');
+            return;
+        }
+
+        this.openReviewModal(restaurantId);
+        this.editingCommentId = commentId;
+        this.setTitle('Edit Review');
+
+        ['food', 'price', 'ambience'].forEach(type => {
+            if (comment[`${type}_rating`]) this.updateStarRating(type, comment[`${type}_rating`]);
+        });
+        if (comment.tags) {
+            comment.tags.split(',').forEach(tag => this.currentTags.add(tag.trim()));
+            this.updateTagsDisplay();
+        }
+        document.getElementById('review-text').value = comment.text || '';
+    }
+
+    /**
+     * Delete a review written by this browser
+     * 
+     * @param {string} restaurantId - Restaurant ID
+     * @param {number} commentId - Comment ID
+     */
+    async deleteReview(restaurantId, commentId) {
+        if (!confirm('Delete this review?')) return;
+
+        const success = await ApiService.deleteReview(commentId);
+        if (success) {
+            await this.refreshRestaurant(restaurantId);
+        } else {
+            alert('Failed to delete review. Please try again.');
+        }
+    }
+
+    /**
+     * Report a review for moderation
+     * 
+     * @param {number} commentId - Comment ID
+     */
+    async reportReview(commentId) {
+        const reason = prompt('Why are you reporting this review? (optional)');
+        // Cancelled prompt returns null, an empty reason is still a report
+        if (reason === null) return;
+
+        const success = await ApiService.reportContent('comment', commentId, reason.trim());
+        alert(success ? 'Thanks, a moderator will take a look.' : 'Failed to report review. Please try again.');
+    }
+
+    /**
+     * Set the modal title
+     * 
+     * @param {string} title - Title text
+     */
+    setTitle(title) {
+        const heading = this.modal?.querySelector('h2');
+        if (heading) heading.textContent = title;
+    }
+
+    /**
+     * Refresh the marker of a restaurant after its reviews changed
+     * 
+     * @param {string} restaurantId - Restaurant ID
+     */
+    async refreshRestaurant(restaurantId) {
+        // Its popup loads the changed comments again, even if the marker isn't refreshed below
+        window.app.markersComponent?.clearComments(restaurantId);
+        
+        // Force update restaurants in the current viewport
+        const bounds = MapComponent.getBounds();
+        await ApiService.fetchRestaurants(bounds, true);
+        
+        // Specifically refresh the marker for the restaurant that was just reviewed
+        const markers = window.app.markersComponent?.markers || {};
+        const marker = markers[restaurantId];
+        if (marker) {
+            console.log('Refreshing marker after review change:', restaurantId);
+            // Prefer the refreshed row so its inline aggregates include the new review
+            const restaurant = ApiService.cachedRestaurants.get(restaurantId) || marker.restaurantData;
+            if (restaurant) {
+                await window.app.markersComponent.updateMarker(restaurant, true);
+            }
+        }
+    }
+
     /**
      * Handle review submission
      */
     async handleSubmit() {
         const reviewText = document.getElementById('review-text')?.value.trim();
+        this.clearFieldErrors();
         
         if (!this.currentRatings.food && !this.currentRatings.price && !this.currentRatings.ambience && !reviewText && this.currentTags.size === 0) {
             alert('Please provide at least one rating, review text, or tag');
@@ -182,33 +358,20 @@ class ModalComponent {
         }
 
         try {
-            const success = await ApiService.submitReview(
-                this.currentRestaurantId,
-                reviewText,
-                this.currentRatings,
-                Array.from(this.currentTags)
-            );
+            const ratings = { ...this.currentRatings };
+            const tags = Array.from(this.currentTags);
+            const { success, error } = this.editingCommentId ?
+                await ApiService.updateReview(this.editingCommentId, reviewText, ratings, tags) :
+                await ApiService.submitReview(this.currentRestaurantId, reviewText, ratings, tags);
 
             if (success) {
                 // Close modal and refresh data
                 if (this.modal) this.modal.style.display = 'none';
-                
-                // Force update restaurants in the current viewport
-                const bounds = MapComponent.getBounds();
-                await ApiService.fetchRestaurants(bounds, true);
-                
-                // Specifically refresh the marker for the restaurant that was just reviewed
-                const markers = window.app.markersComponent?.markers || {};
-                const marker = markers[this.currentRestaurantId];
-                if (marker) {
-                    console.log('Refreshing marker after review submission:', this.currentRestaurantId);
-                    const restaurant = marker.restaurantData;
-                    if (restaurant) {
-                        await window.app.markersComponent.updateMarker(restaurant, true);
-                    }
-                }
-            } else {
-                alert('Failed to save review. Please try again.');
+                this.editingCommentId = null;
+                await this.refreshRestaurant(this.currentRestaurantId);
+            } else if (!error?.field || !this.showFieldError(error.field, error.message)) {
+                // Show why the server refused the review (rate limit, duplicate...) when it says so
+                alert(error?.message || 'Failed to save review. Please try again.');
             }
         } catch (error) {
             console.error('Error saving review:', error);
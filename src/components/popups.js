@@ -1,62 +1,226 @@
-import { formatRating } from '../utils/formatters.js';
+import { formatRating, formatAmenity } from '../utils/formatters.js';
+import { html } from '../utils/html.js';
+import { formatOsmValue, describeDiet, describeFeatures, getWebsiteUrl, getPhoneLink } from '../utils/osmAttributes.js';
+import { getSchedule, getWeek, getOpeningStatus } from '../utils/openingHours.js';
+import { getTimeZone, getLocalDateTime } from '../utils/timeZones.js';
+import ApiService from '../services/ApiService.js';
 
 /**
  * Popup component responsible for creating popup content
  */
 class PopupComponent {
+    constructor() {
+        // Handlers for the data-action buttons in popups, registered by the components that own them
+        this.actionHandlers = new Map();
+    }
+
+    /**
+     * Register the handler of a popup action
+     * 
+     * @param {string} action - Value of the data-action attribute
+     * @param {Function} handler - Called with the dataset of the clicked element and the element
+     */
+    registerActionHandler(action, handler) {
+        this.actionHandlers.set(action, handler);
+    }
+
+    /**
+     * Dispatch clicks on data-action elements of a popup to their handlers
+     * 
+     * @param {MouseEvent} event - Click event on the popup content
+     */
+    handleActionClick(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+
+        const handler = this.actionHandlers.get(target.dataset.action);
+        if (handler) {
+            event.preventDefault();
+            handler({ ...target.dataset }, target);
+        }
+    }
+
+    /**
+     * Render a clickable tag
+     * 
+     * @param {string} tag - Tag name
+     * @returns {SafeHtml} - HTML for the tag
+     */
+    renderTag(tag) {
+        return html`<span class="tag" data-action="tag" data-tag="${tag}">${tag}</span>`;
+    }
+
+    /**
+     * Render the message shown when a popup's comments fail to load
+     * 
+     * @returns {SafeHtml} - HTML for the message
+     */
+    renderCommentsError() {
+        return html`<div class="comments-error">Could not load reviews. Open the popup again to retry.</div>`;
+    }
+
+    /**
+     * Render the comments list of a popup
+     * 
+     * @param {Array} comments - Comments for the restaurant
+     * @returns {SafeHtml} - HTML for the comments
+     */
+    renderComments(comments) {
+        if (comments.length === 0) {
+            return html`<div class="comments-empty">No reviews yet</div>`;
+        }
+        return html`${comments.map(comment => html`
+                <div class="comment">
+                    <p class="comment-text">${comment.text}</p>
+                    <div class="comment-meta">
+                        <span>
+                            ${comment.food_rating ? `🍽️ ${comment.food_rating}` : ''}
+                            ${comment.price_rating ? `${comment.food_rating ? ' • ' : ''}💰 ${comment.price_rating}` : ''}
+                            ${comment.ambience_rating ? `${(comment.food_rating || comment.price_rating) ? ' • ' : ''}🌟 ${comment.ambience_rating}` : ''}
+                        </span>
+                        <span>${new Date(comment.date).toLocaleDateString()}</span>
+                    </div>
+                    <div class="comment-actions">
+                        ${ApiService.getEditToken(comment.id) && html`
+                            <button class="comment-action" data-action="edit-review" data-restaurant-id="${comment.restaurant_id}" data-comment-id="${comment.id}">Edit</button>
+                            <button class="comment-action" data-action="delete-review" data-restaurant-id="${comment.restaurant_id}" data-comment-id="${comment.id}">Delete</button>
+                        `}
+                        <button class="comment-action" data-action="report-review" data-comment-id="${comment.id}">Report</button>
+                    </div>
+                    ${comment.tags && html`
+                        <div class="comment-tags">
+                            ${comment.tags.split(',').map(tag => this.renderTag(tag.trim()))}
+                        </div>
+                    `}
+                </div>
+            `)}`;
+    }
+
     /**
-     * Format amenity name to be more readable
+     * Render the opening hours: whether the restaurant is open now and a table of
+     * the week, in the restaurant's local time. Values the parser can't read are
+     * shown as they are.
      * 
-     * @param {string} amenity - Amenity type
-     * @returns {string} - Formatted amenity name
+     * @param {Object} restaurant - Restaurant data
+     * @returns {SafeHtml|string} - Opening hours markup
      */
-    formatAmenityName(amenity) {
-        // Convert snake_case to Title Case
-        return amenity
-            .split('_')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(' ');
+    renderOpeningHours(restaurant) {
+        const schedule = getSchedule(restaurant.opening_hours);
+        if (!schedule) {
+            return restaurant.opening_hours
+                ? html`${restaurant.opening_hours.split(';').map(h => html`<div class="opening-hours-row">${h.trim()}</div>`)}`
+                : 'Opening hours not available';
+        }
+
+        const timeZone = getTimeZone(restaurant.lat, restaurant.lng);
+        const now = new Date();
+        const status = getOpeningStatus(restaurant.opening_hours, timeZone, now);
+        const week = getWeek(schedule, getLocalDateTime(now, timeZone));
+
+        // Closed restaurants keep their old hours, but aren't open now
+        return html`
+            ${!restaurant.closed_at && html`<span class="open-status ${status.state}">${status.label}</span>`}
+            <table class="opening-hours-table">
+                ${week.map(day => html`
+                    <tr${day.isToday ? html` class="today"` : ''}>
+                        <th scope="row">${day.label}</th>
+                        <td>${day.text}</td>
+                    </tr>
+                `)}
+            </table>
+        `;
+    }
+
+    /**
+     * Render the diets, amenities and contact details from OpenStreetMap
+     * 
+     * @param {Object} restaurant - Restaurant data with its OSM attributes
+     * @returns {SafeHtml} - Info rows, empty if the restaurant has none
+     */
+    renderOsmAttributes(restaurant) {
+        const diets = describeDiet(restaurant.diet);
+        const features = describeFeatures(restaurant);
+        const phoneLink = getPhoneLink(restaurant.phone);
+        const websiteUrl = getWebsiteUrl(restaurant.website);
+
+        return html`
+            ${diets.length > 0 && html`
+                <div class="info-row">
+                    <i class="fas fa-leaf"></i>
+                    <span>${diets.join(' · ')}</span>
+                </div>
+            `}
+            ${features.length > 0 && html`
+                <div class="info-row">
+                    <i class="fas fa-circle-info"></i>
+                    <span>${features.join(' · ')}</span>
+                </div>
+            `}
+            ${phoneLink && html`
+                <div class="info-row">
+                    <i class="fas fa-phone"></i>
+                    <a href="${phoneLink}">${restaurant.phone.split(';')[0].trim()}</a>
+                </div>
+            `}
+            ${websiteUrl && html`
+                <div class="info-row">
+                    <i class="fas fa-globe"></i>
+                    <a href="${websiteUrl}" target="_blank" rel="noopener noreferrer">${websiteUrl.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '')}</a>
+                </div>
+            `}
+        `;
     }
+
     /**
      * Create popup content for a restaurant
      * 
      * @param {Object} restaurant - Restaurant data
-     * @param {Array} comments - Comments for the restaurant
+     * @param {Array|null} comments - Comments for the restaurant, or null while they are loading
      * @param {Array} tags - Tags for the restaurant
      * @param {Object} avgRatings - Average ratings for the restaurant
      * @returns {HTMLElement} - Popup content element
      */
     createPopupContent(restaurant, comments, tags, avgRatings) {
-        // Format opening hours
-        const openingHours = restaurant.opening_hours ? 
-            restaurant.opening_hours.split(';').map(h => `<div class="opening-hours-row">${h.trim()}</div>`).join('') :
-            'Opening hours not available';
-
         // Create popup content
         const popupContent = document.createElement('div');
         popupContent.className = 'restaurant-popup';
-        popupContent.innerHTML = `
+        popupContent.innerHTML = html`
             <div class="restaurant-info">
-                <h3>${restaurant.name}</h3>
+                <div class="restaurant-header">
+                    <h3>${restaurant.name}</h3>
+                    <button class="copy-link" data-action="copy-link" data-restaurant-id="${restaurant.osm_id}" title="Copy link" aria-label="Copy link to ${restaurant.name}">
+                        <i class="fas fa-link"></i>
+                    </button>
+                </div>
+                ${restaurant.closed_at && html`
+                    <div class="closed-notice">
+                        <i class="fas fa-store-slash"></i>
+                        <span>Closed · gone from OpenStreetMap since ${new Date(restaurant.closed_at).toLocaleDateString()}</span>
+                    </div>
+                `}
                 
                 <div class="restaurant-details">
                     <div class="info-row">
                         <i class="fas fa-utensils"></i>
-                        <span>${this.formatAmenityName(restaurant.amenity || 'restaurant')}</span>
+                        <span>${[
+                            formatAmenity(restaurant.amenity || 'restaurant'),
+                            ...(restaurant.cuisine || []).map(formatOsmValue)
+                        ].join(' · ')}</span>
                     </div>
-                    ${restaurant.address ? `
+                    ${restaurant.address && html`
                         <div class="info-row">
                             <i class="fas fa-map-marker-alt"></i>
                             <span>${restaurant.address}</span>
                         </div>
-                    ` : ''}
+                    `}
                     
                     <div class="info-row">
                         <i class="fas fa-clock"></i>
                         <div class="opening-hours">
-                            ${openingHours}
+                            ${this.renderOpeningHours(restaurant)}
                         </div>
                     </div>
+                    ${this.renderOsmAttributes(restaurant)}
                 </div>
 
                 <div class="rating-summary">
@@ -74,38 +238,22 @@ class PopupComponent {
                     </div>
                 </div>
 
-                ${tags.length > 0 ? `
+                ${tags.length > 0 && html`
                     <div class="tags-list">
-                        ${tags.map(tag => `
-                            <span class="tag" onclick="handleTagClick('${tag.replace(/'/g, "\\'")}')">${tag}</span>
-                        `).join('')}
+                        ${tags.map(tag => this.renderTag(tag))}
                     </div>
-                ` : ''}
+                `}
             </div>
 
-            ${comments.map(comment => `
-                <div class="comment">
-                    <p class="comment-text">${comment.text || ''}</p>
-                    <div class="comment-meta">
-                        <span>
-                            ${comment.food_rating ? `🍽️ ${comment.food_rating}` : ''}
-                            ${comment.price_rating ? `${comment.food_rating ? ' • ' : ''}💰 ${comment.price_rating}` : ''}
-                            ${comment.ambience_rating ? `${(comment.food_rating || comment.price_rating) ? ' • ' : ''}🌟 ${comment.ambience_rating}` : ''}
-                        </span>
-                        <span>${new Date(comment.date).toLocaleDateString()}</span>
-                    </div>
-                    ${comment.tags ? `
-                        <div class="comment-tags">
-                            ${comment.tags.split(',').map(tag => `
-                                <span class="tag" onclick="handleTagClick('${tag.trim().replace(/'/g, "\\'")}')">${tag.trim()}</span>
-                            `).join('')}
-                        </div>
-                    ` : ''}
-                </div>
-            `).join('')}
+            <div class="comments-section">
+                ${comments ? this.renderComments(comments) : html`<div class="comments-loading">Loading reviews...</div>`}
+            </div>
             
-            <button onclick="openReviewModal('${restaurant.osm_id}')">Add Review</button>
+            ${!restaurant.closed_at && html`<button data-action="add-review" data-restaurant-id="${restaurant.osm_id}">Add Review</button>`}
         `;
+
+        // One listener per popup handles every action button and tag in it
+        popupContent.addEventListener('click', (event) => this.handleActionClick(event));
         
         return popupContent;
     }
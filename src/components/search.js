@@ -0,0 +1,263 @@
+import ApiService from '../services/ApiService.js';
+import SearchEngine from '../services/SearchEngine.js';
+import MapComponent from './map.js';
+import MarkersComponent from './markers.js';
+import ControlsComponent from './controls.js';
+import TagsComponent from '../features/tags.js';
+import debounce from '../utils/debounce.js';
+import { html } from '../utils/html.js';
+
+const MAX_RESTAURANT_SUGGESTIONS = 5;
+const MAX_TAG_SUGGESTIONS = 3;
+const MAX_CITY_SUGGESTIONS = 3;
+const CITY_MIN_QUERY_LENGTH = 3;
+const CITY_SEARCH_DELAY = 400; // Nominatim asks for at most one request per second
+
+// Suggestion groups in display order
+const SUGGESTION_GROUPS = [
+    { type: 'restaurant', title: 'Restaurants' },
+    { type: 'tag', title: 'Tags' },
+    { type: 'city', title: 'Cities' }
+];
+
+/**
+ * Search component responsible for the typeahead in the search panel
+ */
+class SearchComponent {
+    constructor() {
+        this.searchInput = null;
+        this.suggestionsContainer = null;
+        this.query = ''; // Query the shown suggestions belong to
+        this.items = []; // Suggestions as { type, value } in display order
+        this.activeIndex = -1;
+        this.debouncedSearchCities = debounce(
+            query => ApiService.searchCities(query, MAX_CITY_SUGGESTIONS),
+            CITY_SEARCH_DELAY
+        );
+    }
+
+    /**
+     * Initialize search functionality
+     */
+    initialize() {
+        this.searchInput = document.getElementById('search-input');
+        this.suggestionsContainer = document.getElementById('search-suggestions');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the search input and suggestions
+     */
+    setupEventListeners() {
+        this.searchInput?.addEventListener('input', () => this.handleInput());
+        this.searchInput?.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Keep the focus in the input while picking a suggestion
+        this.suggestionsContainer?.addEventListener('mousedown', (e) => e.preventDefault());
+        this.suggestionsContainer?.addEventListener('click', (e) => {
+            const suggestion = e.target.closest('[data-index]');
+            if (suggestion) {
+                this.selectItem(this.items[Number(suggestion.dataset.index)]);
+            }
+        });
+    }
+
+    /**
+     * Update the suggestions for the current input
+     */
+    async handleInput() {
+        const query = this.searchInput.value.trim();
+        this.query = query;
+
+        if (!query) {
+            this.clearSuggestions();
+            return;
+        }
+
+        // Restaurants and tags come from what has been loaded on the map
+        const { results } = await SearchEngine.search(query);
+        if (query !== this.query) return;
+
+        this.setItems([
+            ...results
+                .map(result => result.restaurant)
+                .filter(restaurant => restaurant)
+                .slice(0, MAX_RESTAURANT_SUGGESTIONS)
+                .map(restaurant => ({ type: 'restaurant', value: restaurant })),
+            ...SearchEngine.getTagSuggestions(query, MAX_TAG_SUGGESTIONS)
+                .map(tag => ({ type: 'tag', value: tag }))
+        ]);
+
+        if (query.length < CITY_MIN_QUERY_LENGTH) return;
+
+        // Cities are appended once the geocoder answers, if the query hasn't changed since
+        const cities = await this.debouncedSearchCities(query);
+        if (query !== this.query) return;
+
+        this.setItems([
+            ...this.items.filter(item => item.type !== 'city'),
+            ...cities.map(city => ({ type: 'city', value: city }))
+        ], this.activeIndex);
+    }
+
+    /**
+     * Handle keyboard navigation in the suggestions
+     * 
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    async handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (this.items.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActiveIndex((this.activeIndex + step + this.items.length) % this.items.length);
+                break;
+            }
+
+            case 'Enter': {
+                e.preventDefault(); // Prevent form submission
+                if (this.items.length > 0) {
+                    this.selectItem(this.items[Math.max(this.activeIndex, 0)]);
+                    return;
+                }
+
+                // Nothing suggested yet, go straight to the geocoder
+                const query = this.searchInput.value.trim();
+                if (!query) return;
+                const [city] = await ApiService.searchCities(query, 1);
+                if (city) {
+                    this.selectItem({ type: 'city', value: city });
+                } else {
+                    alert('Nothing found');
+                }
+                break;
+            }
+
+            case 'Escape':
+                if (this.items.length > 0) {
+                    this.clearSuggestions();
+                } else {
+                    ControlsComponent.closeSearchPanel();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Go to the selected suggestion
+     * 
+     * @param {Object} item - Suggestion as { type, value }
+     */
+    selectItem(item) {
+        if (!item) return;
+
+        this.searchInput.value = '';
+        this.query = '';
+        this.clearSuggestions();
+        ControlsComponent.closeSearchPanel();
+
+        switch (item.type) {
+            case 'restaurant':
+                MarkersComponent.showRestaurant(item.value);
+                break;
+            case 'tag':
+                if (!TagsComponent.hasTag(item.value)) {
+                    TagsComponent.toggleTag(item.value);
+                }
+                break;
+            case 'city':
+                MapComponent.setView(item.value.lat, item.value.lon, 15);
+                break;
+        }
+    }
+
+    /**
+     * Replace the suggestions and render them
+     * 
+     * @param {Array} items - Suggestions as { type, value }
+     * @param {number} activeIndex - Index of the highlighted suggestion
+     */
+    setItems(items, activeIndex = -1) {
+        this.items = items;
+        this.activeIndex = activeIndex < items.length ? activeIndex : -1;
+        this.render();
+    }
+
+    /**
+     * Remove all suggestions
+     */
+    clearSuggestions() {
+        this.setItems([]);
+    }
+
+    /**
+     * Highlight a suggestion
+     * 
+     * @param {number} index - Index of the suggestion
+     */
+    setActiveIndex(index) {
+        this.activeIndex = index;
+        this.suggestionsContainer?.querySelectorAll('[data-index]').forEach(suggestion => {
+            const isActive = Number(suggestion.dataset.index) === index;
+            suggestion.classList.toggle('active', isActive);
+            suggestion.setAttribute('aria-selected', isActive);
+            if (isActive) suggestion.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Render the suggestions grouped by type
+     */
+    render() {
+        if (!this.suggestionsContainer) return;
+
+        const indexed = this.items.map((item, index) => ({ ...item, index }));
+        this.suggestionsContainer.innerHTML = html`${SUGGESTION_GROUPS.map(({ type, title }) => {
+            const groupItems = indexed.filter(item => item.type === type);
+            if (groupItems.length === 0) return null;
+            return html`
+                <div class="search-suggestion-group" role="group" aria-label="${title}">
+                    <div class="search-suggestion-title">${title}</div>
+                    ${groupItems.map(item => this.renderItem(item))}
+                </div>
+            `;
+        })}`;
+        this.suggestionsContainer.classList.toggle('active', this.items.length > 0);
+        this.searchInput?.setAttribute('aria-expanded', this.items.length > 0);
+    }
+
+    /**
+     * Render a single suggestion
+     * 
+     * @param {Object} item - Suggestion as { type, value, index }
+     * @returns {SafeHtml} - Suggestion markup
+     */
+    renderItem({ type, value, index }) {
+        let icon, label, detail;
+        if (type === 'restaurant') {
+            icon = MarkersComponent.getAmenityEmoji(value.amenity);
+            label = value.name;
+            detail = value.address;
+        } else if (type === 'tag') {
+            icon = '🏷️';
+            label = value;
+        } else {
+            icon = '📍';
+            label = value.name;
+        }
+
+        const isActive = index === this.activeIndex;
+        return html`
+            <div class="search-suggestion${isActive ? ' active' : ''}" role="option" aria-selected="${isActive}" data-index="${index}">
+                <span class="search-suggestion-icon">${icon}</span>
+                <span class="search-suggestion-label">${label}</span>
+                ${detail ? html`<span class="search-suggestion-detail">${detail}</span>` : ''}
+            </div>
+        `;
+    }
+}
+
+export default new SearchComponent();
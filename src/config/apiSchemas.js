@@ -0,0 +1,223 @@
+import {
+    REVIEW_TEXT_MAX_LENGTH,
+    TAG_MAX_LENGTH,
+    MAX_TAGS_PER_REVIEW,
+    TAG_PATTERN,
+    REVIEW_TEXT_PATTERN
+} from './reviewConfig.js';
+import { OSM_ID_PATTERN } from '../utils/osmIds.js';
+
+// Max number of restaurants per /restaurants/bulk request
+const BULK_MAX_IDS = 100;
+// Max length of the reason given when reporting content
+const REPORT_REASON_MAX_LENGTH = 500;
+// Max length of a search query and max number of search results
+const SEARCH_QUERY_MAX_LENGTH = 100;
+const SEARCH_MAX_RESULTS = 50;
+
+// Building blocks shared by several routes
+const restaurantId = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    pattern: OSM_ID_PATTERN.source,
+    'x-pattern-message': 'Restaurant IDs are typed OpenStreetMap IDs, e.g. n123 for node 123',
+    description: 'OpenStreetMap ID of the restaurant, n, w or r for a node, way or relation followed by its number'
+};
+
+// Links shared before IDs were typed use the bare node number
+const restaurantLinkId = {
+    ...restaurantId,
+    pattern: '^[nwr]?[0-9]+$',
+    description: `${restaurantId.description}. Bare numbers from older links are taken as nodes.`
+};
+
+const coordinate = { type: 'number' };
+
+const rating = {
+    type: 'integer',
+    minimum: 1,
+    maximum: 5,
+    nullable: true
+};
+
+const reviewText = {
+    type: 'string',
+    nullable: true,
+    maxLength: REVIEW_TEXT_MAX_LENGTH,
+    pattern: REVIEW_TEXT_PATTERN.source,
+    'x-pattern-message': 'Review text contains invalid characters'
+};
+
+const tag = {
+    type: 'string',
+    minLength: 1,
+    maxLength: TAG_MAX_LENGTH,
+    pattern: TAG_PATTERN.source,
+    'x-pattern-message': 'Tags can only contain letters, numbers, spaces, hyphens and underscores'
+};
+
+const tags = {
+    type: 'array',
+    nullable: true,
+    maxItems: MAX_TAGS_PER_REVIEW,
+    items: tag
+};
+
+const contentType = { type: 'string', enum: ['comment', 'tag'] };
+
+const id = { type: 'integer', minimum: 1 };
+
+const commentFields = {
+    text: reviewText,
+    foodRating: rating,
+    priceRating: rating,
+    ambienceRating: rating
+};
+
+const reviewFields = { ...commentFields, tags };
+
+/**
+ * Request schemas by route, keyed by "METHOD /express/path". Each entry has
+ * optional params, query and body object schemas.
+ */
+const requestSchemas = {
+    'GET /restaurants': {
+        query: {
+            type: 'object',
+            required: ['south', 'west', 'north', 'east'],
+            properties: {
+                south: coordinate,
+                west: coordinate,
+                north: coordinate,
+                east: coordinate,
+                aggregates: { type: 'boolean', default: false }
+            }
+        }
+    },
+    'GET /restaurants/:osmId': {
+        params: { type: 'object', required: ['osmId'], properties: { osmId: restaurantLinkId } }
+    },
+    'GET /search': {
+        query: {
+            type: 'object',
+            required: ['q'],
+            properties: {
+                q: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: SEARCH_QUERY_MAX_LENGTH,
+                    description: 'Words to look for in restaurant names, addresses and tags, each matched as a prefix'
+                },
+                south: { ...coordinate, description: 'Restrict results to a bounding box, given with west, north and east' },
+                west: coordinate,
+                north: coordinate,
+                east: coordinate,
+                lat: {
+                    type: 'number',
+                    minimum: -90,
+                    maximum: 90,
+                    description: 'Rank nearer matches first, defaults to the center of the bounding box'
+                },
+                lng: { type: 'number', minimum: -180, maximum: 180 },
+                limit: { type: 'integer', minimum: 1, maximum: SEARCH_MAX_RESULTS, default: 20 }
+            }
+        }
+    },
+    'POST /restaurants/bulk': {
+        body: {
+            type: 'object',
+            required: ['ids'],
+            properties: {
+                ids: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: BULK_MAX_IDS,
+                    items: { anyOf: [restaurantLinkId, { type: 'integer', minimum: 0 }] }
+                }
+            }
+        }
+    },
+    'GET /comments/:restaurantId': {
+        params: { type: 'object', required: ['restaurantId'], properties: { restaurantId } }
+    },
+    'POST /comments': {
+        body: {
+            type: 'object',
+            required: ['restaurantId'],
+            properties: { restaurantId, ...commentFields }
+        }
+    },
+    'GET /tags/:restaurantId': {
+        params: { type: 'object', required: ['restaurantId'], properties: { restaurantId } }
+    },
+    'POST /tags': {
+        body: {
+            type: 'object',
+            required: ['restaurantId', 'tags', 'commentId'],
+            properties: {
+                restaurantId,
+                tags: { ...tags, nullable: false },
+                // Older clients send the whole POST /comments response as commentId
+                commentId: {
+                    anyOf: [
+                        id,
+                        { type: 'object', required: ['id'], properties: { id } }
+                    ]
+                }
+            }
+        }
+    },
+    'POST /reviews': {
+        body: {
+            type: 'object',
+            required: ['restaurantId'],
+            properties: { restaurantId, ...reviewFields }
+        }
+    },
+    'PATCH /comments/:id': {
+        params: { type: 'object', required: ['id'], properties: { id } },
+        body: {
+            type: 'object',
+            properties: { ...reviewFields, editToken: { type: 'string' } }
+        }
+    },
+    'DELETE /comments/:id': {
+        params: { type: 'object', required: ['id'], properties: { id } }
+    },
+    'POST /reports': {
+        body: {
+            type: 'object',
+            required: ['contentType', 'contentId'],
+            properties: {
+                contentType,
+                contentId: id,
+                reason: { type: 'string', nullable: true, maxLength: REPORT_REASON_MAX_LENGTH }
+            }
+        }
+    },
+    'GET /admin/moderation': {
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['open', 'all'], default: 'open' }
+            }
+        }
+    },
+    'POST /admin/moderation/:contentType/:contentId/hide': {
+        params: { type: 'object', required: ['contentType', 'contentId'], properties: { contentType, contentId: id } }
+    },
+    'POST /admin/moderation/:contentType/:contentId/restore': {
+        params: { type: 'object', required: ['contentType', 'contentId'], properties: { contentType, contentId: id } }
+    },
+    'DELETE /admin/moderation/:contentType/:contentId': {
+        params: { type: 'object', required: ['contentType', 'contentId'], properties: { contentType, contentId: id } }
+    },
+    'GET /r/:osmId': {
+        params: { type: 'object', required: ['osmId'], properties: { osmId: restaurantLinkId } }
+    }
+};
+
+export {
+    requestSchemas
+};
@@ -0,0 +1,535 @@
+import { requestSchemas } from './apiSchemas.js';
+
+/**
+ * OpenAPI 3 description of the HTTP API. Parameters and request bodies come
+ * from the same requestSchemas the routes validate with, this file only adds
+ * summaries and response shapes. checkRouteDocs makes the server refuse to
+ * start when a route and its documentation disagree.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = schema => ({ 'application/json': { schema } });
+
+const response = (description, schema) => ({ description, content: json(schema) });
+
+const errorResponse = description => response(description, ref('Error'));
+
+const ratingAverage = { type: 'number', nullable: true, minimum: 1, maximum: 5 };
+
+const osmTag = description => ({ type: 'string', nullable: true, description });
+
+const componentSchemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message', 'field'],
+                properties: {
+                    code: { type: 'string', example: 'out_of_range' },
+                    message: { type: 'string', example: 'foodRating must be between 1 and 5' },
+                    field: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Request field the error is about, e.g. "text" or "tags[2]"',
+                        example: 'foodRating'
+                    },
+                    retryAfter: { type: 'integer', description: 'Seconds to wait, sent with 429 responses' }
+                }
+            }
+        }
+    },
+    Success: {
+        type: 'object',
+        properties: { success: { type: 'boolean', example: true } }
+    },
+    Restaurant: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            osm_id: { type: 'string', description: 'Typed OpenStreetMap ID: n, w or r for a node, way or relation', example: 'n123' },
+            name: { type: 'string' },
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            address: {
+                type: 'string',
+                nullable: true,
+                description: 'OSM addr:full value, or the addr:* parts in the local order of the country',
+                example: 'Rua Augusta 10, 1100-053 Lisboa'
+            },
+            street: osmTag('OSM addr:street value, or addr:place for addresses without a street'),
+            housenumber: osmTag('OSM addr:housenumber value'),
+            postcode: osmTag('OSM addr:postcode value'),
+            city: osmTag('OSM addr:city value'),
+            country: osmTag('ISO 3166 country code from addr:country, or guessed from the location'),
+            closed_at: {
+                type: 'string',
+                nullable: true,
+                description: 'When a refresh of the area no longer found the restaurant on OpenStreetMap, null while it is open'
+            },
+            opening_hours: { type: 'string', nullable: true, description: 'OSM opening_hours value' },
+            amenity: { type: 'string', example: 'restaurant' },
+            last_updated: { type: 'string', nullable: true },
+            bbox_key: { type: 'string', nullable: true },
+            cuisine: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'OSM cuisine values',
+                example: ['italian', 'pizza']
+            },
+            diet: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'OSM diet:* tags without the prefix, values are yes, no, limited or only',
+                example: { vegan: 'yes', gluten_free: 'limited' }
+            },
+            wheelchair: osmTag('OSM wheelchair value: yes, limited or no'),
+            outdoor_seating: osmTag('OSM outdoor_seating value'),
+            website: osmTag('OSM website value, not necessarily a full URL'),
+            phone: osmTag('OSM phone value, several numbers are separated by ;'),
+            takeaway: osmTag('OSM takeaway value: yes, no or only'),
+            delivery: osmTag('OSM delivery value: yes, no or only')
+        }
+    },
+    RestaurantWithAggregates: {
+        allOf: [
+            ref('Restaurant'),
+            {
+                type: 'object',
+                description: 'Only present with aggregates=true',
+                properties: {
+                    avg_food: ratingAverage,
+                    avg_price: ratingAverage,
+                    avg_ambience: ratingAverage,
+                    review_count: { type: 'integer' },
+                    food_rating_count: { type: 'integer', description: 'Reviews with a food rating, the ones avg_food averages' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    has_reviews: { type: 'boolean' }
+                }
+            }
+        ]
+    },
+    SearchResult: {
+        allOf: [
+            ref('Restaurant'),
+            {
+                type: 'object',
+                properties: {
+                    distance_km: {
+                        type: 'number',
+                        nullable: true,
+                        description: 'Distance from lat/lng or the center of the bounding box, null without either'
+                    }
+                }
+            }
+        ]
+    },
+    AverageRatings: {
+        type: 'object',
+        properties: {
+            food: ratingAverage,
+            price: ratingAverage,
+            ambience: ratingAverage
+        }
+    },
+    Comment: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            restaurant_id: { type: 'string' },
+            text: { type: 'string' },
+            food_rating: { type: 'integer', nullable: true },
+            price_rating: { type: 'integer', nullable: true },
+            ambience_rating: { type: 'integer', nullable: true },
+            date: { type: 'string', example: '2025-03-01 12:00:00' },
+            tags: { type: 'string', nullable: true, description: 'Comma separated tag names' }
+        }
+    },
+    Review: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            restaurant_id: { type: 'string' },
+            text: { type: 'string' },
+            food_rating: { type: 'integer', nullable: true },
+            price_rating: { type: 'integer', nullable: true },
+            ambience_rating: { type: 'integer', nullable: true },
+            date: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    CreatedReview: {
+        allOf: [
+            ref('Review'),
+            {
+                type: 'object',
+                properties: {
+                    editToken: { type: 'string', description: 'Secret needed to edit or delete the review, only returned once' }
+                }
+            }
+        ]
+    },
+    RestaurantDetails: {
+        type: 'object',
+        properties: {
+            restaurant: ref('Restaurant'),
+            comments: { type: 'array', items: ref('Comment') },
+            tags: { type: 'array', items: { type: 'string' } },
+            avgRatings: ref('AverageRatings')
+        }
+    },
+    ModerationItem: {
+        type: 'object',
+        properties: {
+            content_type: { type: 'string', enum: ['comment', 'tag'] },
+            content_id: { type: 'integer' },
+            report_count: { type: 'integer' },
+            reasons: { type: 'string', nullable: true, description: 'Reasons joined with " | "' },
+            first_reported_at: { type: 'string' },
+            last_reported_at: { type: 'string' },
+            restaurant_id: { type: 'string', nullable: true },
+            content: { type: 'string', nullable: true },
+            hidden: { type: 'integer', nullable: true, enum: [0, 1] }
+        }
+    }
+};
+
+// Responses shared by the write routes
+const writeErrors = {
+    400: errorResponse('Invalid request'),
+    429: errorResponse('Too many requests, see Retry-After')
+};
+const editErrors = {
+    ...writeErrors,
+    401: errorResponse('Edit token missing'),
+    403: errorResponse('Edit token does not match'),
+    404: errorResponse('Comment not found')
+};
+const adminErrors = {
+    400: errorResponse('Invalid content type or id'),
+    401: errorResponse('Missing or invalid admin token'),
+    503: errorResponse('Moderation is disabled because ADMIN_TOKEN is not set')
+};
+
+const editTokenHeader = {
+    name: 'X-Edit-Token',
+    in: 'header',
+    description: 'Edit token returned when the review was created. Can also be sent as editToken in the body.',
+    schema: { type: 'string' }
+};
+
+/**
+ * Documentation of every route, keyed like requestSchemas
+ */
+const routeDocs = {
+    'GET /restaurants': {
+        tags: ['Restaurants'],
+        summary: 'List restaurants inside a bounding box',
+        description: 'Restaurants are fetched from OpenStreetMap the first time an area is requested. ' +
+            'Restaurants a later refresh no longer found are kept with closed_at set, and listed for 180 days.',
+        responses: {
+            200: response('Restaurants in the bounding box', { type: 'array', items: ref('RestaurantWithAggregates') }),
+            400: errorResponse('Invalid coordinates')
+        }
+    },
+    'GET /restaurants/:osmId': {
+        tags: ['Restaurants'],
+        summary: 'Get one restaurant with its review aggregates',
+        description: 'Only restaurants already fetched from OpenStreetMap are found.',
+        responses: {
+            200: response('Restaurant', ref('RestaurantWithAggregates')),
+            404: errorResponse('Restaurant not found')
+        }
+    },
+    'GET /search': {
+        tags: ['Restaurants'],
+        summary: 'Full-text search over restaurant names, addresses and tags',
+        description: 'Accents are ignored, so "pasteis" finds "Pastéis". Only restaurants already fetched ' +
+            'from OpenStreetMap and still open are searched. Results are ranked by relevance, and by distance when an origin is known.',
+        responses: {
+            200: response('Matching restaurants, best first', { type: 'array', items: ref('SearchResult') }),
+            400: errorResponse('Invalid query')
+        }
+    },
+    'POST /restaurants/bulk': {
+        tags: ['Restaurants'],
+        summary: 'Get restaurants with their comments, tags and average ratings',
+        description: 'Bare numbers from older clients are taken as node IDs, and the response uses the typed IDs.',
+        responses: {
+            200: response('Details by typed OSM id, and the ids that were not found', {
+                type: 'object',
+                properties: {
+                    restaurants: { type: 'object', additionalProperties: ref('RestaurantDetails') },
+                    missing: { type: 'array', items: { type: 'string' } }
+                }
+            }),
+            400: errorResponse('Invalid ids')
+        }
+    },
+    'GET /comments/:restaurantId': {
+        tags: ['Reviews'],
+        summary: 'List the visible comments of a restaurant, newest first',
+        responses: {
+            200: response('Comments', { type: 'array', items: ref('Comment') })
+        }
+    },
+    'POST /comments': {
+        tags: ['Reviews'],
+        summary: 'Add a comment without tags',
+        deprecated: true,
+        description: 'Use POST /reviews, which saves the comment and its tags in one transaction.',
+        responses: {
+            200: response('Saved comment', {
+                type: 'object',
+                properties: { id: { type: 'integer' }, editToken: { type: 'string' } }
+            }),
+            ...writeErrors,
+            409: errorResponse('Duplicate review')
+        }
+    },
+    'GET /tags/:restaurantId': {
+        tags: ['Reviews'],
+        summary: 'List the visible tags of a restaurant',
+        responses: {
+            200: response('Tag names', { type: 'array', items: { type: 'string' } })
+        }
+    },
+    'POST /tags': {
+        tags: ['Reviews'],
+        summary: 'Add tags to an existing comment',
+        deprecated: true,
+        description: 'Use POST /reviews, which saves the comment and its tags in one transaction.',
+        responses: {
+            200: response('Tags saved', ref('Success')),
+            ...writeErrors,
+            404: errorResponse('Comment not found')
+        }
+    },
+    'POST /reviews': {
+        tags: ['Reviews'],
+        summary: 'Save a review with its ratings and tags',
+        description: 'At least one of text, a rating or a tag is required. Keep the returned editToken to edit or delete the review.',
+        responses: {
+            201: response('Saved review', ref('CreatedReview')),
+            ...writeErrors,
+            409: errorResponse('Duplicate review')
+        }
+    },
+    'PATCH /comments/:id': {
+        tags: ['Reviews'],
+        summary: 'Edit a review',
+        description: 'Fields left out keep their current value. Tags replace the current tags.',
+        parameters: [editTokenHeader],
+        responses: {
+            200: response('Updated review', ref('Review')),
+            ...editErrors
+        }
+    },
+    'DELETE /comments/:id': {
+        tags: ['Reviews'],
+        summary: 'Delete a review',
+        parameters: [editTokenHeader],
+        responses: {
+            200: response('Review deleted', ref('Success')),
+            ...editErrors
+        }
+    },
+    'POST /reports': {
+        tags: ['Moderation'],
+        summary: 'Report a comment or tag to the moderators',
+        responses: {
+            201: response('Report saved', ref('Success')),
+            ...writeErrors,
+            404: errorResponse('Reported content not found')
+        }
+    },
+    'GET /admin/moderation': {
+        tags: ['Moderation'],
+        summary: 'List reported content, most reported first',
+        admin: true,
+        responses: {
+            200: response('Reported content', { type: 'array', items: ref('ModerationItem') }),
+            ...adminErrors
+        }
+    },
+    'POST /admin/moderation/:contentType/:contentId/hide': {
+        tags: ['Moderation'],
+        summary: 'Hide a comment or tag and close its reports',
+        admin: true,
+        responses: {
+            200: response('Content hidden', ref('Success')),
+            ...adminErrors,
+            404: errorResponse('Content not found')
+        }
+    },
+    'POST /admin/moderation/:contentType/:contentId/restore': {
+        tags: ['Moderation'],
+        summary: 'Show a hidden comment or tag again and close its reports',
+        admin: true,
+        responses: {
+            200: response('Content restored', ref('Success')),
+            ...adminErrors,
+            404: errorResponse('Content not found')
+        }
+    },
+    'DELETE /admin/moderation/:contentType/:contentId': {
+        tags: ['Moderation'],
+        summary: 'Delete a comment or tag and close its reports',
+        admin: true,
+        responses: {
+            200: response('Content deleted', ref('Success')),
+            ...adminErrors,
+            404: errorResponse('Content not found')
+        }
+    },
+    'GET /r/:osmId': {
+        tags: ['Pages'],
+        summary: 'Open the map on a restaurant',
+        description: 'Shareable link to a restaurant. The page has the restaurant\'s details, latest reviews, ' +
+            'Open Graph and schema.org Restaurant markup, and starts the app centered on the restaurant.',
+        responses: {
+            200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+            301: { description: 'Older link with a bare node number, redirects to its typed ID' },
+            404: { description: 'Unknown restaurant, the plain app page', content: { 'text/html': { schema: { type: 'string' } } } }
+        }
+    },
+    'GET /api/openapi.json': {
+        tags: ['Documentation'],
+        summary: 'This document',
+        responses: {
+            200: response('OpenAPI 3 document', { type: 'object' })
+        }
+    },
+    'GET /api/docs': {
+        tags: ['Documentation'],
+        summary: 'Browsable documentation of the API',
+        responses: {
+            200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+        }
+    }
+};
+
+/**
+ * Convert an Express path to an OpenAPI path, e.g. /comments/:id to /comments/{id}
+ * 
+ * @param {string} path - Express path
+ * @returns {string} - OpenAPI path
+ */
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Turn a params or query object schema into OpenAPI parameters
+ * 
+ * @param {string} location - 'path' or 'query'
+ * @param {Object} schema - Object schema of the params or query
+ * @returns {Array} - OpenAPI parameter objects
+ */
+function toParameters(location, schema) {
+    if (!schema) return [];
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, propertySchema]) => {
+        const { description, ...rest } = propertySchema;
+        return {
+            name,
+            in: location,
+            required: location === 'path' || required.includes(name),
+            ...(description && { description }),
+            schema: rest
+        };
+    });
+}
+
+/**
+ * Build the OpenAPI document of the API
+ * 
+ * @returns {Object} - OpenAPI 3 document
+ */
+function buildOpenApiDocument() {
+    const paths = {};
+
+    for (const [route, doc] of Object.entries(routeDocs)) {
+        const [method, path] = route.split(' ');
+        const schemas = requestSchemas[route] || {};
+        const { admin, parameters = [], ...operation } = doc;
+
+        const allParameters = [
+            ...toParameters('path', schemas.params),
+            ...toParameters('query', schemas.query),
+            ...parameters
+        ];
+
+        const openApiPath = toOpenApiPath(path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method.toLowerCase()] = {
+            ...operation,
+            ...(allParameters.length > 0 && { parameters: allParameters }),
+            ...(schemas.body && { requestBody: { required: true, content: json(schemas.body) } }),
+            ...(admin && { security: [{ adminToken: [] }] })
+        };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'MensaViva API',
+            version: '1.0.0',
+            description: 'Restaurants from OpenStreetMap with community ratings, reviews and tags. ' +
+                'Errors are returned as { error: { code, message, field } }.'
+        },
+        tags: [
+            { name: 'Restaurants' },
+            { name: 'Reviews' },
+            { name: 'Moderation' },
+            { name: 'Pages' },
+            { name: 'Documentation' }
+        ],
+        paths,
+        components: {
+            schemas: componentSchemas,
+            securitySchemes: {
+                adminToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Value of the ADMIN_TOKEN environment variable'
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Compare the routes registered on the server with the documented ones and
+ * with the request schemas, so neither can drift from server.js
+ * 
+ * @param {Array} routes - Registered routes as "METHOD /express/path"
+ * @returns {Array} - Problems found, empty if routes, docs and schemas agree
+ */
+function checkRouteDocs(routes) {
+    const problems = [];
+
+    routes.filter(route => !routeDocs[route])
+        .forEach(route => problems.push(`${route} is not documented`));
+    Object.keys(routeDocs).filter(route => !routes.includes(route))
+        .forEach(route => problems.push(`${route} is documented but not registered`));
+    Object.keys(requestSchemas).filter(route => !routes.includes(route))
+        .forEach(route => problems.push(`${route} has a request schema but is not registered`));
+
+    // Every path parameter must be validated by a params schema
+    routes.forEach(route => {
+        const paramNames = [...route.matchAll(/:(\w+)/g)].map(match => match[1]);
+        const properties = requestSchemas[route]?.params?.properties || {};
+        paramNames.filter(name => !properties[name])
+            .forEach(name => problems.push(`${route} has no schema for path parameter ${name}`));
+    });
+
+    return problems;
+}
+
+export {
+    buildOpenApiDocument,
+    checkRouteDocs
+};
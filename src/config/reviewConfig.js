@@ -0,0 +1,18 @@
+// Limits on user content, enforced by the server and mirrored in the review modal
+const REVIEW_TEXT_MAX_LENGTH = 2000;
+const TAG_MAX_LENGTH = 30;
+const MAX_TAGS_PER_REVIEW = 10;
+
+// Tags are letters and digits in any script, with inner spaces, hyphens and underscores
+const TAG_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N}\p{M} _-]*[\p{L}\p{N}\p{M}])?$/u;
+
+// Review text can't contain control characters other than tab and newlines
+const REVIEW_TEXT_PATTERN = /^[^\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]*$/u;
+
+export {
+    REVIEW_TEXT_MAX_LENGTH,
+    TAG_MAX_LENGTH,
+    MAX_TAGS_PER_REVIEW,
+    TAG_PATTERN,
+    REVIEW_TEXT_PATTERN
+};
@@ -0,0 +1,503 @@
+/**
+ * Versioned schema migrations for restaurant.db
+ *
+ * Every process that opens the database (the server and the CLI scripts) calls
+ * runMigrations on startup. Migrations are applied in order, each inside its own
+ * transaction, and recorded in the schema_version table so they run only once.
+ * Add new migrations to the end of the list with the next version number and
+ * never edit one that has already shipped.
+ */
+
+/**
+ * Run a statement and return a promise of its result
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} Resolves to { lastID, changes }
+ */
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+/**
+ * Run a query and return a promise of all rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Result rows
+ */
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Get the column names of a table
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} table - Table name
+ * @returns {Promise<Array>} Column names, empty if the table does not exist
+ */
+async function getColumns(db, table) {
+    const rows = await all(db, `PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+}
+
+/**
+ * Recreate a table from a new definition, copying over the columns the old
+ * table has in common with it
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} createSql - CREATE TABLE statement using the placeholder table name {table}
+ */
+async function rebuildTable(db, table, createSql) {
+    const oldColumns = await getColumns(db, table);
+    const tempTable = `${table}_migrated`;
+
+    await run(db, `DROP TABLE IF EXISTS ${tempTable}`);
+    await run(db, createSql.replace('{table}', tempTable));
+
+    const newColumns = await getColumns(db, tempTable);
+    const shared = newColumns.filter(column => oldColumns.includes(column)).join(', ');
+
+    // A row that violates the new constraints fails the migration rather than being dropped
+    await run(db, `INSERT INTO ${tempTable} (${shared}) SELECT ${shared} FROM ${table}`);
+    await run(db, `DROP TABLE ${table}`);
+    await run(db, `ALTER TABLE ${tempTable} RENAME TO ${table}`);
+}
+
+/**
+ * Ordered list of migrations. Each migration receives the database connection
+ * and runs inside a transaction. Every migration spells out its own SQL, so a
+ * later schema change can't alter what an applied migration did.
+ */
+const migrations = [
+    {
+        version: 1,
+        description: 'Create base tables',
+        up: async (db) => {
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS restaurants (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    osm_id TEXT UNIQUE,
+                    name TEXT NOT NULL,
+                    lat REAL NOT NULL,
+                    lng REAL NOT NULL,
+                    address TEXT,
+                    opening_hours TEXT,
+                    amenity TEXT DEFAULT 'restaurant',
+                    last_updated TIMESTAMP,
+                    bbox_key TEXT,
+                    UNIQUE(lat, lng)
+                )
+            `);
+
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS map_regions (
+                    bbox_key TEXT PRIMARY KEY,
+                    min_lat REAL,
+                    max_lat REAL,
+                    min_lng REAL,
+                    max_lng REAL,
+                    last_updated TIMESTAMP
+                )
+            `);
+
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS comments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    restaurant_id TEXT NOT NULL,
+                    text TEXT NOT NULL,
+                    food_rating INTEGER CHECK (food_rating IS NULL OR food_rating BETWEEN 1 AND 5),
+                    price_rating INTEGER CHECK (price_rating IS NULL OR price_rating BETWEEN 1 AND 5),
+                    ambience_rating INTEGER CHECK (ambience_rating IS NULL OR ambience_rating BETWEEN 1 AND 5),
+                    date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (restaurant_id) REFERENCES restaurants(osm_id)
+                )
+            `);
+
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    restaurant_id TEXT NOT NULL,
+                    comment_id INTEGER,
+                    name TEXT NOT NULL,
+                    FOREIGN KEY (restaurant_id) REFERENCES restaurants(osm_id),
+                    FOREIGN KEY (comment_id) REFERENCES comments(id)
+                )
+            `);
+
+            await run(db, `
+                CREATE TABLE IF NOT EXISTS comment_tags (
+                    comment_id INTEGER NOT NULL,
+                    tag_id INTEGER NOT NULL,
+                    PRIMARY KEY (comment_id, tag_id),
+                    FOREIGN KEY (comment_id) REFERENCES comments(id),
+                    FOREIGN KEY (tag_id) REFERENCES tags(id)
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        description: 'Rebuild restaurants with amenity column',
+        up: async (db) => {
+            // Databases created by init-db.js lack the amenity column. The rebuild leaves out
+            // UNIQUE(lat, lng), restaurants sharing a building share coordinates.
+            await rebuildTable(db, 'restaurants', `
+                CREATE TABLE IF NOT EXISTS {table} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    osm_id TEXT UNIQUE,
+                    name TEXT NOT NULL,
+                    lat REAL NOT NULL,
+                    lng REAL NOT NULL,
+                    address TEXT,
+                    opening_hours TEXT,
+                    amenity TEXT DEFAULT 'restaurant',
+                    last_updated TIMESTAMP,
+                    bbox_key TEXT
+                )
+            `);
+            await run(db, `UPDATE restaurants SET amenity = 'restaurant' WHERE amenity IS NULL`);
+        }
+    },
+    {
+        version: 3,
+        description: 'Add tags.comment_id',
+        up: async (db) => {
+            const columns = await getColumns(db, 'tags');
+            if (!columns.includes('comment_id')) {
+                await run(db, 'ALTER TABLE tags ADD COLUMN comment_id INTEGER REFERENCES comments(id)');
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Create indexes',
+        up: async (db) => {
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_restaurants_location ON restaurants(lat, lng)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_restaurants_amenity ON restaurants(amenity)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_comments_restaurant ON comments(restaurant_id)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_tags_restaurant ON tags(restaurant_id)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_tags_comment ON tags(comment_id)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_comment_tags_comment ON comment_tags(comment_id)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_comment_tags_tag ON comment_tags(tag_id)');
+        }
+    },
+    {
+        version: 5,
+        description: 'Add comments.edit_token_hash',
+        up: async (db) => {
+            // SHA-256 of the secret edit token handed to the browser that wrote the review
+            await run(db, 'ALTER TABLE comments ADD COLUMN edit_token_hash TEXT');
+        }
+    },
+    {
+        version: 6,
+        description: 'Add moderation reports and hidden flags',
+        up: async (db) => {
+            await run(db, 'ALTER TABLE comments ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0');
+            await run(db, 'ALTER TABLE tags ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0');
+
+            await run(db, `
+                CREATE TABLE moderation_reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    content_type TEXT NOT NULL CHECK (content_type IN ('comment', 'tag')),
+                    content_id INTEGER NOT NULL,
+                    reason TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolution TEXT CHECK (resolution IS NULL OR resolution IN ('hidden', 'restored', 'deleted')),
+                    resolved_at DATETIME
+                )
+            `);
+            await run(db, 'CREATE INDEX idx_moderation_reports_content ON moderation_reports(content_type, content_id)');
+        }
+    },
+    {
+        version: 7,
+        description: 'Add comments.client_hash for duplicate review detection',
+        up: async (db) => {
+            await run(db, 'ALTER TABLE comments ADD COLUMN client_hash TEXT');
+            await run(db, 'CREATE INDEX idx_comments_client ON comments(client_hash, date)');
+            await run(db, 'CREATE INDEX idx_comments_restaurant_date ON comments(restaurant_id, date)');
+        }
+    },
+    {
+        version: 8,
+        description: 'Add restaurants_fts full-text search index',
+        up: async (db) => {
+            // remove_diacritics lets "pasteis" match "Pastéis", prefix indexes speed up typeahead queries
+            await run(db, `
+                CREATE VIRTUAL TABLE restaurants_fts USING fts5(
+                    name, address, tags,
+                    tokenize = 'unicode61 remove_diacritics 2',
+                    prefix = '2 3'
+                )
+            `);
+            await run(db, `
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                SELECT id, name, address,
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = restaurants.osm_id AND hidden = 0)
+                FROM restaurants
+            `);
+
+            // The fts rowid is restaurants.id. INSERT OR REPLACE deletes the replaced row without
+            // firing delete triggers, so the BEFORE INSERT trigger drops the index rows of the
+            // restaurants the insert is about to replace.
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_before_insert BEFORE INSERT ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid IN (
+                    SELECT id FROM restaurants WHERE osm_id = new.osm_id OR (lat = new.lat AND lng = new.lng)
+                );
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_insert AFTER INSERT ON restaurants BEGIN
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name, new.address,
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_update AFTER UPDATE OF osm_id, name, address ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid = old.id;
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name, new.address,
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_delete AFTER DELETE ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid = old.id;
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_insert AFTER INSERT ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = new.restaurant_id);
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_update AFTER UPDATE OF restaurant_id, name, hidden ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = old.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = old.restaurant_id);
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = new.restaurant_id);
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_delete AFTER DELETE ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = old.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = old.restaurant_id);
+            END`);
+        }
+    },
+    {
+        version: 9,
+        description: 'Add OSM attribute columns to restaurants',
+        up: async (db) => {
+            // diet holds the diet:* tags as a JSON object, cuisine the ; separated OSM list
+            const columns = await getColumns(db, 'restaurants');
+            for (const column of ['cuisine', 'diet', 'wheelchair', 'outdoor_seating', 'website', 'phone', 'takeaway', 'delivery']) {
+                if (!columns.includes(column)) {
+                    await run(db, `ALTER TABLE restaurants ADD COLUMN ${column} TEXT`);
+                }
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Add address part columns to restaurants',
+        up: async (db) => {
+            // The parts of the addr:* tags, address keeps the formatted address
+            const columns = await getColumns(db, 'restaurants');
+            for (const column of ['street', 'housenumber', 'postcode', 'city', 'country']) {
+                if (!columns.includes(column)) {
+                    await run(db, `ALTER TABLE restaurants ADD COLUMN ${column} TEXT`);
+                }
+            }
+
+            // The search index also reads the street and city, in case an addr:full address leaves them out
+            await run(db, 'DROP TRIGGER IF EXISTS restaurants_fts_after_insert');
+            await run(db, 'DROP TRIGGER IF EXISTS restaurants_fts_after_update');
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_insert AFTER INSERT ON restaurants BEGIN
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name,
+                    trim(coalesce(new.address, '') || ' ' || coalesce(new.street, '') || ' ' || coalesce(new.city, '')),
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_update AFTER UPDATE OF osm_id, name, address, street, city ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid = old.id;
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name,
+                    trim(coalesce(new.address, '') || ' ' || coalesce(new.street, '') || ' ' || coalesce(new.city, '')),
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `
+                UPDATE restaurants_fts SET address = (
+                    SELECT trim(coalesce(restaurants.address, '') || ' ' || coalesce(restaurants.street, '') || ' ' ||
+                        coalesce(restaurants.city, ''))
+                    FROM restaurants WHERE restaurants.id = restaurants_fts.rowid
+                )
+            `);
+        }
+    },
+    {
+        version: 11,
+        description: 'Type OSM ids and drop UNIQUE(lat, lng) from restaurants',
+        up: async (db) => {
+            // The rebuild keeps restaurants.id, so restaurants_fts rows stay valid. The tags
+            // triggers read restaurants and would break the rename, so every trigger goes first.
+            const triggers = await all(db, `SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE '%fts%'`);
+            for (const { name } of triggers) {
+                await run(db, `DROP TRIGGER ${name}`);
+            }
+
+            // osm_id is the typed OSM id, e.g. n123 or w123. Restaurants sharing a building share
+            // coordinates, and tables created by the server before migrations still have UNIQUE(lat, lng).
+            // Rows that constraint kept out come back with the next refresh of their area and find
+            // their reviews again, as those are keyed by osm_id.
+            await rebuildTable(db, 'restaurants', `
+                CREATE TABLE IF NOT EXISTS {table} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    osm_id TEXT UNIQUE,
+                    name TEXT NOT NULL,
+                    lat REAL NOT NULL,
+                    lng REAL NOT NULL,
+                    address TEXT,
+                    opening_hours TEXT,
+                    amenity TEXT DEFAULT 'restaurant',
+                    last_updated TIMESTAMP,
+                    bbox_key TEXT,
+                    cuisine TEXT,
+                    diet TEXT,
+                    wheelchair TEXT,
+                    outdoor_seating TEXT,
+                    website TEXT,
+                    phone TEXT,
+                    takeaway TEXT,
+                    delivery TEXT,
+                    street TEXT,
+                    housenumber TEXT,
+                    postcode TEXT,
+                    city TEXT,
+                    country TEXT
+                )
+            `);
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_restaurants_location ON restaurants(lat, lng)');
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_restaurants_amenity ON restaurants(amenity)');
+
+            // Restaurants are upserted in place now, so their ids and index rows are kept across
+            // OSM refreshes and the BEFORE INSERT trigger isn't needed any more
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_insert AFTER INSERT ON restaurants BEGIN
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name,
+                    trim(coalesce(new.address, '') || ' ' || coalesce(new.street, '') || ' ' || coalesce(new.city, '')),
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_update AFTER UPDATE OF osm_id, name, address, street, city ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid = old.id;
+                INSERT INTO restaurants_fts (rowid, name, address, tags)
+                VALUES (new.id, new.name,
+                    trim(coalesce(new.address, '') || ' ' || coalesce(new.street, '') || ' ' || coalesce(new.city, '')),
+                    (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.osm_id AND hidden = 0));
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_fts_after_delete AFTER DELETE ON restaurants BEGIN
+                DELETE FROM restaurants_fts WHERE rowid = old.id;
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_insert AFTER INSERT ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = new.restaurant_id);
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_update AFTER UPDATE OF restaurant_id, name, hidden ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = old.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = old.restaurant_id);
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = new.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = new.restaurant_id);
+            END`);
+            await run(db, `CREATE TRIGGER IF NOT EXISTS tags_fts_after_delete AFTER DELETE ON tags BEGIN
+                UPDATE restaurants_fts
+                SET tags = (SELECT group_concat(name, ' ') FROM tags WHERE restaurant_id = old.restaurant_id AND hidden = 0)
+                WHERE rowid = (SELECT id FROM restaurants WHERE osm_id = old.restaurant_id);
+            END`);
+
+            // Comments and tags follow their restaurant when its osm_id changes
+            await run(db, `CREATE TRIGGER IF NOT EXISTS restaurants_after_osm_id_update AFTER UPDATE OF osm_id ON restaurants BEGIN
+                UPDATE comments SET restaurant_id = new.osm_id WHERE restaurant_id = old.osm_id;
+                UPDATE tags SET restaurant_id = new.osm_id WHERE restaurant_id = old.osm_id;
+            END`);
+
+            // Bare ids can't tell nodes from ways and relations, most restaurants are nodes.
+            // RestaurantService hands a row over to its way or relation on the next refresh.
+            await run(db, `UPDATE restaurants SET osm_id = 'n' || osm_id WHERE osm_id NOT GLOB '*[^0-9]*' AND osm_id != ''`);
+            await run(db, `UPDATE comments SET restaurant_id = 'n' || restaurant_id
+                WHERE restaurant_id NOT GLOB '*[^0-9]*' AND restaurant_id != ''`);
+            await run(db, `UPDATE tags SET restaurant_id = 'n' || restaurant_id
+                WHERE restaurant_id NOT GLOB '*[^0-9]*' AND restaurant_id != ''`);
+        }
+    },
+    {
+        version: 12,
+        description: 'Add restaurants.closed_at',
+        up: async (db) => {
+            // When a restaurant went missing from OSM, rows are kept so their reviews stay readable
+            const columns = await getColumns(db, 'restaurants');
+            if (!columns.includes('closed_at')) {
+                await run(db, 'ALTER TABLE restaurants ADD COLUMN closed_at TIMESTAMP');
+            }
+            await run(db, 'CREATE INDEX IF NOT EXISTS idx_restaurants_closed ON restaurants(closed_at)');
+        }
+    }
+];
+
+/**
+ * Apply all pending migrations to a database
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<number>} Schema version after migrating
+ */
+async function runMigrations(db) {
+    // Several connections may migrate at startup, wait for each other's locks
+    db.configure('busyTimeout', 10000);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    for (const migration of migrations) {
+        await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+        try {
+            // Checked inside the lock so concurrent runners don't apply a migration twice
+            const applied = await all(db, 'SELECT version FROM schema_version WHERE version = ?', [migration.version]);
+            if (applied.length === 0) {
+                await migration.up(db);
+                await run(db, 'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+                    [migration.version, migration.description]);
+                console.log(`Applied migration ${migration.version}: ${migration.description}`);
+            }
+            await run(db, 'COMMIT');
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+        }
+    }
+
+    return getSchemaVersion(db);
+}
+
+/**
+ * Get the current schema version of a database
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<number>} Highest applied migration version, 0 if none
+ */
+async function getSchemaVersion(db) {
+    const rows = await all(db, 'SELECT MAX(version) AS version FROM schema_version');
+    return rows[0]?.version || 0;
+}
+
+export { runMigrations, getSchemaVersion, migrations };
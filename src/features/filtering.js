@@ -1,5 +1,58 @@
 import MarkersComponent from '../components/markers.js';
 import MapComponent from '../components/map.js';
+import FilterEngine from '../services/FilterEngine.js';
+import TagsComponent from './tags.js';
+import { FilterQueryError, parseFilterQuery, formatFilterQuery } from '../utils/filterQuery.js';
+import { formatOsmValue } from '../utils/osmAttributes.js';
+import { parseOpenAt, formatOpenAt } from '../utils/openingHours.js';
+import { html } from '../utils/html.js';
+
+// Filters that narrow the map to one option each, by the id of their select
+const SELECT_FACETS = {
+    food: 'food-filter',
+    price: 'price-filter',
+    ambience: 'ambience-filter',
+    amenity: 'amenity-filter'
+};
+
+const RATING_FACETS = ['food', 'price', 'ambience'];
+
+// Filters where several options can be picked, by the id of their chip group.
+// A restaurant needs any of the picked cuisines but all of the picked diets.
+const MULTI_FACETS = {
+    cuisine: 'cuisine-filter',
+    diet: 'diet-filter'
+};
+
+// Dietary options, by their OSM diet:* key
+const DIET_OPTIONS = [
+    { value: 'vegan', label: '🌱 Vegan' },
+    { value: 'vegetarian', label: '🥗 Vegetarian' },
+    { value: 'gluten_free', label: '🌾 Gluten-free' },
+    { value: 'halal', label: '☪️ Halal' }
+];
+
+// Cuisines shown as chips, the most common in the viewport first
+const MAX_CUISINE_OPTIONS = 12;
+
+// Time the "open at" filter starts at when a day is picked
+const DEFAULT_OPEN_TIME = '20:00';
+
+// How often an "open now" filter is applied again, as places open and close
+const OPEN_NOW_REFRESH_INTERVAL = 60 * 1000;
+
+// Wait after the last map move or filter change before recounting the facets
+const FACET_UPDATE_DELAY = 200;
+
+/**
+ * Split a comma separated filter value
+ * 
+ * @param {string} value - Filter value, e.g. "italian,sushi"
+ * @returns {Array} - Trimmed, lowercase values
+ */
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+}
 
 /**
  * Filtering component responsible for filtering restaurants
@@ -12,9 +65,53 @@ class FilteringComponent {
             ambience: '',
             tags: '',
             amenity: '',
+            cuisine: '',
+            diet: '',
+            open: '', // "now" or a weekday and time, e.g. "fr 20:00"
             withReviews: false
         };
+        this.advancedFilter = null; // Part of the typed expression the panel controls can't show
+        this.showClosed = false; // Show the restaurants gone from OSM, they are hidden by default
         this.reviewsToggle = null;
+        this.closedToggle = null;
+        this.openDaySelect = null;
+        this.openTimeInput = null;
+        this.queryInput = null;
+        this.queryError = null;
+        this.facetCounts = null; // Counts for the restaurants in the viewport, see computeFacetCounts
+        this.facetUpdateTimer = null;
+        this.facetRun = 0; // Increments on every facet recount so stale counts are dropped
+        this.filterRun = 0; // Increments on every applyFilters so stale results are dropped
+        this.listeners = new Set(); // Notified when the user changes the filters
+    }
+
+    /**
+     * Subscribe to filter changes
+     * 
+     * @param {Function} listener - Called after the active filters change
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Push the active filters to FilterEngine, the map and the panel, and notify subscribers
+     */
+    filtersChanged() {
+        this.syncFilterEngine();
+        this.applyFilters();
+        this.updateFilterButtonState();
+        this.updateQueryInput();
+        
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('FilteringComponent - Error in subscriber:', error);
+            }
+        });
     }
 
     /**
@@ -22,121 +119,598 @@ class FilteringComponent {
      */
     initialize() {
         this.reviewsToggle = document.getElementById('reviews-only');
+        this.closedToggle = document.getElementById('show-closed');
+        this.queryInput = document.getElementById('filter-query');
+        this.queryError = document.getElementById('filter-query-error');
+        this.openDaySelect = document.getElementById('open-day');
+        this.openTimeInput = document.getElementById('open-time');
         
         // Reviews toggle
         this.reviewsToggle?.addEventListener('change', (e) => {
             this.activeFilters.withReviews = e.target.checked;
-            this.applyFilters();
-            this.updateFilterButtonState();
+            this.filtersChanged();
+        });
+
+        // Recently closed toggle
+        this.closedToggle?.addEventListener('change', (e) => this.setShowClosed(e.target.checked));
+
+        // Advanced filter expression, applied on Enter or when leaving the field
+        this.queryInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.setQuery(this.queryInput.value);
+            }
+        });
+        this.queryInput?.addEventListener('change', () => this.setQuery(this.queryInput.value));
+        this.queryInput?.addEventListener('input', () => this.showQueryError(null));
+
+        // Open now or at a day and time
+        [this.openDaySelect, this.openTimeInput].forEach(control => {
+            control?.addEventListener('change', () => {
+                this.setFilter('open', this.readOpenControls());
+                this.updateOpenControls();
+            });
+        });
+        setInterval(() => {
+            if (this.activeFilters.open === 'now') this.applyFilters();
+        }, OPEN_NOW_REFRESH_INTERVAL);
+
+        // Cuisine and diet chips
+        Object.entries(MULTI_FACETS).forEach(([facet, groupId]) => {
+            document.getElementById(groupId)?.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (chip) {
+                    this.toggleOption(facet, chip.dataset.value);
+                }
+            });
+        });
+        this.renderMultiFacets();
+
+        // Remember the option labels, the counts are rendered next to them
+        Object.values(SELECT_FACETS).forEach(selectId => {
+            document.querySelectorAll(`#${selectId} .select-items [data-value]`).forEach(option => {
+                option.dataset.label = option.textContent;
+            });
         });
+
+        MapComponent.map.on('moveend', () => this.scheduleFacetUpdate());
+    }
+
+    /**
+     * Show or hide the restaurants that are gone from OSM
+     * 
+     * @param {boolean} showClosed - Whether to show them
+     */
+    setShowClosed(showClosed) {
+        this.showClosed = showClosed;
+        this.filtersChanged();
+    }
+
+    /**
+     * Check whether a restaurant is hidden for being closed, whatever the filters say
+     * 
+     * @param {Object} restaurant - Restaurant data stored with its marker
+     * @returns {boolean} - Whether it is closed and closed restaurants are hidden
+     */
+    hidesClosed(restaurant) {
+        return !!restaurant.closed_at && !this.showClosed;
     }
 
     /**
      * Set a filter value
      * 
-     * @param {string} filterType - Type of filter (food, price, ambience, tags)
-     * @param {string} value - Filter value
+     * @param {string} filterType - Type of filter (food, price, ambience, amenity, tags, cuisine, diet, open)
+     * @param {string} value - Filter value, comma separated for tags, cuisine and diet
      */
     setFilter(filterType, value) {
         this.activeFilters[filterType] = value;
-        this.applyFilters();
-        this.updateFilterButtonState();
+        this.filtersChanged();
     }
 
     /**
-     * Apply filters to markers
+     * Pick or unpick an option of a multi-select filter
+     * 
+     * @param {string} facet - Filter type (cuisine, diet)
+     * @param {string} value - Option value
      */
-    applyFilters() {
-        console.log('Applying filters:', this.activeFilters);
-        let visibleCount = 0;
-        let totalCount = 0;
+    toggleOption(facet, value) {
+        const values = splitList(this.activeFilters[facet]);
+        const index = values.indexOf(value);
+        if (index === -1) {
+            values.push(value);
+        } else {
+            values.splice(index, 1);
+        }
         
-        // Clear all layers first
-        MapComponent.clearLayers();
+        this.setFilter(facet, values.join(','));
+        this.renderMultiFacets();
+    }
+
+    /**
+     * Read the "open at" filter value from its day select and time input
+     * 
+     * @returns {string} - Filter value, empty for any time
+     */
+    readOpenControls() {
+        const day = this.openDaySelect?.value || '';
+        if (day === '' || day === 'now') return day;
         
-        // Create arrays to hold markers for each layer
-        const reviewedMarkers = [];
-        const nonReviewedMarkers = [];
+        if (this.openTimeInput && !this.openTimeInput.value) {
+            this.openTimeInput.value = DEFAULT_OPEN_TIME;
+        }
+        return formatOpenAt(Number(day), this.openTimeInput?.value || DEFAULT_OPEN_TIME);
+    }
+
+    /**
+     * Apply a typed filter expression
+     * 
+     * @param {string} text - Filter expression, empty to clear the filters
+     * @returns {boolean} - Whether the expression was valid
+     */
+    setQuery(text) {
+        let filter;
+        try {
+            filter = parseFilterQuery(text);
+        } catch (error) {
+            if (!(error instanceof FilterQueryError)) throw error;
+            this.showQueryError(error.message);
+            return false;
+        }
         
-        const markers = MarkersComponent.getAllMarkers();
-        const markerLayers = MarkersComponent.getMarkerLayers();
+        this.showQueryError(null);
+        this.applyQueryFilter(filter);
+        return true;
+    }
+
+    /**
+     * Spread a parsed expression over the panel controls. Conditions joined by
+     * AND that a control can show go to that control, the rest stays advanced.
+     * 
+     * @param {Object|null} filter - FilterEngine filter definition
+     */
+    applyQueryFilter(filter) {
+        const terms = !filter ? [] : filter.operation === 'AND' ? filter.filters : [filter];
+        const panel = { food: '', price: '', ambience: '', tags: '', amenity: '', cuisine: '', diet: '', open: '', withReviews: false };
+        const tags = [];
+        const diets = [];
+        const advanced = [];
         
-        Object.entries(markers).forEach(([id, marker]) => {
-            const restaurant = marker.restaurantData;
-            if (!restaurant) return;
-            totalCount++;
-            
-            let visible = true;
+        terms.forEach(term => {
+            const isDropdownRating = term.type === 'rating' && (term.operator || '>=') === '>=' &&
+                !panel[term.subtype] && this.hasSelectOption(term.subtype, String(term.value));
             
-            const ratings = restaurant.avgRatings;
-            const comments = restaurant.comments;
-            const hasReviews = comments.some(comment => 
-                comment.food_rating || comment.price_rating || comment.ambience_rating || comment.text
-            ) || restaurant.tags.length > 0;
-
-            // Filter by amenity type
-            if (this.activeFilters.amenity && restaurant.amenity !== this.activeFilters.amenity) {
-                visible = false;
+            if (isDropdownRating) {
+                panel[term.subtype] = String(term.value);
+            } else if (term.type === 'amenity' && !panel.amenity && this.hasSelectOption('amenity', term.value)) {
+                panel.amenity = term.value;
+            } else if (term.type === 'tags') {
+                tags.push(...term.value);
+            } else if (term.type === 'diet') {
+                diets.push(...term.value);
+            } else if (this.getCuisines(term) && !panel.cuisine) {
+                panel.cuisine = this.getCuisines(term).join(',');
+            } else if (term.type === 'openAt' && !panel.open) {
+                panel.open = term.value;
+            } else if (term.type === 'hasReviews') {
+                panel.withReviews = true;
+            } else {
+                advanced.push(term);
             }
+        });
+        
+        panel.tags = tags.join(',');
+        panel.diet = [...new Set(diets)].join(',');
+        this.activeFilters = panel;
+        this.advancedFilter = advanced.length === 0 ? null :
+            advanced.length === 1 ? advanced[0] : { operation: 'AND', filters: advanced };
+        
+        this.updatePanelControls();
+        this.filtersChanged();
+    }
 
-            if (this.activeFilters.withReviews && !hasReviews) {
-                visible = false;
-            }
-            
-            if ((this.activeFilters.food || this.activeFilters.price || this.activeFilters.ambience) && !hasReviews) {
-                visible = false;
+    /**
+     * Get the cuisines of a condition the cuisine chips can show: a cuisine
+     * condition or cuisine conditions joined by OR
+     * 
+     * @param {Object} term - FilterEngine filter definition
+     * @returns {Array|null} - Cuisines, or null if the condition is something else
+     */
+    getCuisines(term) {
+        if (term.type === 'cuisine') {
+            return term.value;
+        }
+        if (term.operation === 'OR' && term.filters.every(filter => filter.type === 'cuisine')) {
+            return [...new Set(term.filters.flatMap(filter => filter.value))];
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a select has an option for a value
+     * 
+     * @param {string} facet - Filter type (food, price, ambience, amenity)
+     * @param {string} value - Option value
+     * @returns {boolean} - Whether the option exists
+     */
+    hasSelectOption(facet, value) {
+        const options = document.querySelectorAll(`#${SELECT_FACETS[facet]} .select-items [data-value]`);
+        return Array.from(options).some(option => option.dataset.value === value);
+    }
+
+    /**
+     * Show the active filters in the selects, the toggles and the tags
+     */
+    updatePanelControls() {
+        Object.entries(SELECT_FACETS).forEach(([facet, selectId]) => {
+            const selected = document.querySelector(`#${selectId} .select-selected`);
+            const options = document.querySelectorAll(`#${selectId} .select-items [data-value]`);
+            const option = Array.from(options).find(o => o.dataset.value === this.activeFilters[facet]);
+            if (selected && option) {
+                selected.textContent = option.dataset.label ?? option.textContent;
             }
-            
-            if (visible && this.activeFilters.food) {
-                if (!ratings || ratings.food === null || ratings.food < parseFloat(this.activeFilters.food)) {
-                    visible = false;
-                }
+        });
+        
+        if (this.reviewsToggle) {
+            this.reviewsToggle.checked = this.activeFilters.withReviews;
+        }
+        if (this.closedToggle) {
+            this.closedToggle.checked = this.showClosed;
+        }
+        
+        this.updateOpenControls();
+        
+        TagsComponent.setTags(this.activeFilters.tags ? this.activeFilters.tags.split(',') : []);
+        this.renderMultiFacets();
+    }
+
+    /**
+     * Show the "open at" filter in its day select and time input, the time only for a day
+     */
+    updateOpenControls() {
+        const openAt = parseOpenAt(this.activeFilters.open);
+        if (this.openDaySelect) {
+            this.openDaySelect.value = !openAt ? '' : openAt.now ? 'now' : String(openAt.weekday);
+        }
+        if (this.openTimeInput) {
+            this.openTimeInput.hidden = !openAt || !!openAt.now;
+            if (openAt && !openAt.now) {
+                this.openTimeInput.value = this.activeFilters.open.split(' ')[1].padStart(5, '0');
             }
-            
-            if (visible && this.activeFilters.price) {
-                if (!ratings || ratings.price === null || ratings.price < parseFloat(this.activeFilters.price)) {
-                    visible = false;
-                }
+        }
+    }
+
+    /**
+     * Get the active filters as a filter expression
+     * 
+     * @returns {string} - Filter expression, empty without filters
+     */
+    getQuery() {
+        return formatFilterQuery(Array.from(this.toFilterDefinitions().values()));
+    }
+
+    /**
+     * Get the part of the filters the panel controls can't show as an expression
+     * 
+     * @returns {string} - Filter expression, empty if everything fits in the controls
+     */
+    getAdvancedQuery() {
+        return this.advancedFilter ? formatFilterQuery([this.advancedFilter]) : '';
+    }
+
+    /**
+     * Write the active filters into the expression field
+     */
+    updateQueryInput() {
+        if (this.queryInput) {
+            this.queryInput.value = this.getQuery();
+        }
+        this.showQueryError(null);
+    }
+
+    /**
+     * Show or hide the expression error
+     * 
+     * @param {string|null} message - Error message, null to hide it
+     */
+    showQueryError(message) {
+        this.queryInput?.classList.toggle('has-error', !!message);
+        if (this.queryError) {
+            this.queryError.textContent = message || '';
+            this.queryError.hidden = !message;
+        }
+    }
+
+    /**
+     * Convert the panel state to FilterEngine filter definitions
+     * 
+     * @param {Object} filters - Panel state, the active filters by default
+     * @returns {Map} - Filter definitions by ID
+     */
+    toFilterDefinitions(filters = this.activeFilters) {
+        const definitions = new Map();
+
+        RATING_FACETS.forEach(type => {
+            if (filters[type]) {
+                definitions.set(type, { type: 'rating', subtype: type, value: parseFloat(filters[type]) });
             }
-            
-            if (visible && this.activeFilters.ambience) {
-                if (!ratings || ratings.ambience === null || ratings.ambience < parseFloat(this.activeFilters.ambience)) {
-                    visible = false;
-                }
+        });
+
+        if (filters.amenity) {
+            definitions.set('amenity', { type: 'amenity', value: filters.amenity });
+        }
+
+        const tags = (filters.tags || '').split(',').map(t => t.trim().toLowerCase()).filter(t => t);
+        if (tags.length > 0) {
+            definitions.set('tags', { type: 'tags', value: tags });
+        }
+
+        Object.keys(MULTI_FACETS).forEach(facet => {
+            const values = splitList(filters[facet]);
+            if (values.length > 0) {
+                definitions.set(facet, { type: facet, value: values });
             }
-            
-            if (this.activeFilters.tags && restaurant.tags) {
-                const searchTags = this.activeFilters.tags.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
-                if (searchTags.length > 0) {
-                    const matchingTags = searchTags.filter(searchTag =>
-                        restaurant.tags.some(restaurantTag => 
-                            restaurantTag.toLowerCase().includes(searchTag)
-                        )
-                    );
-                    if (matchingTags.length !== searchTags.length) {
-                        visible = false;
-                    }
-                }
+        });
+
+        if (filters.open) {
+            definitions.set('open', { type: 'openAt', value: filters.open });
+        }
+
+        if (filters.withReviews) {
+            definitions.set('withReviews', { type: 'hasReviews', value: true });
+        }
+
+        if (this.advancedFilter) {
+            definitions.set('query', this.advancedFilter);
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Replace the FilterEngine's filters with the panel state
+     */
+    syncFilterEngine() {
+        FilterEngine.clearFilters();
+        this.toFilterDefinitions().forEach((definition, id) => FilterEngine.setFilter(id, definition));
+    }
+
+    /**
+     * Convert the data stored with a marker to the record FilterEngine filters
+     * 
+     * @param {Object} restaurant - Restaurant data stored with its marker
+     * @returns {Object} - Filterable restaurant record
+     */
+    toFilterable(restaurant) {
+        return {
+            id: restaurant.osm_id,
+            amenity: restaurant.amenity,
+            tags: restaurant.tags || [],
+            ratings: restaurant.avgRatings || {},
+            cuisine: restaurant.cuisine || [],
+            diet: restaurant.diet || {},
+            openingHours: restaurant.opening_hours,
+            timeZone: restaurant.timeZone,
+            hasReviews: !!restaurant.hasReviews
+        };
+    }
+
+    /**
+     * Apply filters to markers. FilterEngine filters the loaded restaurants,
+     * in a worker when there are many of them.
+     * 
+     * @returns {Promise<void>}
+     */
+    async applyFilters() {
+        console.log('Applying filters:', this.activeFilters);
+        const run = ++this.filterRun;
+        
+        const markers = MarkersComponent.getAllMarkers();
+        const restaurants = Object.values(markers)
+            .filter(marker => marker.restaurantData)
+            .map(marker => this.toFilterable(marker.restaurantData));
+        
+        let visibleIds;
+        try {
+            const { results } = await FilterEngine.applyFilters(restaurants);
+            visibleIds = new Set(results.map(restaurant => restaurant.id));
+        } catch (error) {
+            console.error('Error applying filters:', error);
+            return;
+        }
+        
+        // Filters or markers changed while this run was filtering
+        if (run !== this.filterRun) return;
+        
+        // Clear all layers first
+        MapComponent.clearLayers();
+        
+        // Create arrays to hold markers for each layer
+        const reviewedMarkers = [];
+        const nonReviewedMarkers = [];
+        const markerLayers = MarkersComponent.getMarkerLayers();
+        
+        Object.entries(markers).forEach(([id, marker]) => {
+            if (!visibleIds.has(id) || this.hidesClosed(marker.restaurantData)) {
+                markerLayers[id] = null;
+                return;
             }
             
-            if (visible) {
-                // Add to appropriate array based on whether it has reviews
-                if (hasReviews) {
-                    reviewedMarkers.push(marker);
-                    markerLayers[id] = 'reviewed';
-                } else {
-                    nonReviewedMarkers.push(marker);
-                    markerLayers[id] = 'nonReviewed';
-                }
-                visibleCount++;
+            // Add to appropriate array based on whether it has reviews
+            if (marker.restaurantData.hasReviews) {
+                reviewedMarkers.push(marker);
+                markerLayers[id] = 'reviewed';
+            } else {
+                nonReviewedMarkers.push(marker);
+                markerLayers[id] = 'nonReviewed';
             }
         });
         
         // Add markers to layers in batches
-        this.addMarkersInBatches(reviewedMarkers, 'reviewed');
-        this.addMarkersInBatches(nonReviewedMarkers, 'nonReviewed');
+        this.addMarkersInBatches(reviewedMarkers, 'reviewed', run);
+        this.addMarkersInBatches(nonReviewedMarkers, 'nonReviewed', run);
+        
+        console.log(`Filters applied: ${reviewedMarkers.length + nonReviewedMarkers.length}/${restaurants.length} restaurants visible`);
+        
+        this.scheduleFacetUpdate();
+    }
+
+    /**
+     * Recount the facets once the map and the filters have settled
+     */
+    scheduleFacetUpdate() {
+        clearTimeout(this.facetUpdateTimer);
+        this.facetUpdateTimer = setTimeout(() => this.updateFacetCounts(), FACET_UPDATE_DELAY);
+    }
+
+    /**
+     * Recount the facets and show them, unless a later recount started meanwhile
+     * 
+     * @returns {Promise<void>}
+     */
+    async updateFacetCounts() {
+        const run = ++this.facetRun;
+        
+        let counts;
+        try {
+            counts = await this.computeFacetCounts();
+        } catch (error) {
+            console.error('Error counting facets:', error);
+            return;
+        }
         
-        console.log(`Filters applied: ${visibleCount}/${totalCount} restaurants visible`);
+        if (run !== this.facetRun) return;
+        this.facetCounts = counts;
+        this.renderFacetCounts();
+    }
+
+    /**
+     * Count how many restaurants in the viewport each filter option would leave.
+     * Each select is counted against the other active filters, so the counts show
+     * what switching that select would give. Cuisines are counted the same way,
+     * as picking one more widens the map. Tags and diets add up, so they are
+     * counted against all active filters. FilterEngine counts large viewports
+     * in a worker.
+     * 
+     * @returns {Promise<Object>} - Counts by facet and option value, and tag, cuisine and diet counts in Maps
+     */
+    computeFacetCounts() {
+        const bounds = MapComponent.getBounds();
+        const withoutFacet = facet =>
+            Array.from(this.toFilterDefinitions({ ...this.activeFilters, [facet]: '' }).values());
+        
+        const facets = {
+            all: Array.from(this.toFilterDefinitions().values()),
+            selects: {},
+            cuisine: withoutFacet('cuisine'),
+            diets: this.getDietOptions().map(({ value }) => value)
+        };
+        Object.keys(SELECT_FACETS).forEach(facet => {
+            facets.selects[facet] = withoutFacet(facet);
+        });
+        
+        const records = Object.values(MarkersComponent.getAllMarkers())
+            .filter(marker => marker.restaurantData && !this.hidesClosed(marker.restaurantData) &&
+                bounds.contains(marker.getLatLng()))
+            .map(marker => this.toFilterable(marker.restaurantData));
+        
+        return FilterEngine.countFacets(records, facets);
+    }
+
+    /**
+     * Show the facet counts next to the select options
+     */
+    renderFacetCounts() {
+        Object.entries(SELECT_FACETS).forEach(([facet, selectId]) => {
+            document.querySelectorAll(`#${selectId} .select-items [data-value]`).forEach(option => {
+                const count = this.getFacetCount(facet, option.dataset.value);
+                
+                let countElement = option.querySelector('.facet-count');
+                if (!countElement) {
+                    countElement = document.createElement('span');
+                    countElement.className = 'facet-count';
+                    option.appendChild(countElement);
+                }
+                countElement.textContent = `(${count})`;
+                option.classList.toggle('facet-empty', count === 0);
+            });
+        });
+        
+        this.renderMultiFacets();
+    }
+
+    /**
+     * Render the cuisine and diet chips with their counts. The cuisines are the
+     * most common ones in the viewport, plus the picked ones wherever they are.
+     */
+    renderMultiFacets() {
+        const cuisineCounts = this.facetCounts?.cuisine || new Map();
+        const pickedCuisines = splitList(this.activeFilters.cuisine);
+        const cuisines = [...cuisineCounts.keys()]
+            .filter(cuisine => !pickedCuisines.includes(cuisine))
+            .sort((a, b) => cuisineCounts.get(b) - cuisineCounts.get(a) || a.localeCompare(b))
+            .slice(0, Math.max(MAX_CUISINE_OPTIONS - pickedCuisines.length, 0));
+        
+        const options = {
+            cuisine: [...pickedCuisines, ...cuisines].map(value => ({ value, label: formatOsmValue(value) })),
+            diet: this.getDietOptions()
+        };
+        
+        Object.entries(MULTI_FACETS).forEach(([facet, groupId]) => {
+            const container = document.querySelector(`#${groupId} .filter-chips`);
+            if (!container) return;
+            
+            const picked = splitList(this.activeFilters[facet]);
+            container.innerHTML = options[facet].length === 0
+                ? html`<span class="filter-chips-empty">None in this area</span>`
+                : html`${options[facet].map(({ value, label }) => {
+                    const count = this.getOptionCount(facet, value);
+                    return html`<button type="button" class="filter-chip${count === 0 ? ' facet-empty' : ''}" data-value="${value}" aria-pressed="${String(picked.includes(value))}">${label}<span class="facet-count">(${count})</span></button>`;
+                })}`;
+        });
+    }
+
+    /**
+     * Get the number of restaurants in the viewport a filter option would leave
+     * 
+     * @param {string} facet - Filter type (food, price, ambience, amenity)
+     * @param {string} value - Option value, '' for any
+     * @returns {number} - Restaurant count
+     */
+    getFacetCount(facet, value) {
+        return this.facetCounts?.[facet]?.[value] || 0;
+    }
+
+    /**
+     * Get the dietary options, with any other diet picked in an expression or link
+     * 
+     * @returns {Array} - Options as { value, label }
+     */
+    getDietOptions() {
+        const others = splitList(this.activeFilters.diet)
+            .filter(diet => !DIET_OPTIONS.some(option => option.value === diet))
+            .map(diet => ({ value: diet, label: formatOsmValue(diet) }));
+        return [...DIET_OPTIONS, ...others];
+    }
+
+    /**
+     * Get the number of restaurants in the viewport a cuisine or diet option would leave
+     * 
+     * @param {string} facet - Filter type (cuisine, diet)
+     * @param {string} value - Option value
+     * @returns {number} - Restaurant count
+     */
+    getOptionCount(facet, value) {
+        return this.facetCounts?.[facet]?.get(value) || 0;
+    }
+
+    /**
+     * Get the number of restaurants in the viewport with a tag that pass the active filters
+     * 
+     * @param {string} tag - Tag name
+     * @returns {number} - Restaurant count
+     */
+    getTagCount(tag) {
+        return this.facetCounts?.tags.get(tag.toLowerCase()) || 0;
     }
 
     /**
@@ -144,10 +718,12 @@ class FilteringComponent {
      * 
      * @param {Array} markers - Array of markers to add
      * @param {string} layerType - Type of layer ('reviewed' or 'nonReviewed')
+     * @param {number} run - The applyFilters run adding them, later runs stop it
      * @param {number} batchIndex - Current batch index
      */
-    addMarkersInBatches(markers, layerType, batchIndex = 0) {
+    addMarkersInBatches(markers, layerType, run, batchIndex = 0) {
         const BATCH_SIZE = 50;
+        if (run !== this.filterRun) return;
         const start = batchIndex * BATCH_SIZE;
         const end = Math.min(start + BATCH_SIZE, markers.length);
         
@@ -161,7 +737,7 @@ class FilteringComponent {
         // Schedule next batch in next animation frame
         if (end < markers.length) {
             requestAnimationFrame(() => {
-                this.addMarkersInBatches(markers, layerType, batchIndex + 1);
+                this.addMarkersInBatches(markers, layerType, run, batchIndex + 1);
             });
         }
     }
@@ -189,7 +765,11 @@ class FilteringComponent {
             this.activeFilters.ambience || 
             this.activeFilters.tags || 
             this.activeFilters.amenity ||
-            this.activeFilters.withReviews
+            this.activeFilters.cuisine ||
+            this.activeFilters.diet ||
+            this.activeFilters.open ||
+            this.activeFilters.withReviews ||
+            !!this.advancedFilter
         );
     }
 
@@ -1,5 +1,7 @@
 import FilteringComponent from './filtering.js';
 import MarkersComponent from '../components/markers.js';
+import PopupComponent from '../components/popups.js';
+import { html } from '../utils/html.js';
 
 /**
  * Tags component responsible for managing tags
@@ -22,8 +24,8 @@ class TagsComponent {
 
         this.setupEventListeners();
         
-        // Expose the handleTagClick method to the global scope
-        window.handleTagClick = this.handleTagClick.bind(this);
+        // Handle clicks on tags in restaurant popups
+        PopupComponent.registerActionHandler('tag', ({ tag }) => this.handleTagClick(tag));
     }
 
     /**
@@ -41,16 +43,17 @@ class TagsComponent {
                         tag.toLowerCase().includes(currentTag) && 
                         !this.hasTag(tag)
                     )
-                    .map(tag => `<div class="tag-suggestion">${tag}</div>`)
-                    .join('');
+                    // Tags that would leave the most places on the map first
+                    .sort((a, b) => FilteringComponent.getTagCount(b) - FilteringComponent.getTagCount(a))
+                    .map(tag => html`<div class="tag-suggestion" data-tag="${tag}">${tag}<span class="facet-count">(${FilteringComponent.getTagCount(tag)})</span></div>`);
                 
-                if (suggestions) {
-                    this.tagSuggestions.innerHTML = suggestions;
+                if (suggestions.length > 0) {
+                    this.tagSuggestions.innerHTML = html`${suggestions}`;
                     this.tagSuggestions.classList.add('active');
 
                     this.tagSuggestions.querySelectorAll('.tag-suggestion').forEach(suggestion => {
                         suggestion.addEventListener('click', () => {
-                            this.toggleTag(suggestion.textContent);
+                            this.toggleTag(suggestion.dataset.tag);
                             if (this.tagsFilter) this.tagsFilter.value = '';
                             this.tagSuggestions.classList.remove('active');
                         });
@@ -160,9 +163,7 @@ class TagsComponent {
     updateUI() {
         if (!this.activeTagsContainer) return;
 
-        this.activeTagsContainer.innerHTML = Array.from(this.activeTags)
-            .map(tag => `<span class="tag" data-tag="${tag}">${tag}</span>`)
-            .join('');
+        this.renderActiveTags();
 
         // Only update filter toggle icon state
         const filterToggle = document.getElementById('toggle-filters');
@@ -178,6 +179,9 @@ class TagsComponent {
                     activeFilters.food || 
                     activeFilters.price || 
                     activeFilters.ambience || 
+                    activeFilters.cuisine ||
+                    activeFilters.diet ||
+                    activeFilters.open ||
                     activeFilters.withReviews;
                 
                 if (!hasOtherFilters) {
@@ -191,6 +195,26 @@ class TagsComponent {
         }
     }
 
+    /**
+     * Render the active tags
+     */
+    renderActiveTags() {
+        if (!this.activeTagsContainer) return;
+
+        this.activeTagsContainer.innerHTML = html`${Array.from(this.activeTags)
+            .map(tag => html`<span class="tag" data-tag="${tag}">${tag}</span>`)}`;
+    }
+
+    /**
+     * Replace the active tags without touching the filters, for when the filters set them
+     * 
+     * @param {Array} tags - Tags to show as active
+     */
+    setTags(tags) {
+        this.activeTags = new Set(tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag));
+        this.renderActiveTags();
+    }
+
     /**
      * Sync active tags with filters
      */
@@ -204,9 +228,6 @@ class TagsComponent {
      * @param {string} tag - Tag that was clicked
      */
     handleTagClick(tag) {
-        // Prevent default event if it's a click event
-        if (event) event.preventDefault();
-        
         if (!tag) return;
         
         console.log('Tag clicked:', tag);
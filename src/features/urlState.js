@@ -0,0 +1,378 @@
+import MapComponent from '../components/map.js';
+import MarkersComponent from '../components/markers.js';
+import PopupComponent from '../components/popups.js';
+import FilteringComponent from './filtering.js';
+import ApiService from '../services/ApiService.js';
+import { FilterQueryError, parseFilterQuery } from '../utils/filterQuery.js';
+import { parseOpenAt } from '../utils/openingHours.js';
+import { normalizeOsmId } from '../utils/osmIds.js';
+
+const RATING_PARAMS = ['food', 'price', 'ambience'];
+
+// Query string parameters holding the filters, in the order they are written
+const FILTER_PARAMS = [...RATING_PARAMS, 'amenity', 'tags', 'cuisine', 'diet', 'open', 'reviewed', 'closed', 'q'];
+
+// Multi-select filters written as comma separated lists, named like their FilterEngine type
+const LIST_PARAMS = ['tags', 'cuisine', 'diet'];
+
+const MAP_PARAMS = ['lat', 'lon', 'zoom'];
+const RESTAURANT_PARAM = 'r';
+// Shareable restaurant links, /r/<osm_id>
+const RESTAURANT_PATH = /^\/r\/([^/]+)\/?$/;
+const LINK_COPIED_DURATION = 2000;
+
+/**
+ * URL state component responsible for keeping the map view, the filters and the
+ * open restaurant in the query string, e.g.
+ * `?lat=48.856600&lon=2.352200&zoom=16&food=4&tags=terrace&cuisine=italian,pizza&diet=vegan&open=fr+20:00&r=n123`.
+ * Map moves and filter changes add history entries so back and forward step
+ * through them, opening and closing popups only replaces the current entry.
+ * Links to a single restaurant (`?r=<osm_id>` or `/r/<osm_id>`) center the
+ * map on it when there is no location in the URL.
+ */
+class UrlStateComponent {
+    constructor() {
+        this.restoring = false; // Set while the app follows the URL, so it isn't written back
+        this.autoPanning = false; // The next moveend comes from a popup moving into view
+        this.openRestaurantId = null;
+        this.pendingRestaurantId = null; // Restaurant to open once the viewport's restaurants are loaded
+    }
+
+    /**
+     * Get the restaurant linked in the URL
+     * 
+     * @returns {string|null} - OpenStreetMap ID of the restaurant, or null if there is none
+     */
+    getLinkedRestaurantId() {
+        const pathMatch = window.location.pathname.match(RESTAURANT_PATH);
+        const restaurantId = pathMatch
+            ? decodeURIComponent(pathMatch[1])
+            : new URLSearchParams(window.location.search).get(RESTAURANT_PARAM);
+        // Older links carry the bare node number
+        return restaurantId ? normalizeOsmId(restaurantId) : null;
+    }
+
+    /**
+     * Load the restaurant linked in the URL, for the map to center on it
+     * 
+     * @returns {Promise<Object|null>} - Promise resolving to the restaurant, or null without a link
+     */
+    async loadLinkedRestaurant() {
+        const restaurantId = this.getLinkedRestaurantId();
+        if (!restaurantId) return null;
+
+        const restaurant = await ApiService.getRestaurant(restaurantId);
+        if (!restaurant) {
+            console.warn('Restaurant from the URL was not found:', restaurantId);
+        }
+        return restaurant;
+    }
+
+    /**
+     * Restore the filters and open restaurant from the URL and start tracking changes.
+     * The map view is restored by MapComponent.initializeLocation before this runs.
+     */
+    initialize() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.restoring = true;
+        try {
+            this.restoreFilters(params);
+        } finally {
+            this.restoring = false;
+        }
+        this.pendingRestaurantId = this.getLinkedRestaurantId();
+
+        this.setupEventListeners();
+        this.writeUrl();
+    }
+
+    /**
+     * Set up listeners for map moves, filter changes, popups and history navigation
+     */
+    setupEventListeners() {
+        const map = MapComponent.map;
+
+        map.on('autopanstart', () => {
+            this.autoPanning = true;
+        });
+
+        map.on('moveend', () => {
+            // Panning a popup into view isn't a place worth going back to
+            this.writeUrl({ push: !this.autoPanning });
+            this.autoPanning = false;
+        });
+
+        map.on('popupopen', (e) => {
+            this.openRestaurantId = this.getPopupRestaurantId(e.popup);
+            this.writeUrl();
+        });
+
+        map.on('popupclose', (e) => {
+            if (this.getPopupRestaurantId(e.popup) === this.openRestaurantId) {
+                this.openRestaurantId = null;
+                this.writeUrl();
+            }
+        });
+
+        FilteringComponent.subscribe(() => this.writeUrl({ push: true }));
+
+        window.addEventListener('popstate', () => this.handlePopState());
+
+        PopupComponent.registerActionHandler('copy-link', ({ restaurantId }, button) =>
+            this.copyRestaurantLink(restaurantId, button));
+    }
+
+    /**
+     * Build the query string parameters for the current state. Parameters the
+     * app doesn't own are kept.
+     * 
+     * @returns {URLSearchParams} - Query string parameters
+     */
+    buildParams() {
+        const params = new URLSearchParams(window.location.search);
+        [...MAP_PARAMS, ...FILTER_PARAMS, RESTAURANT_PARAM].forEach(name => params.delete(name));
+
+        const center = MapComponent.map.getCenter();
+        params.set('lat', center.lat.toFixed(6));
+        params.set('lon', center.lng.toFixed(6));
+        params.set('zoom', MapComponent.map.getZoom());
+
+        const filters = FilteringComponent.getActiveFilters();
+        [...RATING_PARAMS, 'amenity', ...LIST_PARAMS, 'open'].forEach(name => {
+            if (filters[name]) params.set(name, filters[name]);
+        });
+        if (filters.withReviews) {
+            params.set('reviewed', '1');
+        }
+        if (FilteringComponent.showClosed) {
+            params.set('closed', '1');
+        }
+        const query = FilteringComponent.getAdvancedQuery();
+        if (query) {
+            params.set('q', query);
+        }
+
+        // A linked restaurant stays in the URL until it has been opened
+        const restaurantId = this.openRestaurantId || this.pendingRestaurantId;
+        if (restaurantId) {
+            params.set(RESTAURANT_PARAM, restaurantId);
+        }
+
+        return params;
+    }
+
+    /**
+     * Write the current state into the URL
+     * 
+     * @param {Object} options - { push } to add a history entry instead of replacing the current one
+     */
+    writeUrl({ push = false } = {}) {
+        if (this.restoring) return;
+
+        // Restaurant links become the app URL with the restaurant in the query string
+        const path = RESTAURANT_PATH.test(window.location.pathname) ? '/' : window.location.pathname;
+        const newUrl = `${path}?${this.buildParams().toString()}`;
+        if (newUrl === `${window.location.pathname}${window.location.search}`) return;
+
+        if (push) {
+            window.history.pushState({ path: newUrl }, '', newUrl);
+        } else {
+            window.history.replaceState({ path: newUrl }, '', newUrl);
+        }
+    }
+
+    /**
+     * Follow the URL after the browser moved through the history
+     */
+    async handlePopState() {
+        const params = new URLSearchParams(window.location.search);
+
+        this.restoring = true;
+        try {
+            const lat = parseFloat(params.get('lat'));
+            const lon = parseFloat(params.get('lon'));
+            const zoom = parseInt(params.get('zoom'));
+            if (!isNaN(lat) && !isNaN(lon)) {
+                MapComponent.map.setView([lat, lon], isNaN(zoom) ? MapComponent.map.getZoom() : zoom, { animate: false });
+            }
+
+            // Filtering again is only needed if the filters changed
+            const currentParams = this.buildParams();
+            if (FILTER_PARAMS.some(name => params.get(name) !== currentParams.get(name))) {
+                this.restoreFilters(params);
+            }
+
+            const restaurantId = this.getLinkedRestaurantId();
+            if (restaurantId) {
+                if (restaurantId !== this.openRestaurantId) {
+                    MapComponent.map.fire('closeAllPopups');
+                    await this.openRestaurant(restaurantId);
+                }
+            } else {
+                MapComponent.map.fire('closeAllPopups');
+            }
+        } finally {
+            this.restoring = false;
+        }
+
+        // Opening a restaurant in a cluster may have zoomed the map
+        this.writeUrl();
+    }
+
+    /**
+     * Apply the filters in the URL, replacing the active ones
+     * 
+     * @param {URLSearchParams} params - Query string parameters
+     */
+    restoreFilters(params) {
+        const filters = [];
+
+        // Not a filter of its own, applyQueryFilter below applies it with the others
+        FilteringComponent.showClosed = params.get('closed') === '1';
+
+        RATING_PARAMS.forEach(subtype => {
+            const value = parseFloat(params.get(subtype));
+            if (value >= 0 && value <= 5) {
+                filters.push({ type: 'rating', subtype, value });
+            }
+        });
+
+        const amenity = params.get('amenity')?.trim().toLowerCase();
+        if (amenity) {
+            filters.push({ type: 'amenity', value: amenity });
+        }
+
+        LIST_PARAMS.forEach(type => {
+            const values = (params.get(type) || '').split(',').map(value => value.trim().toLowerCase()).filter(value => value);
+            if (values.length > 0) {
+                filters.push({ type, value: values });
+            }
+        });
+
+        const open = params.get('open')?.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (open && parseOpenAt(open)) {
+            filters.push({ type: 'openAt', value: open });
+        }
+
+        if (params.get('reviewed') === '1') {
+            filters.push({ type: 'hasReviews', value: true });
+        }
+
+        try {
+            const query = parseFilterQuery(params.get('q'));
+            if (query) {
+                filters.push(...(query.operation === 'AND' ? query.filters : [query]));
+            }
+        } catch (error) {
+            if (!(error instanceof FilterQueryError)) throw error;
+            console.warn('Ignoring the invalid filter expression in the URL:', error.message);
+        }
+
+        FilteringComponent.applyQueryFilter(filters.length > 0 ? { operation: 'AND', filters } : null);
+    }
+
+    /**
+     * Open the restaurant from the URL once the viewport's restaurants are loaded
+     */
+    async openPendingRestaurant() {
+        if (!this.pendingRestaurantId) return;
+
+        const restaurantId = this.pendingRestaurantId;
+        this.pendingRestaurantId = null;
+
+        this.restoring = true;
+        try {
+            await this.openRestaurant(restaurantId);
+        } finally {
+            this.restoring = false;
+        }
+        this.writeUrl();
+
+        // The popup shows what the server-rendered summary of a restaurant link did
+        if (this.openRestaurantId === restaurantId) {
+            document.getElementById('restaurant-page')?.remove();
+        }
+    }
+
+    /**
+     * Open the popup of a restaurant, without moving the map unless the marker is
+     * hidden or the restaurant is outside the loaded area
+     * 
+     * @param {string} osmId - OpenStreetMap ID of the restaurant
+     * @returns {Promise<void>}
+     */
+    async openRestaurant(osmId) {
+        const marker = MarkersComponent.getAllMarkers()[osmId];
+        if (!marker) {
+            const restaurant = ApiService.cachedRestaurants.get(osmId) || await ApiService.getRestaurant(osmId);
+            if (restaurant) {
+                await MarkersComponent.showRestaurant(restaurant);
+            } else {
+                console.warn('Restaurant from the URL was not found:', osmId);
+            }
+            return;
+        }
+
+        switch (MarkersComponent.getMarkerLayers()[osmId]) {
+            case 'reviewed':
+                marker.openPopup();
+                break;
+            case 'nonReviewed':
+                await new Promise(resolve => MapComponent.nonReviewedCluster.zoomToShowLayer(marker, resolve));
+                marker.openPopup();
+                break;
+            default:
+                // Hidden by the filters
+                await MarkersComponent.showRestaurant(marker.restaurantData);
+        }
+    }
+
+    /**
+     * Get the shareable link of a restaurant
+     * 
+     * @param {string} osmId - OpenStreetMap ID of the restaurant
+     * @returns {string} - Absolute URL
+     */
+    getRestaurantLink(osmId) {
+        return `${window.location.origin}/r/${encodeURIComponent(osmId)}`;
+    }
+
+    /**
+     * Copy the link of a restaurant to the clipboard
+     * 
+     * @param {string} osmId - OpenStreetMap ID of the restaurant
+     * @param {HTMLElement} button - Button that was clicked, briefly marked as copied
+     */
+    async copyRestaurantLink(osmId, button) {
+        const link = this.getRestaurantLink(osmId);
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            // No clipboard access (insecure context or denied), let the user copy it
+            window.prompt('Copy this link:', link);
+            return;
+        }
+
+        button?.classList.add('copied');
+        button?.setAttribute('title', 'Link copied');
+        setTimeout(() => {
+            button?.classList.remove('copied');
+            button?.setAttribute('title', 'Copy link');
+        }, LINK_COPIED_DURATION);
+    }
+
+    /**
+     * Find the restaurant a popup belongs to
+     * 
+     * @param {L.Popup} popup - Leaflet popup
+     * @returns {string|null} - OpenStreetMap ID of the restaurant, or null if it isn't a restaurant popup
+     */
+    getPopupRestaurantId(popup) {
+        const entry = Object.entries(MarkersComponent.getAllMarkers())
+            .find(([, marker]) => marker.getPopup() === popup);
+        return entry ? entry[0] : null;
+    }
+}
+
+export default new UrlStateComponent();
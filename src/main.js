@@ -2,10 +2,14 @@ import MapComponent from './components/map.js';
 import MarkersComponent from './components/markers.js';
 import DarkModeComponent from './components/darkMode.js';
 import ControlsComponent from './components/controls.js';
+import SearchComponent from './components/search.js';
 import ModalComponent from './components/modal.js';
 import FilteringComponent from './features/filtering.js';
 import TagsComponent from './features/tags.js';
+import UrlStateComponent from './features/urlState.js';
 import ApiService from './services/ApiService.js';
+import RestaurantDataStore from './services/RestaurantDataStore.js';
+import { getInlineAggregates } from './utils/formatters.js';
 
 /**
  * Main application class
@@ -28,6 +32,7 @@ class App {
         MarkersComponent.initialize();
         DarkModeComponent.initialize();
         ControlsComponent.initialize();
+        SearchComponent.initialize();
         ModalComponent.initialize();
         FilteringComponent.initialize();
         TagsComponent.initialize();
@@ -39,7 +44,9 @@ class App {
         this.debouncedFetchRestaurants = ApiService.getDebouncedFetchRestaurants();
         
         // Initialize map location and fetch initial restaurants
-        await MapComponent.initializeLocation();
+        const linkedRestaurant = await UrlStateComponent.loadLinkedRestaurant();
+        await MapComponent.initializeLocation(linkedRestaurant);
+        UrlStateComponent.initialize();
         await this.fetchRestaurants();
         
         console.log('Application initialized');
@@ -53,7 +60,7 @@ class App {
             console.log('Map moved or zoomed, fetching new restaurants...');
             this.fetchRestaurants();
             
-            // Note: URL update is handled in MapComponent.updateUrlWithMapLocation
+            // Note: URL update is handled in UrlStateComponent
         });
     }
 
@@ -72,6 +79,9 @@ class App {
             const restaurants = await this.debouncedFetchRestaurants(bounds, forceUpdate, zoom);
             console.log('Main.js - Received restaurants:', restaurants.length);
             
+            // Make the loaded restaurants searchable
+            this.storeRestaurants(restaurants, bounds, zoom);
+            
             if (restaurants.length > 0) {
                 // Batch process restaurants in chunks to avoid UI freezing
                 const BATCH_SIZE = 20;
@@ -87,92 +97,32 @@ class App {
                     if (batchIndex >= batches.length) {
                         // All batches processed, reapply filters to maintain filter state
                         console.log('Main.js - All batches processed, reapplying filters');
-                        // Ensure filters are applied after marker updates, both for initial load and navigation
-                        if (FilteringComponent.hasActiveFilters()) {
-                            FilteringComponent.applyFilters();
+                        // Ensure filters are applied after marker updates, both for initial load and navigation.
+                        // Markers that were on the map before their restaurant closed are taken off too.
+                        if (FilteringComponent.hasActiveFilters() ||
+                            restaurants.some(restaurant => FilteringComponent.hidesClosed(restaurant))) {
+                            await FilteringComponent.applyFilters();
                         }
+                        
+                        // A restaurant linked in the URL can be opened once its marker exists
+                        UrlStateComponent.openPendingRestaurant();
                         return;
                     }
                     
                     const batch = batches[batchIndex++];
                     console.log(`Main.js - Processing batch ${batchIndex} of ${batches.length}`);
                     
-                    // Check filter state before processing batch
+                    // With filters active, new markers stay hidden until FilterEngine has checked them
                     const hasFilters = FilteringComponent.hasActiveFilters();
-                    const activeFilters = hasFilters ? FilteringComponent.getActiveFilters() : null;
+                    const updatePromises = batch.map(restaurant => 
+                        MarkersComponent.updateMarker(restaurant, forceUpdate,
+                            !hasFilters && !FilteringComponent.hidesClosed(restaurant))
+                    );
                     
-                    const updatePromises = batch.map(async restaurant => {
-                        // If filters are active, preload data and check all filter criteria
-                        if (hasFilters) {
-                            const [comments, tags] = await Promise.all([
-                                ApiService.getComments(restaurant.osm_id),
-                                ApiService.getTags(restaurant.osm_id)
-                            ]);
-
-                            // Check amenity filter first since it doesn't require comments/tags
-                            if (activeFilters.amenity && restaurant.amenity !== activeFilters.amenity) {
-                                return null;
-                            }
-
-                            const hasReviews = comments.some(comment => 
-                                comment.food_rating || comment.price_rating || comment.ambience_rating || comment.text
-                            ) || tags.length > 0;
-
-                            // Then check reviews filter
-                            if (activeFilters.withReviews && !hasReviews) {
-                                return null;
-                            }
-
-                            // Calculate ratings for other filters
-                            const ratings = comments.reduce((acc, comment) => {
-                                if (comment.food_rating) acc.food.push(comment.food_rating);
-                                if (comment.price_rating) acc.price.push(comment.price_rating);
-                                if (comment.ambience_rating) acc.ambience.push(comment.ambience_rating);
-                                return acc;
-                            }, { food: [], price: [], ambience: [] });
-
-                            const avgRatings = {
-                                food: ratings.food.length ? ratings.food.reduce((a, b) => a + b) / ratings.food.length : null,
-                                price: ratings.price.length ? ratings.price.reduce((a, b) => a + b) / ratings.price.length : null,
-                                ambience: ratings.ambience.length ? ratings.ambience.reduce((a, b) => a + b) / ratings.ambience.length : null
-                            };
-
-                            // Check rating filters
-                            if (activeFilters.food && (!avgRatings.food || avgRatings.food < parseFloat(activeFilters.food))) {
-                                return null;
-                            }
-                            if (activeFilters.price && (!avgRatings.price || avgRatings.price < parseFloat(activeFilters.price))) {
-                                return null;
-                            }
-                            if (activeFilters.ambience && (!avgRatings.ambience || avgRatings.ambience < parseFloat(activeFilters.ambience))) {
-                                return null;
-                            }
-
-                            // Check tags filter
-                            if (activeFilters.tags) {
-                                const searchTags = activeFilters.tags.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
-                                if (searchTags.length > 0) {
-                                    const matchingTags = searchTags.filter(searchTag =>
-                                        tags.some(restaurantTag => 
-                                            restaurantTag.toLowerCase().includes(searchTag)
-                                        )
-                                    );
-                                    if (matchingTags.length !== searchTags.length) {
-                                        return null;
-                                    }
-                                }
-                            }
-
-                            // Store the preloaded data with the restaurant to avoid fetching it again
-                            restaurant.comments = comments;
-                            restaurant.tags = tags;
-                        }
-                        
-                        return MarkersComponent.updateMarker(restaurant, forceUpdate);
-                    });
+                    await Promise.all(updatePromises);
                     
-                    // Remove null values from results (filtered out markers)
-                    const results = await Promise.all(updatePromises);
+                    // Count the new markers into the filter panel as they arrive
+                    FilteringComponent.scheduleFacetUpdate();
                     
                     // Process next batch in next animation frame to keep UI responsive
                     requestAnimationFrame(() => setTimeout(processBatch, 0));
@@ -182,11 +132,37 @@ class App {
                 processBatch();
             } else {
                 console.log('Main.js - No restaurants received from API');
+                UrlStateComponent.openPendingRestaurant();
             }
         } catch (error) {
             console.error('Main.js - Error fetching restaurants:', error);
         }
     }
+
+    /**
+     * Copy fetched restaurants into the data store the search engine indexes
+     * 
+     * @param {Array} restaurants - Restaurants from the API
+     * @param {L.LatLngBounds} bounds - Bounds they were fetched for
+     * @param {number} zoom - Zoom level they were fetched at
+     */
+    storeRestaurants(restaurants, bounds, zoom) {
+        const records = restaurants.map(restaurant => {
+            const aggregates = getInlineAggregates(restaurant);
+            return {
+                ...restaurant,
+                tags: aggregates?.tags || [],
+                ratings: aggregates ? { ...aggregates.avgRatings, count: aggregates.reviewCount } : {}
+            };
+        });
+        
+        RestaurantDataStore.batchUpdate(records, {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        }, zoom);
+    }
 }
 
 // Initialize the application when the DOM is loaded
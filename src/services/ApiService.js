@@ -10,6 +10,7 @@ class ApiService {
         this.restaurantDataCache = new Map();
         this.cachedRestaurants = new Map(); // Store by OSM ID to avoid duplicates
         this.RATE_LIMIT = 300; // 300ms debounce time for fetching restaurants
+        this.EDIT_TOKENS_KEY = 'mensaviva.editTokens'; // localStorage key for review edit tokens
     }
 
     /**
@@ -86,7 +87,7 @@ class ApiService {
         console.log('API Service - fetchRestaurants called');
         
         try {
-            const response = await fetch(`/restaurants?south=${params.south}&west=${params.west}&north=${params.north}&east=${params.east}&checkForUpdates=${forceUpdate}`);
+            const response = await fetch(`/restaurants?south=${params.south}&west=${params.west}&north=${params.north}&east=${params.east}&checkForUpdates=${forceUpdate}&aggregates=true`);
             
             if (!response.ok) {
                 throw new Error(`Failed to fetch restaurants: ${response.status} ${response.statusText}`);
@@ -114,6 +115,29 @@ class ApiService {
         }
     }
 
+    /**
+     * Get one restaurant with its review aggregates, wherever it is on the map
+     * 
+     * @param {string} restaurantId - Restaurant ID
+     * @returns {Promise<Object|null>} - Promise resolving to the restaurant, or null if it isn't known
+     */
+    async getRestaurant(restaurantId) {
+        try {
+            const response = await fetch(`/restaurants/${encodeURIComponent(restaurantId)}`);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Failed to fetch restaurant: ${response.status} ${response.statusText}`);
+            }
+            
+            const restaurant = await response.json();
+            this.cachedRestaurants.set(restaurant.osm_id, restaurant);
+            return restaurant;
+        } catch (error) {
+            console.error(`Error fetching restaurant ${restaurantId}:`, error);
+            return null;
+        }
+    }
+
     /**
      * Get comments for a restaurant
      * 
@@ -159,14 +183,14 @@ class ApiService {
      * @param {string} text - Review text
      * @param {Object} ratings - Object containing food, price, and ambience ratings
      * @param {Array} tags - Array of tag strings
-     * @returns {Promise<boolean>} - Promise resolving to success status
+     * @returns {Promise<Object>} - Promise resolving to { success, error } where error is the server's { code, message, field } or null
      */
     async submitReview(restaurantId, text, ratings, tags) {
         try {
             console.log('Submitting review for restaurant:', restaurantId);
             
-            // Save comment
-            const commentResponse = await fetch('/comments', {
+            // Save comment and tags in a single transaction
+            const response = await fetch('/reviews', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -176,68 +200,208 @@ class ApiService {
                     text: text || null,
                     foodRating: ratings.food || null,
                     priceRating: ratings.price || null,
-                    ambienceRating: ratings.ambience || null
+                    ambienceRating: ratings.ambience || null,
+                    tags: tags || []
                 })
             });
 
-            if (!commentResponse.ok) {
-                throw new Error('Failed to save comment: ' + commentResponse.statusText);
+            if (!response.ok) {
+                // Validation errors (400), rate limits (429) and duplicates (409) come with a message worth showing
+                const error = await this.getError(response);
+                console.warn('Review rejected:', response.status, error);
+                return { success: false, error };
             }
 
-            const commentResult = await commentResponse.json();
-
-            // Save tags if any
-            if (tags && tags.length > 0) {
-                console.log('Saving tags:', tags);
-                const tagsResponse = await fetch('/tags', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        restaurantId: restaurantId,
-                        tags: tags,
-                        commentId: commentResult
-                    })
-                });
-
-                if (!tagsResponse.ok) {
-                    throw new Error('Failed to save tags');
+            // Keep the edit token so this browser can edit or delete the review later
+            const review = await response.json();
+            this.saveEditToken(review.id, review.editToken);
+
+            console.log('Review submitted successfully');
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('Error saving review:', error);
+            return { success: false, error: null };
+        }
+    }
+
+    /**
+     * Update a review written by this browser
+     * 
+     * @param {number} commentId - Comment ID
+     * @param {string} text - Review text
+     * @param {Object} ratings - Object containing food, price, and ambience ratings
+     * @param {Array} tags - Array of tag strings
+     * @returns {Promise<Object>} - Promise resolving to { success, error } where error is the server's { code, message, field } or null
+     */
+    async updateReview(commentId, text, ratings, tags) {
+        try {
+            const response = await fetch(`/comments/${commentId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Edit-Token': this.getEditToken(commentId) || ''
+                },
+                body: JSON.stringify({
+                    text: text || null,
+                    foodRating: ratings.food || null,
+                    priceRating: ratings.price || null,
+                    ambienceRating: ratings.ambience || null,
+                    tags: tags || []
+                })
+            });
+
+            if (!response.ok) {
+                const error = await this.getError(response);
+                console.warn(`Review ${commentId} update rejected:`, response.status, error);
+                return { success: false, error };
+            }
+            return { success: true, error: null };
+        } catch (error) {
+            console.error(`Error updating review ${commentId}:`, error);
+            return { success: false, error: null };
+        }
+    }
+
+    /**
+     * Read the error from a failed response. The server sends { error: { code, message, field } }.
+     * 
+     * @param {Response} response - Failed fetch response
+     * @returns {Promise<Object|null>} - Promise resolving to { code, message, field }, or null if the body has no error
+     */
+    async getError(response) {
+        try {
+            const { error } = await response.json();
+            if (!error || typeof error.message !== 'string') return null;
+            return { code: error.code || null, message: error.message, field: error.field || null };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete a review written by this browser
+     * 
+     * @param {number} commentId - Comment ID
+     * @returns {Promise<boolean>} - Promise resolving to success status
+     */
+    async deleteReview(commentId) {
+        try {
+            const response = await fetch(`/comments/${commentId}`, {
+                method: 'DELETE',
+                headers: {
+                    'X-Edit-Token': this.getEditToken(commentId) || ''
                 }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to delete review: ' + response.statusText);
             }
 
-            console.log('Review submitted successfully');
+            this.removeEditToken(commentId);
             return true;
         } catch (error) {
-            console.error('Error saving review:', error);
+            console.error(`Error deleting review ${commentId}:`, error);
             return false;
         }
     }
 
     /**
-     * Search for a city by name
+     * Report a comment or tag for moderation
      * 
-     * @param {string} query - City name to search for
-     * @returns {Promise<Object|null>} - Promise resolving to city location or null if not found
+     * @param {string} contentType - 'comment' or 'tag'
+     * @param {number} contentId - Comment or tag ID
+     * @param {string} reason - Optional reason given by the user
+     * @returns {Promise<boolean>} - Promise resolving to success status
      */
-    async searchCity(query) {
+    async reportContent(contentType, contentId, reason) {
+        try {
+            const response = await fetch('/reports', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ contentType, contentId, reason: reason || null })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to report content: ' + response.statusText);
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error reporting ${contentType} ${contentId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Read all edit tokens stored by this browser
+     * 
+     * @returns {Object} - Edit tokens indexed by comment ID
+     */
+    getEditTokens() {
+        try {
+            return JSON.parse(localStorage.getItem(this.EDIT_TOKENS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the edit token of a review written by this browser
+     * 
+     * @param {number} commentId - Comment ID
+     * @returns {string|null} - Edit token or null if this browser didn't write the review
+     */
+    getEditToken(commentId) {
+        return this.getEditTokens()[commentId] || null;
+    }
+
+    /**
+     * Store the edit token of a review
+     * 
+     * @param {number} commentId - Comment ID
+     * @param {string} token - Edit token
+     */
+    saveEditToken(commentId, token) {
+        if (!commentId || !token) return;
+        const tokens = this.getEditTokens();
+        tokens[commentId] = token;
+        localStorage.setItem(this.EDIT_TOKENS_KEY, JSON.stringify(tokens));
+    }
+
+    /**
+     * Forget the edit token of a review
+     * 
+     * @param {number} commentId - Comment ID
+     */
+    removeEditToken(commentId) {
+        const tokens = this.getEditTokens();
+        delete tokens[commentId];
+        localStorage.setItem(this.EDIT_TOKENS_KEY, JSON.stringify(tokens));
+    }
+
+    /**
+     * Search for cities and places by name
+     * 
+     * @param {string} query - Place name to search for
+     * @param {number} limit - Maximum number of places
+     * @returns {Promise<Array>} - Promise resolving to places as { name, lat, lon }
+     */
+    async searchCities(query, limit = 5) {
         try {
             console.log('Searching for city:', query);
-            const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}`);
+            const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&limit=${limit}&q=${encodeURIComponent(query)}`);
             const data = await response.json();
             console.log('City search results:', data);
             
-            if (data && data.length > 0) {
-                const { lat, lon } = data[0];
-                console.log('Found city location:', { lat, lon });
-                return { lat, lon };
-            } else {
-                console.warn('City not found:', query);
-                return null;
-            }
+            return (Array.isArray(data) ? data : []).map(place => ({
+                name: place.display_name,
+                lat: parseFloat(place.lat),
+                lon: parseFloat(place.lon)
+            }));
         } catch (error) {
             console.error('Error searching city:', error);
-            return null;
+            return [];
         }
     }
 
@@ -1,59 +1,57 @@
 import { FilterProcessor } from './FilterProcessor.js';
 import RestaurantDataStore from './RestaurantDataStore.js';
-import MarkerManager from './MarkerManager.js';
+import { parseOpenAt } from '../utils/openingHours.js';
+import { RATING_OPERATORS, FILTER_OPERATIONS, matchesFilter } from '../utils/filterPredicates.js';
+
+const RATING_TYPES = ['food', 'price', 'ambience'];
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+    value.every(item => typeof item === 'string' && item.length > 0);
+
+// Viewports with at least this many restaurants are filtered in a web worker
+const WORKER_THRESHOLD = 2000;
 
 /**
  * Manages restaurant filtering with caching and composite operations
  */
 class FilterEngine {
     constructor() {
-        this.processor = new FilterProcessor();
+        this.processor = new FilterProcessor({
+            useWorker: typeof Worker !== 'undefined',
+            maxWorkers: 2,
+            workerThreshold: WORKER_THRESHOLD
+        });
         this.activeFilters = new Map();
         this.filterCache = new Map();
         this.lastResults = null;
 
-        // Filter definitions with validation and processing rules
+        // Validation rules of each filter type, src/utils/filterPredicates.js evaluates them
         this.filterTypes = {
             rating: {
-                validate: (value) => {
-                    const num = parseFloat(value);
-                    return !isNaN(num) && num >= 0 && num <= 5;
-                },
-                process: (restaurant, value, type) => {
-                    const rating = restaurant.ratings?.[type];
-                    return rating !== null && rating >= value;
-                }
+                validate: (value, filter) => RATING_TYPES.includes(filter.subtype) &&
+                    typeof value === 'number' && value >= 0 && value <= 5 &&
+                    (filter.operator === undefined || Object.hasOwn(RATING_OPERATORS, filter.operator))
             },
             tags: {
-                validate: (value) => Array.isArray(value) && value.every(t => typeof t === 'string'),
-                process: (restaurant, tags) => {
-                    const restaurantTags = new Set(restaurant.tags?.map(t => t.toLowerCase()));
-                    return tags.every(tag => 
-                        Array.from(restaurantTags).some(t => t.includes(tag.toLowerCase()))
-                    );
-                }
+                validate: (value) => Array.isArray(value) && value.every(t => typeof t === 'string')
+            },
+            cuisine: {
+                validate: isStringList
+            },
+            diet: {
+                validate: isStringList
+            },
+            openAt: {
+                // "now" or a weekday and time in the restaurant's local time, e.g. "fr 20:00"
+                validate: (value) => typeof value === 'string' && parseOpenAt(value) !== null
             },
             amenity: {
-                validate: (value) => typeof value === 'string' && value.length > 0,
-                process: (restaurant, value) => restaurant.amenity === value
+                validate: (value) => typeof value === 'string' && value.length > 0
             },
             hasReviews: {
-                validate: (value) => typeof value === 'boolean',
-                process: (restaurant) => {
-                    return restaurant.reviews?.length > 0 || restaurant.tags?.length > 0;
-                }
+                validate: (value) => typeof value === 'boolean'
             }
         };
-
-        // Composite filter operations
-        this.operations = {
-            AND: (filters) => (restaurant) => 
-                filters.every(filter => this.evaluateFilter(filter, restaurant)),
-            OR: (filters) => (restaurant) => 
-                filters.some(filter => this.evaluateFilter(filter, restaurant)),
-            NOT: (filter) => (restaurant) => 
-                !this.evaluateFilter(filter, restaurant)
-        };
     }
 
     /**
@@ -90,26 +88,26 @@ class FilterEngine {
 
     /**
      * Apply all active filters
-     * @param {Array} restaurants - Restaurants to filter
-     * @returns {Object} Filter results and metadata
+     * @param {Array} restaurants - Restaurants to filter, all stored restaurants by default
+     * @returns {Promise<Object>} Filter results and metadata
      */
-    applyFilters(restaurants = null) {
+    async applyFilters(restaurants = null) {
         const startTime = performance.now();
 
-        // Use cached results if available
+        // Use cached results if available, they are only kept for the store's restaurants
         const cacheKey = this.generateCacheKey();
         if (this.filterCache.has(cacheKey) && !restaurants) {
             return this.filterCache.get(cacheKey);
         }
 
-        // Get restaurants from store if not provided
+        const useStore = !restaurants;
         restaurants = restaurants || RestaurantDataStore.getAllRestaurants();
 
         // Create composite filter function
         const filterFn = this.createCompositeFilter();
 
         // Apply filters and measure performance
-        const results = this.processor.processFilters(
+        const results = await this.processor.processFilters(
             restaurants,
             filterFn,
             this.activeFilters
@@ -128,42 +126,42 @@ class FilterEngine {
             timestamp: Date.now()
         };
 
-        this.filterCache.set(cacheKey, filterResults);
+        if (useStore) {
+            this.filterCache.set(cacheKey, filterResults);
+        }
         this.lastResults = filterResults;
 
-        // Update markers
-        this.updateMarkers(results);
-
         return filterResults;
     }
 
     /**
-     * Create composite filter function from active filters
+     * Count the filter panel facets of some restaurants, in a worker when there are many
+     * @param {Array} restaurants - Filterable restaurant records
+     * @param {Object} facets - Filter definitions to count against, see src/utils/facetCounts.js
+     * @returns {Promise<Object>} Facet counts
+     */
+    countFacets(restaurants, facets) {
+        return this.processor.countFacets(restaurants, facets);
+    }
+
+    /**
+     * Create composite filter function from filters
+     * @param {Map} filters - Filter configurations by ID, the active filters by default
      * @returns {Function} Composite filter function
      */
-    createCompositeFilter() {
-        const filters = Array.from(this.activeFilters.entries())
-            .map(([id, filter]) => {
-                if (filter.operation) {
-                    return this.operations[filter.operation](filter.filters);
-                }
-                return (restaurant) => this.evaluateFilter(filter, restaurant);
-            });
-
-        return this.operations.AND(filters);
+    createCompositeFilter(filters = this.activeFilters) {
+        const definitions = Array.from(filters.values());
+        return (restaurant) => FILTER_OPERATIONS.AND(definitions, restaurant);
     }
 
     /**
-     * Evaluate a single filter against a restaurant
+     * Evaluate a single or composite filter against a restaurant
      * @param {Object} filter - Filter configuration
      * @param {Object} restaurant - Restaurant to evaluate
      * @returns {boolean} Filter result
      */
     evaluateFilter(filter, restaurant) {
-        const type = this.filterTypes[filter.type];
-        if (!type) return true;
-
-        return type.process(restaurant, filter.value, filter.subtype);
+        return matchesFilter(filter, restaurant);
     }
 
     /**
@@ -174,15 +172,16 @@ class FilterEngine {
     validateFilter(filter) {
         // Handle composite filters
         if (filter.operation) {
-            if (!this.operations[filter.operation]) return false;
+            if (!Object.hasOwn(FILTER_OPERATIONS, filter.operation) || !Array.isArray(filter.filters)) return false;
+            if (filter.operation === 'NOT' && filter.filters.length !== 1) return false;
             return filter.filters.every(f => this.validateFilter(f));
         }
 
         // Handle basic filters
+        if (!Object.hasOwn(this.filterTypes, filter.type)) return false;
         const type = this.filterTypes[filter.type];
-        if (!type) return false;
 
-        return type.validate(filter.value);
+        return type.validate(filter.value, filter);
     }
 
     /**
@@ -190,12 +189,10 @@ class FilterEngine {
      * @returns {string} Cache key
      */
     generateCacheKey() {
-        const filterState = Array.from(this.activeFilters.entries())
+        return Array.from(this.activeFilters.entries())
             .sort(([a], [b]) => a.localeCompare(b))
             .map(([id, filter]) => `${id}:${JSON.stringify(filter)}`)
             .join('|');
-
-        return crypto.createHash('md5').update(filterState).digest('hex');
     }
 
     /**
@@ -206,18 +203,6 @@ class FilterEngine {
         this.lastResults = null;
     }
 
-    /**
-     * Update markers based on filter results
-     * @param {Array} results - Filtered restaurants
-     */
-    updateMarkers(results) {
-        const visibleIds = new Set(results.map(r => r.id));
-        
-        MarkerManager.updateVisibility(marker => 
-            visibleIds.has(marker.restaurantData?.id)
-        );
-    }
-
     /**
      * Get active filters
      * @returns {Map} Active filters
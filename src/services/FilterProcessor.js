@@ -1,3 +1,5 @@
+import { countFacets, mergeFacetCounts } from '../utils/facetCounts.js';
+
 /**
  * Processes filters efficiently with worker support and batch operations
  */
@@ -7,6 +9,7 @@ export class FilterProcessor {
             batchSize: options.batchSize || 1000,
             useWorker: options.useWorker || false,
             maxWorkers: options.maxWorkers || navigator.hardwareConcurrency || 4,
+            workerThreshold: options.workerThreshold || 0, // Smaller datasets stay on the main thread
             ...options
         };
 
@@ -22,9 +25,7 @@ export class FilterProcessor {
             batchStats: []
         };
 
-        if (this.options.useWorker) {
-            this.initializeWorkers();
-        }
+        // Workers are started the first time a dataset is large enough to need them
     }
 
     /**
@@ -32,7 +33,8 @@ export class FilterProcessor {
      */
     initializeWorkers() {
         for (let i = 0; i < this.options.maxWorkers; i++) {
-            const worker = new Worker(new URL('./FilterWorker.js', import.meta.url));
+            // A module worker, so it can import the filter predicates
+            const worker = new Worker(new URL('../workers/FilterWorker.js', import.meta.url), { type: 'module' });
             this.workers.set(++this.workerId, {
                 worker,
                 busy: false,
@@ -52,8 +54,13 @@ export class FilterProcessor {
         const startTime = performance.now();
         const results = [];
 
-        if (this.options.useWorker && this.workers.size > 0) {
-            results.push(...await this.processWithWorkers(data, activeFilters));
+        if (this.shouldUseWorkers(data)) {
+            try {
+                results.push(...await this.processWithWorkers(data, activeFilters));
+            } catch (error) {
+                console.error('FilterProcessor - Worker failed, filtering on the main thread:', error);
+                results.push(...await this.processInBatches(data, filterFn));
+            }
         } else {
             results.push(...await this.processInBatches(data, filterFn));
         }
@@ -64,6 +71,29 @@ export class FilterProcessor {
         return results;
     }
 
+    /**
+     * Check whether a dataset should be filtered in workers, starting them if needed
+     * @param {Array} data - Data to filter
+     * @returns {boolean} Whether to use workers
+     */
+    shouldUseWorkers(data) {
+        if (!this.options.useWorker || data.length < this.options.workerThreshold) {
+            return false;
+        }
+
+        if (this.workers.size === 0) {
+            try {
+                this.initializeWorkers();
+            } catch (error) {
+                console.error('FilterProcessor - Could not start workers:', error);
+                this.options.useWorker = false;
+                return false;
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Process data in batches
      * @param {Array} data - Data to process
@@ -123,23 +153,63 @@ export class FilterProcessor {
      * @returns {Promise<Array>} Filtered results
      */
     async processWithWorker(batch, activeFilters) {
+        const startTime = performance.now();
+        const { results } = await this.runOnWorker({
+            task: 'filter',
+            batch,
+            filters: Array.from(activeFilters.entries())
+        });
+
+        this.recordBatchStats(
+            batch.length, 
+            results.length,
+            performance.now() - startTime
+        );
+
+        return results;
+    }
+
+    /**
+     * Count the filter panel facets of a dataset, in workers when it is large
+     * @param {Array} data - Filterable restaurant records
+     * @param {Object} facets - Filter definitions to count against, see countFacets
+     * @returns {Promise<Object>} Facet counts
+     */
+    async countFacets(data, facets) {
+        if (this.shouldUseWorkers(data)) {
+            try {
+                const batchCounts = await Promise.all(
+                    this.createBatches(data).map(batch => this.runOnWorker({ task: 'facets', batch, facets }))
+                );
+                return mergeFacetCounts(batchCounts.map(({ counts }) => counts));
+            } catch (error) {
+                console.error('FilterProcessor - Worker failed, counting facets on the main thread:', error);
+            }
+        }
+
+        return countFacets(data, facets);
+    }
+
+    /**
+     * Send a task to the next available worker
+     * @param {Object} message - Task for FilterWorker, with the batch it covers
+     * @returns {Promise<Object>} The worker's reply
+     */
+    async runOnWorker(message) {
         const worker = await this.getAvailableWorker();
         
         return new Promise((resolve, reject) => {
-            const startTime = performance.now();
-            
             worker.worker.onmessage = (e) => {
-                const { results, processedCount } = e.data;
+                const { processedCount, error } = e.data;
                 worker.processed += processedCount;
                 worker.busy = false;
                 
-                this.recordBatchStats(
-                    batch.length, 
-                    results.length,
-                    performance.now() - startTime
-                );
+                if (error) {
+                    reject(new Error(error));
+                    return;
+                }
                 
-                resolve(results);
+                resolve(e.data);
             };
 
             worker.worker.onerror = (error) => {
@@ -147,22 +217,22 @@ export class FilterProcessor {
                 reject(error);
             };
 
-            worker.busy = true;
-            worker.worker.postMessage({
-                batch,
-                filters: Array.from(activeFilters.entries())
-            });
+            worker.worker.postMessage(message);
         });
     }
 
     /**
-     * Get an available worker
+     * Get an available worker and mark it busy
      * @returns {Promise<Object>} Available worker
      */
     async getAvailableWorker() {
+        // Claimed right away, so batches sent at the same time don't share a worker
         const checkWorkers = () => {
             for (const [id, worker] of this.workers) {
-                if (!worker.busy) return worker;
+                if (!worker.busy) {
+                    worker.busy = true;
+                    return worker;
+                }
             }
             return null;
         };
@@ -263,60 +333,3 @@ export class FilterProcessor {
     }
 }
 
-/**
- * Create a serializable filter function
- * @param {Object} filter - Filter configuration
- * @returns {string} Serialized filter function
- */
-export function createSerializableFilter(filter) {
-    const filterCode = `
-        return function(restaurant) {
-            ${generateFilterCode(filter)}
-        };
-    `;
-    return new Function(filterCode)();
-}
-
-/**
- * Generate filter code for serialization
- * @param {Object} filter - Filter configuration
- * @returns {string} Generated filter code
- */
-function generateFilterCode(filter) {
-    if (filter.operation) {
-        const subFilters = filter.filters.map(generateFilterCode);
-        switch (filter.operation) {
-            case 'AND':
-                return `return (${subFilters.join(') && (')});`;
-            case 'OR':
-                return `return (${subFilters.join(') || (')});`;
-            case 'NOT':
-                return `return !(${generateFilterCode(filter.filters[0])});`;
-            default:
-                throw new Error(`Unknown operation: ${filter.operation}`);
-        }
-    }
-
-    switch (filter.type) {
-        case 'rating':
-            return `
-                const rating = restaurant.ratings?.${filter.subtype};
-                return rating !== null && rating >= ${filter.value};
-            `;
-        case 'tags':
-            return `
-                const tags = new Set((restaurant.tags || []).map(t => t.toLowerCase()));
-                return ${JSON.stringify(filter.value)}.every(tag =>
-                    Array.from(tags).some(t => t.includes(tag.toLowerCase()))
-                );
-            `;
-        case 'amenity':
-            return `return restaurant.amenity === ${JSON.stringify(filter.value)};`;
-        case 'hasReviews':
-            return `
-                return restaurant.reviews?.length > 0 || restaurant.tags?.length > 0;
-            `;
-        default:
-            return 'return true;';
-    }
-}
@@ -72,7 +72,8 @@ class ApiService {
                 }
 
                 // Build URL with parameters
-                const url = new URL(endpoint, this.options.baseUrl);
+                // Relative endpoints resolve against the page when no baseUrl is configured
+                const url = new URL(endpoint, this.options.baseUrl || window.location.origin);
                 Object.entries(params).forEach(([key, value]) => {
                     url.searchParams.append(key, value);
                 });
@@ -190,14 +191,31 @@ class ApiService {
     }
 
     /**
-     * Search for a location
+     * Search restaurants by name, address and tags
      * @param {string} query - Search query
-     * @returns {Promise<Object>} Search results
+     * @param {Object} options - Optional bounds { south, west, north, east }, origin { lat, lng } and limit
+     * @returns {Promise<Array>} Matching restaurants, best first, with distance_km
      */
-    async searchLocation(query) {
+    async searchLocation(query, options = {}) {
+        const { bounds = null, origin = null, limit = null } = options;
+        const params = { q: query };
+
+        if (bounds) {
+            Object.assign(params, {
+                south: bounds.south,
+                west: bounds.west,
+                north: bounds.north,
+                east: bounds.east
+            });
+        }
+        if (origin) {
+            Object.assign(params, { lat: origin.lat, lng: origin.lng });
+        }
+        if (limit) params.limit = limit;
+
         return this.makeRequest({
             endpoint: '/search',
-            params: { q: query },
+            params,
             priority: 3
         });
     }
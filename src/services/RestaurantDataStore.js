@@ -25,6 +25,32 @@ class RestaurantDataStore {
         // Frequency counters for analytics
         this.viewCount = new Map();
         this.updateCount = new Map();
+
+        // Listeners notified when restaurants are added, updated or cleared
+        this.listeners = new Set();
+    }
+
+    /**
+     * Subscribe to data changes
+     * @param {Function} listener - Called after restaurants change
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers that the data changed
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('RestaurantDataStore - Error in subscriber:', error);
+            }
+        });
     }
 
     /**
@@ -73,6 +99,28 @@ class RestaurantDataStore {
      * @param {Object} data - Restaurant data
      */
     upsertRestaurant(data) {
+        const isNew = this.storeRestaurant(data);
+
+        // Restaurants don't move, only new ones go into the spatial cache
+        const restaurant = this.getRestaurant(data.id);
+        if (isNew && restaurant) {
+            this.spatialCache.addRestaurants([restaurant], {
+                south: data.lat - 0.001,
+                north: data.lat + 0.001,
+                west: data.lng - 0.001,
+                east: data.lng + 0.001
+            }, 15); // Default zoom level for single restaurant
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Store the data of a restaurant without touching the spatial cache or notifying
+     * @param {Object} data - Restaurant data
+     * @returns {boolean} - Whether the restaurant is new
+     */
+    storeRestaurant(data) {
         const {
             id,
             osm_id,
@@ -80,6 +128,8 @@ class RestaurantDataStore {
             lat,
             lng,
             address,
+            street,
+            city,
             opening_hours,
             amenity,
             tags = [],
@@ -87,6 +137,8 @@ class RestaurantDataStore {
             ratings = {}
         } = data;
 
+        const isNew = !this.restaurants.has(id);
+
         // Store coordinates
         this.storeCoordinates(id, lat, lng);
 
@@ -96,6 +148,8 @@ class RestaurantDataStore {
             osm_id,
             name,
             address,
+            street,
+            city,
             opening_hours,
             amenity: amenity || 'restaurant'
         });
@@ -117,16 +171,7 @@ class RestaurantDataStore {
         // Track update
         this.updateCount.set(id, (this.updateCount.get(id) || 0) + 1);
 
-        // Update spatial cache
-        const restaurant = this.getRestaurant(id);
-        if (restaurant) {
-            this.spatialCache.addRestaurants([restaurant], {
-                south: lat - 0.001,
-                north: lat + 0.001,
-                west: lng - 0.001,
-                east: lng + 0.001
-            }, 15); // Default zoom level for single restaurant
-        }
+        return isNew;
     }
 
     /**
@@ -154,6 +199,16 @@ class RestaurantDataStore {
         };
     }
 
+    /**
+     * Get all stored restaurants with all their data
+     * @returns {Array} - Restaurants
+     */
+    getAllRestaurants() {
+        return Array.from(this.restaurants.keys())
+            .map(id => this.getRestaurant(id))
+            .filter(restaurant => restaurant);
+    }
+
     /**
      * Get restaurants in viewport
      * @param {Object} bounds - Viewport bounds
@@ -179,12 +234,13 @@ class RestaurantDataStore {
      * @param {number} zoom - Current zoom level
      */
     batchUpdate(restaurants, bounds, zoom) {
-        restaurants.forEach(r => this.upsertRestaurant(r));
+        const newIds = restaurants.filter(r => this.storeRestaurant(r)).map(r => r.id);
         this.spatialCache.addRestaurants(
-            restaurants.map(r => this.getRestaurant(r.id)).filter(r => r),
+            newIds.map(id => this.getRestaurant(id)).filter(r => r),
             bounds,
             zoom
         );
+        this.notify();
     }
 
     /**
@@ -205,7 +261,8 @@ class RestaurantDataStore {
         this.updateCount.clear();
         
         this.spatialCache.clear();
+        this.notify();
     }
 }
 
-export default RestaurantDataStore;
+export default new RestaurantDataStore();
@@ -2,6 +2,19 @@ import axios from 'axios';
 import sqlite3 from 'sqlite3';
 const { Database } = sqlite3.verbose();
 import crypto from 'crypto';
+import { runMigrations } from '../db/migrations.js';
+import { OSM_ATTRIBUTE_COLUMNS, extractOsmAttributes, parseOsmAttributes } from '../utils/osmAttributes.js';
+import { ADDRESS_COLUMNS, extractAddress } from '../utils/addresses.js';
+import { getOsmId, normalizeOsmId } from '../utils/osmIds.js';
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+// Distance at which a search match's score is halved when ranking by distance
+const SEARCH_DISTANCE_DECAY_KM = 2;
+// Only the first words of a search query are used
+const MAX_SEARCH_WORDS = 8;
+// Restaurants gone from OSM are still returned for this long, for the "recently closed" toggle
+const RECENTLY_CLOSED_DAYS = 180;
 
 class RestaurantService {
     constructor() {
@@ -9,7 +22,7 @@ class RestaurantService {
         this.db = new Database('restaurant.db');
         this.lastFetch = 0;
         this.RATE_LIMIT = 5000; // 5 seconds between API calls
-        this.initializeDatabase();
+        this.ready = this.initializeDatabase();
     }
 
     // Validate and normalize bounds
@@ -29,46 +42,9 @@ class RestaurantService {
         return normalized;
     }
 
+    // Bring the schema up to date before any query runs
     async initializeDatabase() {
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                // Update restaurants table
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS restaurants (
-                        id INTEGER PRIMARY KEY,
-                        osm_id TEXT UNIQUE,
-                        name TEXT NOT NULL,
-                        lat REAL NOT NULL,
-                        lng REAL NOT NULL,
-                        address TEXT,
-                        opening_hours TEXT,
-                        last_updated TIMESTAMP,
-                        bbox_key TEXT,
-                        UNIQUE(lat, lng)
-                    )
-                `);
-
-                // Create map regions table
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS map_regions (
-                        bbox_key TEXT PRIMARY KEY,
-                        min_lat REAL,
-                        max_lat REAL,
-                        min_lng REAL,
-                        max_lng REAL,
-                        last_updated TIMESTAMP
-                    )
-                `);
-
-                // Create spatial index
-                this.db.run(`
-                    CREATE INDEX IF NOT EXISTS idx_restaurants_location 
-                    ON restaurants(lat, lng)
-                `);
-
-                resolve();
-            });
-        });
+        await runMigrations(this.db);
     }
 
     generateBboxKey(bounds) {
@@ -191,40 +167,92 @@ out body;`;
         }
     }
 
+    // Run a prepared statement, resolving once it is done
+    runStatement(stmt, params) {
+        return new Promise((resolve, reject) => {
+            stmt.run(params, err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
     async updateDatabase(osmData, bboxKey) {
         console.log('Updating database with OSM data...');
+        const columns = ['osm_id', 'name', 'lat', 'lng', 'address', 'opening_hours', 'last_updated', 'bbox_key', 'amenity',
+            ...ADDRESS_COLUMNS, ...OSM_ATTRIBUTE_COLUMNS];
+
+        // Updating in place keeps restaurants.id, which the search index rows point at.
+        // A closed restaurant back in OSM is open again.
+        const stmt = this.db.prepare(`
+            INSERT INTO restaurants (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+            ON CONFLICT(osm_id) DO UPDATE SET
+            ${columns.filter(column => column !== 'osm_id').map(column => `${column} = excluded.${column}`).join(', ')},
+            closed_at = NULL
+        `);
+        // Rows stored before ids were typed were all taken as nodes. A way or relation
+        // claims its old row, found by number and the exact center it was stored at.
+        const claimStmt = this.db.prepare(`
+            UPDATE restaurants SET osm_id = ?
+            WHERE osm_id = ? AND lat = ? AND lng = ?
+            AND NOT EXISTS (SELECT 1 FROM restaurants WHERE osm_id = ?)
+        `);
+
+        try {
+            for (const element of osmData.elements) {
+                if (!element.tags || !element.tags.name) continue;
+
+                const lat = element.lat || (element.center && element.center.lat);
+                const lon = element.lon || (element.center && element.center.lon);
+                if (!lat || !lon) continue;
+
+                const osmId = getOsmId(element);
+                if (element.type !== 'node') {
+                    await this.runStatement(claimStmt, [osmId, normalizeOsmId(element.id), lat, lon, osmId]);
+                }
+
+                const attributes = extractOsmAttributes(element.tags);
+                const address = extractAddress(element.tags, lat, lon);
+                await this.runStatement(stmt, [
+                    osmId,
+                    element.tags.name,
+                    lat,
+                    lon,
+                    address.address,
+                    element.tags.opening_hours || null,
+                    new Date().toISOString(),
+                    bboxKey,
+                    element.tags.amenity || 'restaurant',
+                    ...ADDRESS_COLUMNS.map(column => address[column]),
+                    ...OSM_ATTRIBUTE_COLUMNS.map(column => attributes[column])
+                ]);
+            }
+        } finally {
+            claimStmt.finalize();
+            stmt.finalize();
+        }
+    }
+
+    // Mark the restaurants in a region that a fresh fetch no longer returned as closed.
+    // Every restaurant the fetch returned was stored with a last_updated after fetchedAt.
+    async markClosedRestaurants(bounds, fetchedAt) {
         return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                const stmt = this.db.prepare(`
-                    INSERT OR REPLACE INTO restaurants 
-                    (osm_id, name, lat, lng, address, opening_hours, last_updated, bbox_key, amenity)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `);
-
-                osmData.elements.forEach(element => {
-                    if (element.tags && element.tags.name) {
-                        const lat = element.lat || (element.center && element.center.lat);
-                        const lon = element.lon || (element.center && element.center.lon);
-                        
-                        if (lat && lon) {
-                            stmt.run(
-                                element.id.toString(),
-                                element.tags.name,
-                                lat,
-                                lon,
-                                element.tags['addr:full'] || null,
-                                element.tags.opening_hours || null,
-                                new Date().toISOString(),
-                                bboxKey,
-                                element.tags.amenity || 'restaurant'
-                            );
-                        }
+            this.db.run(
+                `UPDATE restaurants SET closed_at = ?
+                WHERE closed_at IS NULL
+                AND (last_updated IS NULL OR last_updated < ?)
+                AND lat BETWEEN ? AND ?
+                AND lng BETWEEN ? AND ?`,
+                [new Date().toISOString(), fetchedAt, bounds.south, bounds.north, bounds.west, bounds.east],
+                function(err) {
+                    if (err) return reject(err);
+                    if (this.changes > 0) {
+                        console.log(`Marked ${this.changes} restaurants missing from OSM as closed`);
                     }
-                });
-
-                stmt.finalize();
-                resolve();
-            });
+                    resolve(this.changes);
+                }
+            );
         });
     }
 
@@ -241,6 +269,23 @@ out body;`;
         });
     }
 
+    async getLatestRegionAt(lat, lng) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM map_regions
+                WHERE min_lat <= ? AND max_lat >= ?
+                AND min_lng <= ? AND max_lng >= ?
+                ORDER BY last_updated DESC
+                LIMIT 1`,
+                [lat, lat, lng, lng],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+
     async updateRegion(bounds, bboxKey) {
         return new Promise((resolve, reject) => {
             this.db.run(
@@ -269,22 +314,108 @@ out body;`;
             this.db.all(
                 `SELECT * FROM restaurants 
                 WHERE lat BETWEEN ? AND ?
-                AND lng BETWEEN ? AND ?`,
-                [bounds.south, bounds.north, bounds.west, bounds.east],
+                AND lng BETWEEN ? AND ?
+                AND (closed_at IS NULL OR closed_at > ?)`,
+                [bounds.south, bounds.north, bounds.west, bounds.east, this.getRecentlyClosedSince()],
                 (err, rows) => {
                     if (err) {
                         console.error('Error fetching cached restaurants:', err);
                         reject(err);
                     } else {
                         console.log(`Found ${rows?.length || 0} cached restaurants`);
-                        resolve(rows || []);
+                        resolve((rows || []).map(parseOsmAttributes));
                     }
                 }
             );
         });
     }
 
-    async getRestaurantsInViewport(bounds, checkForUpdates = false) {
+    // Oldest closing date still counted as recently closed
+    getRecentlyClosedSince() {
+        return new Date(Date.now() - RECENTLY_CLOSED_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // Look up one cached restaurant by its OSM id, closed ones included
+    async getRestaurant(osmId) {
+        await this.ready;
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM restaurants WHERE osm_id = ?',
+                [osmId],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? parseOsmAttributes(row) : null);
+                }
+            );
+        });
+    }
+
+    // Turn free text into an FTS5 query matching every word as a prefix,
+    // e.g. 'pastéis bel' becomes '"pastéis"* "bel"*'
+    buildSearchQuery(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return words.slice(0, MAX_SEARCH_WORDS).map(word => `"${word}"*`).join(' ');
+    }
+
+    // Great-circle distance between two points in kilometers
+    distanceKm(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    // Full-text search over name, address and tags of the cached restaurants that are still open.
+    // Bounds restrict the results, an origin { lat, lng } ranks nearer matches first.
+    async searchRestaurants(text, { bounds = null, origin = null, limit = 20 } = {}) {
+        await this.ready;
+        const match = this.buildSearchQuery(text);
+        if (!match) return [];
+
+        const params = [match];
+        let where = 'restaurants_fts MATCH ? AND r.closed_at IS NULL';
+        if (bounds) {
+            where += ' AND r.lat BETWEEN ? AND ? AND r.lng BETWEEN ? AND ?';
+            params.push(bounds.south, bounds.north, bounds.west, bounds.east);
+        }
+
+        // bm25 scores are negative, dividing by a growing factor pushes far matches down.
+        // Squared equirectangular distance is plenty for ranking and needs no SQL math functions.
+        let order = 'score';
+        if (origin) {
+            const lngScale = Math.cos(origin.lat * Math.PI / 180);
+            order = 'score / (1 + ((r.lat - ?) * (r.lat - ?) + (r.lng - ?) * (r.lng - ?) * ?) * ?)';
+            params.push(origin.lat, origin.lat, origin.lng, origin.lng, lngScale * lngScale,
+                (KM_PER_DEGREE / SEARCH_DISTANCE_DECAY_KM) ** 2);
+        }
+        params.push(limit);
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT r.*, bm25(restaurants_fts, 10.0, 2.0, 5.0) AS score
+                FROM restaurants_fts
+                JOIN restaurants r ON r.id = restaurants_fts.rowid
+                WHERE ${where}
+                ORDER BY ${order}
+                LIMIT ?`,
+                params,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+
+        return rows.map(({ score, ...restaurant }) => ({
+            ...parseOsmAttributes(restaurant),
+            distance_km: origin ? this.distanceKm(origin.lat, origin.lng, restaurant.lat, restaurant.lng) : null
+        }));
+    }
+
+    async getRestaurantsInViewport(bounds) {
+        await this.ready;
         console.log('Getting restaurants in viewport, original bounds:', bounds);
         const normalizedBounds = this.validateBounds(bounds);
         const subRegions = this.splitBounds(normalizedBounds);
@@ -292,22 +423,13 @@ out body;`;
         // First try to get cached restaurants
         const cachedRestaurants = await this.getCachedRestaurants(normalizedBounds);
         if (cachedRestaurants.length > 0) {
-            // On first load (checkForUpdates = false), return cached results immediately
-            if (!checkForUpdates) {
-                console.log('First load, using cached restaurants:', cachedRestaurants.length);
-                return cachedRestaurants;
-            }
-            
-            // On subsequent loads, check if updates are needed
-            const needsUpdate = await Promise.all(
-                subRegions.map(async region => {
-                    const bboxKey = this.generateBboxKey(region);
-                    const regionInfo = await this.getRegion(bboxKey);
-                    return this.needsUpdate(regionInfo);
-                })
+            // Region keys follow the exact viewport, so the cache counts as fresh while
+            // the latest fetch covering the middle of the viewport is under a week old
+            const region = await this.getLatestRegionAt(
+                (normalizedBounds.south + normalizedBounds.north) / 2,
+                (normalizedBounds.west + normalizedBounds.east) / 2
             );
-
-            if (!needsUpdate.some(update => update)) {
+            if (!this.needsUpdate(region)) {
                 console.log('Cache is fresh, using cached restaurants:', cachedRestaurants.length);
                 return cachedRestaurants;
             }
@@ -328,8 +450,15 @@ out body;`;
 
                 try {
                     const query = this.buildOverpassQuery(subBounds);
+                    const fetchedAt = new Date().toISOString();
                     const osmData = await this.fetchFromOSM(query);
                     await this.updateDatabase(osmData, bboxKey);
+                    // Overpass adds a remark when it stopped early, the missing places may still exist
+                    if (osmData.remark) {
+                        console.warn('Incomplete OSM data, not closing missing restaurants:', osmData.remark);
+                    } else {
+                        await this.markClosedRestaurants(subBounds, fetchedAt);
+                    }
                     await this.updateRegion(subBounds, bboxKey);
                     this.lastFetch = Date.now();
                 } catch (error) {
@@ -1,4 +1,19 @@
 import RestaurantDataStore from './RestaurantDataStore.js';
+import { foldText } from '../utils/textFolding.js';
+
+// Score weight of a match in each indexed field
+const FIELD_WEIGHTS = {
+    name: 3,
+    tags: 2,
+    address: 1
+};
+
+// Match quality: a whole word beats a prefix, and each typo costs a quarter
+const MATCH_QUALITY = {
+    word: 1,
+    prefix: 0.8,
+    perEdit: 0.25
+};
 
 /**
  * Trie node for prefix matching
@@ -7,7 +22,8 @@ class TrieNode {
     constructor() {
         this.children = new Map();
         this.isEndOfWord = false;
-        this.items = new Set();
+        this.items = new Set(); // IDs of every term through this node
+        this.wordItems = new Set(); // IDs of the terms ending at this node
     }
 }
 
@@ -18,17 +34,22 @@ class SearchEngine {
     constructor(options = {}) {
         this.options = {
             minQueryLength: options.minQueryLength || 2,
+            fuzzyMinLength: options.fuzzyMinLength || 4, // Shorter words must match exactly
+            fuzzyLongLength: options.fuzzyLongLength || 7, // Longer words allow two typos
+            fuzzy: options.fuzzy ?? true,
             maxResults: options.maxResults || 50,
             typeaheadLimit: options.typeaheadLimit || 10,
             cacheTimeout: options.cacheTimeout || 5 * 60 * 1000, // 5 minutes
-            normalizeChars: options.normalizeChars || true,
+            normalizeChars: options.normalizeChars ?? true,
             ...options
         };
 
-        // Search indexes
+        // Search indexes, rebuilt on the next search after the data changed
         this.nameIndex = new TrieNode();
         this.tagIndex = new TrieNode();
         this.addressIndex = new TrieNode();
+        this.tagNames = new Set();
+        this.indexDirty = true;
 
         // Result caching
         this.queryCache = new Map();
@@ -49,10 +70,21 @@ class SearchEngine {
     }
 
     /**
-     * Handle data updates from RestaurantDataStore
+     * Handle data updates from RestaurantDataStore. The store changes on every
+     * map move, so the indexes are only rebuilt when they are next needed.
      */
     handleDataUpdate() {
-        this.rebuildIndexes();
+        this.indexDirty = true;
+        this.clearCache();
+    }
+
+    /**
+     * Rebuild the indexes if the data changed since they were built
+     */
+    ensureIndexes() {
+        if (this.indexDirty) {
+            this.rebuildIndexes();
+        }
     }
 
     /**
@@ -65,6 +97,7 @@ class SearchEngine {
         this.nameIndex = new TrieNode();
         this.tagIndex = new TrieNode();
         this.addressIndex = new TrieNode();
+        this.tagNames = new Set();
         this.queryCache.clear();
         this.typeaheadCache.clear();
 
@@ -83,6 +116,7 @@ class SearchEngine {
             // Index tags
             if (restaurant.tags) {
                 restaurant.tags.forEach(tag => {
+                    this.tagNames.add(tag);
                     const tagTokens = this.tokenize(tag);
                     tagTokens.forEach(token => {
                         this.insertIntoTrie(this.tagIndex, token, restaurant.id);
@@ -91,9 +125,10 @@ class SearchEngine {
                 });
             }
 
-            // Index address
-            if (restaurant.address) {
-                const addressTokens = this.tokenize(restaurant.address);
+            // Index address, with the street and city in case addr:full left them out
+            const addressText = [restaurant.address, restaurant.street, restaurant.city].filter(part => part).join(' ');
+            if (addressText) {
+                const addressTokens = new Set(this.tokenize(addressText));
                 addressTokens.forEach(token => {
                     this.insertIntoTrie(this.addressIndex, token, restaurant.id);
                     indexedTerms++;
@@ -101,6 +136,7 @@ class SearchEngine {
             }
         });
 
+        this.indexDirty = false;
         this.lastIndexUpdate = Date.now();
         this.metrics.indexSize = indexedTerms;
         this.metrics.indexBuildTime = performance.now() - startTime;
@@ -122,6 +158,7 @@ class SearchEngine {
             node.items.add(id);
         }
         node.isEndOfWord = true;
+        node.wordItems.add(id);
     }
 
     /**
@@ -138,6 +175,8 @@ class SearchEngine {
             return { results: [], metadata: { source: 'minimum_length' } };
         }
 
+        this.ensureIndexes();
+
         // Check cache
         const cacheKey = this.generateCacheKey(normalizedQuery, options);
         if (this.queryCache.has(cacheKey)) {
@@ -170,36 +209,34 @@ class SearchEngine {
      * @returns {Promise<Object>} Search results
      */
     async executeSearch(query, options) {
-        const searchPromises = [
-            this.searchIndex(this.nameIndex, query, 2), // Higher weight for names
-            this.searchIndex(this.tagIndex, query, 1),
-            this.searchIndex(this.addressIndex, query, 0.5)
-        ];
-
-        const [nameResults, tagResults, addressResults] = await Promise.all(searchPromises);
-        
-        // Merge and sort results
-        const scoreMap = new Map();
-        
-        const addResults = (results, weight) => {
-            results.forEach(({ id, score }) => {
-                const currentScore = scoreMap.get(id) || 0;
-                scoreMap.set(id, currentScore + (score * weight));
-            });
-        };
-
-        addResults(nameResults, 2);
-        addResults(tagResults, 1);
-        addResults(addressResults, 0.5);
+        // Every word of the query has to match as a prefix, e.g. "pasteis bel"
+        const tokens = this.tokenize(query);
+        if (tokens.length === 0) tokens.push(query);
+
+        let scoreMap = null;
+        for (const token of tokens) {
+            const tokenScores = await this.scoreToken(token);
+
+            // Keep only the restaurants every previous word matched too
+            if (scoreMap) {
+                tokenScores.forEach((score, id) => {
+                    if (!scoreMap.has(id)) tokenScores.delete(id);
+                    else tokenScores.set(id, score + scoreMap.get(id));
+                });
+            }
+            scoreMap = tokenScores;
+        }
 
-        // Get full restaurant data and sort by score
+        // Get full restaurant data and sort by score, shorter names first on ties
         const results = Array.from(scoreMap.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, this.options.maxResults)
             .map(([id, score]) => ({
                 restaurant: RestaurantDataStore.getRestaurant(id),
                 score
-            }));
+            }))
+            .filter(result => result.restaurant)
+            .sort((a, b) => b.score - a.score ||
+                (a.restaurant.name || '').length - (b.restaurant.name || '').length)
+            .slice(0, this.options.maxResults);
 
         return {
             results,
@@ -208,24 +245,105 @@ class SearchEngine {
         };
     }
 
+    /**
+     * Score the restaurants matching a single query word
+     * @param {string} token - Normalized query word
+     * @returns {Promise<Map>} Scores by restaurant ID
+     */
+    async scoreToken(token) {
+        const searchPromises = [
+            this.searchIndex(this.nameIndex, token, FIELD_WEIGHTS.name),
+            this.searchIndex(this.tagIndex, token, FIELD_WEIGHTS.tags),
+            this.searchIndex(this.addressIndex, token, FIELD_WEIGHTS.address)
+        ];
+
+        const results = await Promise.all(searchPromises);
+        
+        // Merge results, a word found in several fields scores in each of them
+        const scoreMap = new Map();
+        results.flat().forEach(({ id, score }) => {
+            scoreMap.set(id, (scoreMap.get(id) || 0) + score);
+        });
+
+        return scoreMap;
+    }
+
     /**
      * Search within a specific index
      * @param {TrieNode} root - Root node of index
-     * @param {string} query - Search query
-     * @param {number} weight - Result weight
+     * @param {string} query - Normalized query word
+     * @param {number} weight - Field weight
      * @returns {Promise<Array>} Search results
      */
     async searchIndex(root, query, weight) {
-        const results = new Map();
-        const prefixNode = this.findPrefixNode(root, query);
+        const matches = this.findMatches(root, query);
+
+        return Array.from(matches.entries())
+            .map(([id, quality]) => ({ id, score: quality * weight }));
+    }
+
+    /**
+     * Get the number of typos allowed in a query word
+     * @param {string} query - Normalized query word
+     * @returns {number} Maximum edit distance
+     */
+    getMaxEdits(query) {
+        if (!this.options.fuzzy) return 0;
 
-        if (!prefixNode) return [];
+        const length = Array.from(query).length;
+        if (length >= this.options.fuzzyLongLength) return 2;
+        if (length >= this.options.fuzzyMinLength) return 1;
+        return 0;
+    }
+
+    /**
+     * Find the terms of an index within a bounded edit distance of a query word.
+     * Walks the trie with one edit distance row per node (Damerau-Levenshtein, so
+     * swapped letters count as one typo) and stops descending once every cell of
+     * the row is over the limit.
+     * @param {TrieNode} root - Root node of index
+     * @param {string} query - Normalized query word
+     * @returns {Map} Best match quality by restaurant ID
+     */
+    findMatches(root, query) {
+        const chars = Array.from(query);
+        const maxEdits = this.getMaxEdits(query);
+        const matches = new Map();
+
+        const addMatches = (ids, quality) => {
+            ids.forEach(id => {
+                if (quality > (matches.get(id) || 0)) matches.set(id, quality);
+            });
+        };
+
+        // row[i] is the number of edits between the first i query characters and the trie path
+        const visit = (node, char, previousChar, previousRow, rowBeforeThat) => {
+            const row = [previousRow[0] + 1];
+            for (let i = 1; i <= chars.length; i++) {
+                const cost = chars[i - 1] === char ? 0 : 1;
+                let edits = Math.min(row[i - 1] + 1, previousRow[i] + 1, previousRow[i - 1] + cost);
+                if (rowBeforeThat && i > 1 && chars[i - 1] === previousChar && chars[i - 2] === char) {
+                    edits = Math.min(edits, rowBeforeThat[i - 2] + 1);
+                }
+                row.push(edits);
+            }
 
-        // Collect all items under this prefix
-        this.collectItems(prefixNode, results, query.length * weight);
+            const edits = row[chars.length];
+            if (edits <= maxEdits) {
+                const penalty = edits * MATCH_QUALITY.perEdit;
+                addMatches(node.items, MATCH_QUALITY.prefix - penalty);
+                addMatches(node.wordItems, MATCH_QUALITY.word - penalty);
+            }
+
+            if (Math.min(...row) <= maxEdits) {
+                node.children.forEach((child, childChar) => visit(child, childChar, char, row, previousRow));
+            }
+        };
+
+        const firstRow = chars.map((_, i) => i).concat(chars.length);
+        root.children.forEach((child, char) => visit(child, char, null, firstRow, null));
 
-        return Array.from(results.entries())
-            .map(([id, score]) => ({ id, score }));
+        return matches;
     }
 
     /**
@@ -245,25 +363,6 @@ class SearchEngine {
         return node;
     }
 
-    /**
-     * Collect items from node
-     * @param {TrieNode} node - Current node
-     * @param {Map} results - Results map
-     * @param {number} baseScore - Base score for items
-     */
-    collectItems(node, results, baseScore) {
-        // Add items at current node
-        node.items.forEach(id => {
-            const currentScore = results.get(id) || 0;
-            results.set(id, currentScore + baseScore);
-        });
-
-        // Recursively collect from children
-        node.children.forEach(child => {
-            this.collectItems(child, results, baseScore * 0.9); // Reduce score with depth
-        });
-    }
-
     /**
      * Get typeahead suggestions
      * @param {string} prefix - Search prefix
@@ -276,6 +375,8 @@ class SearchEngine {
             return [];
         }
 
+        this.ensureIndexes();
+
         // Check cache
         const cacheKey = `typeahead:${normalizedPrefix}`;
         if (this.typeaheadCache.has(cacheKey)) {
@@ -302,6 +403,27 @@ class SearchEngine {
         return results;
     }
 
+    /**
+     * Get the tags with a word starting with a prefix
+     * @param {string} prefix - Search prefix
+     * @param {number} limit - Maximum number of tags
+     * @returns {Array} Matching tag names, shortest first
+     */
+    getTagSuggestions(prefix, limit = this.options.typeaheadLimit) {
+        const normalizedPrefix = this.normalizeQuery(prefix);
+
+        if (normalizedPrefix.length < this.options.minQueryLength) {
+            return [];
+        }
+
+        this.ensureIndexes();
+
+        return Array.from(this.tagNames)
+            .filter(tag => this.tokenize(tag).some(word => word.startsWith(normalizedPrefix)))
+            .sort((a, b) => a.length - b.length)
+            .slice(0, limit);
+    }
+
     /**
      * Collect typeahead suggestions from index
      * @param {TrieNode} root - Root node
@@ -327,15 +449,11 @@ class SearchEngine {
      * @returns {string} Normalized query
      */
     normalizeQuery(query) {
-        let normalized = query.toLowerCase().trim();
-        
-        if (this.options.normalizeChars) {
-            normalized = normalized
-                .normalize('NFD')
-                .replace(/[\u0300-\u036f]/g, '');
+        if (!this.options.normalizeChars) {
+            return query.toLowerCase().trim();
         }
 
-        return normalized;
+        return foldText(query).trim();
     }
 
     /**
@@ -344,11 +462,8 @@ class SearchEngine {
      * @returns {Array} Tokens
      */
     tokenize(text) {
-        return text
-            .toLowerCase()
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .split(/[\s,.-]+/)
+        return foldText(text)
+            .split(/[^\p{L}\p{N}]+/u)
             .filter(token => token.length >= this.options.minQueryLength);
     }
 
@@ -0,0 +1,76 @@
+/**
+ * Sliding window rate limiter keyed by an arbitrary string (IP, client fingerprint...)
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        this.options = {
+            windowMs: options.windowMs || 10 * 60 * 1000, // 10 minutes
+            max: options.max || 10, // Max hits per key within the window
+            cleanupInterval: options.cleanupInterval || 60 * 1000,
+            ...options
+        };
+
+        // Hit timestamps by key, oldest first
+        this.hits = new Map();
+
+        // Drop keys whose hits have all expired
+        this.cleanupTimer = setInterval(() => this.cleanup(), this.options.cleanupInterval);
+        this.cleanupTimer.unref?.();
+    }
+
+    /**
+     * Record a hit for a key if it is within the limit
+     * @param {string} key - Rate limit key
+     * @returns {Object} - { allowed, remaining, retryAfter } with retryAfter in seconds
+     */
+    hit(key) {
+        const now = Date.now();
+        const timestamps = this.getActiveHits(key, now);
+
+        if (timestamps.length >= this.options.max) {
+            const retryAfter = Math.ceil((timestamps[0] + this.options.windowMs - now) / 1000);
+            return { allowed: false, remaining: 0, retryAfter };
+        }
+
+        timestamps.push(now);
+        this.hits.set(key, timestamps);
+        return { allowed: true, remaining: this.options.max - timestamps.length, retryAfter: 0 };
+    }
+
+    /**
+     * Get the hits of a key that are still inside the window
+     * @param {string} key - Rate limit key
+     * @param {number} now - Current timestamp
+     * @returns {Array} - Hit timestamps
+     */
+    getActiveHits(key, now) {
+        const timestamps = this.hits.get(key) || [];
+        const windowStart = now - this.options.windowMs;
+        while (timestamps.length > 0 && timestamps[0] <= windowStart) {
+            timestamps.shift();
+        }
+        return timestamps;
+    }
+
+    /**
+     * Remove expired keys
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const key of this.hits.keys()) {
+            if (this.getActiveHits(key, now).length === 0) {
+                this.hits.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Stop the cleanup timer and forget all hits
+     */
+    destroy() {
+        clearInterval(this.cleanupTimer);
+        this.hits.clear();
+    }
+}
+
+export default RateLimiter;
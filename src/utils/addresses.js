@@ -0,0 +1,143 @@
+/**
+ * Postal addresses of restaurants, assembled from the OpenStreetMap addr:*
+ * tags. The parts are stored in restaurants columns of the same name (street,
+ * housenumber, postcode, city and country) and joined into the address column
+ * in the local order of the country, e.g. "Rua Augusta 10, 1100-053 Lisboa"
+ * or "10 Downing Street, London, SW1A 2AA". An addr:full tag is used as is.
+ * The country comes from addr:country, or from a small table of regions when
+ * the tag is missing, as it is on most nodes. The regions are rough boxes, so
+ * places near a border can get the neighbouring country's order.
+ */
+
+// Every restaurants column holding an address part
+const ADDRESS_COLUMNS = ['street', 'housenumber', 'postcode', 'city', 'country'];
+
+// Lines of each address order, joined with commas. Empty parts are left out.
+const ADDRESS_FORMATS = {
+    // Most of Europe and the default: "Street 10, 12345 City"
+    streetFirst: [['street', 'housenumber'], ['postcode', 'city']],
+    // "Calle Mayor, 10, 28013 Madrid"
+    streetComma: [['street'], ['housenumber'], ['postcode', 'city']],
+    // "10 Rue de Rivoli, 75001 Paris"
+    numberFirst: [['housenumber', 'street'], ['postcode', 'city']],
+    // "10 Downing Street, London, SW1A 2AA"
+    british: [['housenumber', 'street'], ['city'], ['postcode']],
+    // "350 Fifth Avenue, New York, NY 10118"
+    northAmerican: [['housenumber', 'street'], ['city'], ['state', 'postcode']],
+    // "1 Macquarie Street, Sydney NSW 2000"
+    australian: [['housenumber', 'street'], ['city', 'state', 'postcode']],
+    // "Avenida Paulista, 1578, São Paulo SP, 01310-200"
+    brazilian: [['street'], ['housenumber'], ['city', 'state'], ['postcode']],
+    // "1051 Budapest, Október 6. utca 10"
+    postcodeFirst: [['postcode', 'city'], ['street', 'housenumber']]
+};
+
+// Address order by ISO 3166 country code, streetFirst for the others
+const COUNTRY_FORMATS = {
+    ES: 'streetComma',
+    IT: 'streetComma',
+    FR: 'numberFirst',
+    LU: 'numberFirst',
+    GB: 'british',
+    IE: 'british',
+    US: 'northAmerican',
+    CA: 'northAmerican',
+    AU: 'australian',
+    NZ: 'australian',
+    BR: 'brazilian',
+    HU: 'postcodeFirst'
+};
+
+// [south, west, north, east, country code], the first box containing a point wins.
+// Only countries that don't use the streetFirst order, or border one that doesn't, are listed.
+const COUNTRY_REGIONS = [
+    [36.8, -31.5, 39.8, -24.9, 'PT'],
+    [32.3, -17.5, 33.2, -16.2, 'PT'],
+    [40.0, -9.6, 42.2, -6.2, 'PT'],
+    [36.9, -9.6, 40.0, -7.3, 'PT'],
+    [27.5, -18.3, 29.5, -13.3, 'ES'],
+    [36.0, -9.4, 43.8, 3.4, 'ES'],
+    [51.4, -10.7, 55.4, -5.4, 'IE'],
+    [49.8, -8.7, 60.9, 1.8, 'GB'],
+    [49.5, 2.5, 51.5, 6.4, 'BE'],
+    [49.4, 5.7, 50.2, 6.5, 'LU'],
+    [45.8, 5.9, 47.8, 10.5, 'CH'],
+    [42.3, -4.8, 51.1, 8.2, 'FR'],
+    [36.6, 6.6, 46.5, 18.6, 'IT'],
+    [45.7, 16.1, 48.6, 22.9, 'HU'],
+    [18.8, -160.3, 22.3, -154.7, 'US'],
+    [51.0, -170.0, 71.5, -141.0, 'US'],
+    [14.5, -118.5, 25.8, -86.7, 'MX'],
+    [24.4, -125.0, 49.0, -67.0, 'US'],
+    [41.7, -141.0, 83.1, -52.6, 'CA'],
+    [-33.8, -73.9, 5.3, -34.8, 'BR'],
+    [-43.7, 112.9, -10.0, 153.7, 'AU'],
+    [-47.3, 166.4, -34.4, 178.6, 'NZ']
+];
+
+/**
+ * Guess the country of a location
+ * 
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string|null} - ISO 3166 country code, null outside the known regions
+ */
+function getCountry(lat, lng) {
+    const region = COUNTRY_REGIONS.find(([south, west, north, east]) =>
+        lat >= south && lat <= north && lng >= west && lng <= east
+    );
+    return region ? region[4] : null;
+}
+
+/**
+ * Join address parts in the local order of their country
+ * 
+ * @param {Object} parts - { street, housenumber, postcode, city, state, country }, missing parts are skipped
+ * @returns {string|null} - Address, null without a street or city
+ */
+function formatAddress(parts) {
+    const format = ADDRESS_FORMATS[COUNTRY_FORMATS[parts.country]] || ADDRESS_FORMATS.streetFirst;
+    // A house number means nothing without its street
+    const values = { ...parts, housenumber: parts.street ? parts.housenumber : null };
+
+    const lines = format
+        .map(line => line.map(part => values[part]).filter(value => value).join(' '))
+        .filter(line => line);
+    return values.street || values.city ? lines.join(', ') : null;
+}
+
+/**
+ * Pick the address out of an Overpass element's tags, as column values
+ * 
+ * @param {Object} tags - OSM tags of the element
+ * @param {number} lat - Latitude of the element, for guessing the country
+ * @param {number} lng - Longitude of the element
+ * @returns {Object} - Column values by column name, null for missing tags, with
+ *   address holding the formatted address
+ */
+function extractAddress(tags, lat, lng) {
+    const tag = key => tags[`addr:${key}`]?.trim() || null;
+    const country = tag('country')?.toUpperCase() || getCountry(lat, lng);
+    const parts = {
+        // Addresses without streets, e.g. in small villages, name a place instead
+        street: tag('street') || tag('place'),
+        housenumber: tag('housenumber'),
+        postcode: tag('postcode'),
+        city: tag('city'),
+        state: tag('state'),
+        country
+    };
+
+    const columns = { address: tag('full') || formatAddress(parts) };
+    ADDRESS_COLUMNS.forEach(column => {
+        columns[column] = parts[column];
+    });
+    return columns;
+}
+
+export {
+    ADDRESS_COLUMNS,
+    getCountry,
+    formatAddress,
+    extractAddress
+};
@@ -0,0 +1,18 @@
+/**
+ * Build the JSON body of an error response. Every error the API sends has the
+ * shape { error: { code, message, field } }, where field names the offending
+ * request field (e.g. "foodRating" or "tags[2]") or is null.
+ * 
+ * @param {string} code - Machine readable error code, e.g. 'required' or 'rate_limited'
+ * @param {string} message - Message that can be shown to the user
+ * @param {Object} details - Optional field and extra properties such as retryAfter
+ * @returns {Object} - Error response body
+ */
+function apiError(code, message, details = {}) {
+    const { field = null, ...extra } = details;
+    return { error: { code, message, field, ...extra } };
+}
+
+export {
+    apiError
+};
@@ -0,0 +1,91 @@
+/**
+ * Counts of the restaurants each filter panel option would leave, computed on
+ * the main thread for small viewports and in FilterWorker for large ones.
+ * Works on the filterable records of FilteringComponent.toFilterable.
+ */
+import { FILTER_OPERATIONS, matchesFilter } from './filterPredicates.js';
+
+/**
+ * Count the facets of some restaurants
+ * @param {Array} records - Filterable restaurant records
+ * @param {Object} facets - Filter definitions to count against:
+ *   all - every active filter, for the tags and diets
+ *   selects - by select facet (food, price, ambience, amenity), the active filters but that one
+ *   cuisine - the active filters but the cuisines
+ *   diets - diet:* keys to count
+ * @returns {Object} Counts by select facet and option value, and tag, cuisine and diet counts in Maps
+ */
+function countFacets(records, facets) {
+    const counts = { tags: new Map(), cuisine: new Map(), diet: new Map() };
+    Object.keys(facets.selects).forEach(facet => { counts[facet] = {}; });
+
+    const increment = (facet, value) => {
+        counts[facet][value] = (counts[facet][value] || 0) + 1;
+    };
+    const countIn = (map, value) => map.set(value, (map.get(value) || 0) + 1);
+    const dietFilters = facets.diets.map(value => ({ type: 'diet', value: [value] }));
+
+    records.forEach(record => {
+        Object.entries(facets.selects).forEach(([facet, filters]) => {
+            if (!FILTER_OPERATIONS.AND(filters, record)) return;
+
+            increment(facet, '');
+            if (facet === 'amenity') {
+                increment(facet, record.amenity);
+            } else if (record.hasReviews && record.ratings?.[facet] != null) {
+                // A "3+" option also includes the restaurants rated 4 or 5
+                for (let rating = 1; rating <= Math.floor(record.ratings[facet]); rating++) {
+                    increment(facet, String(rating));
+                }
+            }
+        });
+
+        if (FILTER_OPERATIONS.AND(facets.cuisine, record)) {
+            new Set(record.cuisine).forEach(cuisine => countIn(counts.cuisine, cuisine));
+        }
+
+        if (FILTER_OPERATIONS.AND(facets.all, record)) {
+            new Set((record.tags || []).map(tag => tag.toLowerCase())).forEach(tag => {
+                countIn(counts.tags, tag);
+            });
+            dietFilters.forEach(filter => {
+                if (matchesFilter(filter, record)) {
+                    countIn(counts.diet, filter.value[0]);
+                }
+            });
+        }
+    });
+
+    return counts;
+}
+
+/**
+ * Add up the facet counts of several batches of restaurants
+ * @param {Array} batchCounts - Results of countFacets
+ * @returns {Object} Combined counts, in the same shape
+ */
+function mergeFacetCounts(batchCounts) {
+    const merged = { tags: new Map(), cuisine: new Map(), diet: new Map() };
+
+    batchCounts.forEach(counts => {
+        Object.entries(counts).forEach(([facet, values]) => {
+            if (values instanceof Map) {
+                values.forEach((count, value) => {
+                    merged[facet].set(value, (merged[facet].get(value) || 0) + count);
+                });
+            } else {
+                merged[facet] = merged[facet] || {};
+                Object.entries(values).forEach(([value, count]) => {
+                    merged[facet][value] = (merged[facet][value] || 0) + count;
+                });
+            }
+        });
+    });
+
+    return merged;
+}
+
+export {
+    countFacets,
+    mergeFacetCounts
+};
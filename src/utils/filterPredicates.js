@@ -0,0 +1,78 @@
+/**
+ * Evaluation of FilterEngine filter definitions against a restaurant. Shared by
+ * FilterEngine on the main thread and FilterWorker, so this module must not
+ * import anything that needs the DOM or the restaurant store.
+ */
+import { isOpenAt } from './openingHours.js';
+
+// Comparisons a rating filter can use, '>=' when it doesn't say
+const RATING_OPERATORS = {
+    '>=': (rating, value) => rating >= value,
+    '>': (rating, value) => rating > value,
+    '<=': (rating, value) => rating <= value,
+    '<': (rating, value) => rating < value,
+    '=': (rating, value) => rating === value
+};
+
+// diet:* values meaning a restaurant has options for that diet
+const DIET_SERVED_VALUES = ['yes', 'only', 'limited'];
+
+// Diets also served by the options for another diet, vegan dishes are vegetarian
+const DIET_IMPLIED_BY = { vegetarian: ['vegan'] };
+
+// Whether a restaurant passes a basic filter, by filter type
+const FILTER_PREDICATES = {
+    rating: (restaurant, filter) => {
+        const rating = restaurant.ratings?.[filter.subtype];
+        return rating != null && RATING_OPERATORS[filter.operator || '>='](rating, filter.value);
+    },
+    tags: (restaurant, filter) => {
+        const restaurantTags = new Set(restaurant.tags?.map(t => t.toLowerCase()));
+        return filter.value.every(tag =>
+            Array.from(restaurantTags).some(t => t.includes(tag.toLowerCase()))
+        );
+    },
+    // Any of the cuisines, OSM lists several for many restaurants
+    cuisine: (restaurant, filter) =>
+        (restaurant.cuisine || []).some(cuisine => filter.value.includes(cuisine)),
+    // All of the diets, for groups with several of them
+    diet: (restaurant, filter) => {
+        const diet = restaurant.diet || {};
+        const serves = (name) => DIET_SERVED_VALUES.includes(diet[name]);
+        return filter.value.every(name => serves(name) ||
+            (Object.hasOwn(DIET_IMPLIED_BY, name) && DIET_IMPLIED_BY[name].some(serves)));
+    },
+    openAt: (restaurant, filter) => isOpenAt(restaurant.openingHours, restaurant.timeZone, filter.value),
+    amenity: (restaurant, filter) => restaurant.amenity === filter.value,
+    hasReviews: (restaurant) =>
+        restaurant.hasReviews ?? (restaurant.reviews?.length > 0 || restaurant.tags?.length > 0)
+};
+
+// Composite filter operations
+const FILTER_OPERATIONS = {
+    AND: (filters, restaurant) => filters.every(filter => matchesFilter(filter, restaurant)),
+    OR: (filters, restaurant) => filters.some(filter => matchesFilter(filter, restaurant)),
+    NOT: ([filter], restaurant) => !matchesFilter(filter, restaurant)
+};
+
+/**
+ * Evaluate a single or composite filter against a restaurant
+ * @param {Object} filter - Filter configuration
+ * @param {Object} restaurant - Restaurant to evaluate
+ * @returns {boolean} Whether the restaurant passes, unknown filter types pass everything
+ */
+function matchesFilter(filter, restaurant) {
+    if (filter.operation) {
+        return FILTER_OPERATIONS[filter.operation](filter.filters, restaurant);
+    }
+
+    const predicate = FILTER_PREDICATES[filter.type];
+    return predicate ? predicate(restaurant, filter) : true;
+}
+
+export {
+    RATING_OPERATORS,
+    FILTER_PREDICATES,
+    FILTER_OPERATIONS,
+    matchesFilter
+};
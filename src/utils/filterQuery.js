@@ -0,0 +1,354 @@
+/**
+ * Parser and formatter for the filter expression language typed into the
+ * filters panel, e.g. `food>=4 AND (tag:vegan OR tag:vegetarian) AND NOT amenity:fast_food`.
+ * Expressions become FilterEngine filter definitions and back.
+ * 
+ * Grammar, with AND binding tighter than OR and a missing operator meaning AND:
+ *   expression := and (OR and)*
+ *   and        := not (AND? not)*
+ *   not        := NOT not | '(' expression ')' | condition
+ *   condition  := food|price|ambience (>=|>|<=|<|=|:) number
+ *               | tag:value | cuisine:value | diet:value | amenity:value
+ *               | open:now | open:"<weekday> <time>" | reviewed
+ */
+import { parseOpenAt } from './openingHours.js';
+
+const RATING_FIELDS = ['food', 'price', 'ambience'];
+const RATING_OPERATORS = ['>=', '>', '<=', '<', '='];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const VALUE_FIELDS = ['tag', 'tags', 'cuisine', 'diet', 'amenity', 'open'];
+const FIELD_HINT = 'Try food>=4, price<=2, tag:vegan, cuisine:italian, diet:gluten_free, amenity:cafe, open:now or reviewed';
+
+// Values that can be written without quotes
+const BARE_VALUE = /^[\p{L}\p{N}_\-.']+$/u;
+
+/**
+ * Syntax or value error in a filter expression
+ */
+class FilterQueryError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - 1-based column the error is at
+     */
+    constructor(message, position) {
+        super(`${message} (at position ${position})`);
+        this.name = 'FilterQueryError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split an expression into tokens
+ * 
+ * @param {string} text - Filter expression
+ * @returns {Array} - Tokens as { type, position, ... }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const position = index + 1;
+
+        const whitespace = rest.match(/^\s+/);
+        if (whitespace) {
+            index += whitespace[0].length;
+            continue;
+        }
+
+        if (rest[0] === '(' || rest[0] === ')') {
+            tokens.push({ type: rest[0], position });
+            index++;
+            continue;
+        }
+
+        const word = rest.match(/^[A-Za-z_]+/);
+        if (!word) {
+            throw new FilterQueryError(`Unexpected "${rest[0]}". ${FIELD_HINT}`, position);
+        }
+
+        const operator = rest.slice(word[0].length).match(/^\s*(>=|<=|>|<|=|:)\s*/);
+        if (!operator) {
+            const keyword = word[0].toUpperCase();
+            if (KEYWORDS.includes(keyword)) {
+                tokens.push({ type: keyword, position });
+            } else if (word[0].toLowerCase() === 'reviewed') {
+                tokens.push({ type: 'condition', filter: { type: 'hasReviews', value: true }, position });
+            } else {
+                throw new FilterQueryError(`Unknown filter "${word[0]}". ${FIELD_HINT}`, position);
+            }
+            index += word[0].length;
+            continue;
+        }
+
+        index += word[0].length + operator[0].length;
+        const { value, length } = readValue(text, index, `${word[0]}${operator[1]}`, position);
+        tokens.push({
+            type: 'condition',
+            filter: createCondition(word[0].toLowerCase(), operator[1], value, position),
+            position
+        });
+        index += length;
+    }
+
+    tokens.push({ type: 'end', position: text.length + 1 });
+    return tokens;
+}
+
+/**
+ * Read the value of a condition, quoted or up to the next space or parenthesis
+ * 
+ * @param {string} text - Filter expression
+ * @param {number} index - Index the value starts at
+ * @param {string} condition - The field and operator before it, for error messages
+ * @param {number} position - Position of the condition
+ * @returns {Object} - { value, length } with length counting the quotes
+ */
+function readValue(text, index, condition, position) {
+    if (text[index] === '"') {
+        let value = '';
+        for (let i = index + 1; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                value += text[++i];
+            } else if (text[i] === '"') {
+                return { value, length: i - index + 1 };
+            } else {
+                value += text[i];
+            }
+        }
+        throw new FilterQueryError(`Missing closing quote in the value of "${condition}"`, position);
+    }
+
+    const value = text.slice(index).match(/^[^\s()]*/)[0];
+    if (!value) {
+        throw new FilterQueryError(`Expected a value after "${condition}"`, position);
+    }
+    return { value, length: value.length };
+}
+
+/**
+ * Build the filter definition of a condition
+ * 
+ * @param {string} field - Field name
+ * @param {string} operator - Comparison operator
+ * @param {string} value - Raw value
+ * @param {number} position - Position of the condition
+ * @returns {Object} - FilterEngine filter definition
+ */
+function createCondition(field, operator, value, position) {
+    if (RATING_FIELDS.includes(field)) {
+        const rating = Number(value);
+        if (value.trim() === '' || !Number.isFinite(rating) || rating < 0 || rating > 5) {
+            throw new FilterQueryError(`Ratings go from 0 to 5, got "${value}" for ${field}`, position);
+        }
+        // "food:4" reads as "food>=4", like the dropdowns
+        return { type: 'rating', subtype: field, operator: operator === ':' ? '>=' : operator, value: rating };
+    }
+
+    if (!VALUE_FIELDS.includes(field)) {
+        throw new FilterQueryError(`Unknown field "${field}". ${FIELD_HINT}`, position);
+    }
+
+    if (RATING_OPERATORS.includes(operator) && operator !== '=') {
+        throw new FilterQueryError(`"${operator}" only works with food, price and ambience, use ${field}:${value}`, position);
+    }
+
+    if (field === 'tag' || field === 'tags') {
+        return { type: 'tags', value: [value.toLowerCase()] };
+    }
+
+    if (field === 'open') {
+        if (!parseOpenAt(value)) {
+            throw new FilterQueryError(`Use open:now or a weekday and time like open:"fr 20:00", got "${value}"`, position);
+        }
+        return { type: 'openAt', value: value.trim().toLowerCase().replace(/\s+/g, ' ') };
+    }
+
+    if (field === 'cuisine') {
+        return { type: 'cuisine', value: [value.toLowerCase()] };
+    }
+
+    // OSM writes diets with underscores, "gluten-free" means diet:gluten_free
+    if (field === 'diet') {
+        return { type: 'diet', value: [value.toLowerCase().replace(/[\s-]+/g, '_')] };
+    }
+
+    return { type: 'amenity', value: value.toLowerCase() };
+}
+
+/**
+ * Recursive descent parser over the tokens
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    parseExpression() {
+        const filters = [this.parseAnd()];
+        while (this.peek().type === 'OR') {
+            this.next();
+            filters.push(this.parseAnd());
+        }
+        return combine('OR', filters);
+    }
+
+    parseAnd() {
+        const filters = [this.parseNot()];
+        while (['AND', 'NOT', '(', 'condition'].includes(this.peek().type)) {
+            if (this.peek().type === 'AND') this.next();
+            filters.push(this.parseNot());
+        }
+        return combine('AND', filters);
+    }
+
+    parseNot() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'NOT':
+                return { operation: 'NOT', filters: [this.parseNot()] };
+
+            case '(': {
+                const filter = this.parseExpression();
+                if (this.peek().type !== ')') {
+                    throw new FilterQueryError('Missing ")" for this "("', token.position);
+                }
+                this.next();
+                return filter;
+            }
+
+            case 'condition':
+                return token.filter;
+
+            case 'end': {
+                const previous = this.tokens[this.index - 2];
+                throw new FilterQueryError(
+                    previous ? `Expected a filter after "${previous.type}"` : 'Expected a filter',
+                    token.position
+                );
+            }
+
+            case ')':
+                throw new FilterQueryError('Unexpected ")"', token.position);
+
+            default:
+                throw new FilterQueryError(`Expected a filter before "${token.type}"`, token.position);
+        }
+    }
+}
+
+/**
+ * Join filters with an operation, flattening nested ones of the same kind
+ * 
+ * @param {string} operation - AND or OR
+ * @param {Array} filters - Filter definitions
+ * @returns {Object} - The filter itself if there is only one
+ */
+function combine(operation, filters) {
+    const flattened = filters.flatMap(filter =>
+        filter.operation === operation ? filter.filters : [filter]
+    );
+    return flattened.length === 1 ? flattened[0] : { operation, filters: flattened };
+}
+
+/**
+ * Parse a filter expression
+ * 
+ * @param {string} text - Filter expression
+ * @returns {Object|null} - FilterEngine filter definition, or null for an empty expression
+ * @throws {FilterQueryError} - If the expression is invalid
+ */
+function parseFilterQuery(text) {
+    if (!text || !text.trim()) return null;
+
+    const parser = new Parser(tokenize(text));
+    const filter = parser.parseExpression();
+
+    const token = parser.peek();
+    if (token.type === ')') {
+        throw new FilterQueryError('Unexpected ")" without a matching "("', token.position);
+    }
+    return filter;
+}
+
+/**
+ * Write a value, quoted if it has spaces or symbols
+ * 
+ * @param {string} value - Value to write
+ * @returns {string} - Bare or quoted value
+ */
+function formatValue(value) {
+    return BARE_VALUE.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Write a filter definition as an expression
+ * 
+ * @param {Object} filter - FilterEngine filter definition
+ * @param {string|null} parent - Operation the filter is inside, which decides the parentheses
+ * @returns {string} - Filter expression
+ */
+function formatFilter(filter, parent = null) {
+    if (filter.operation === 'NOT') {
+        return `NOT ${formatFilter(filter.filters[0], 'NOT')}`;
+    }
+
+    if (filter.operation) {
+        const text = filter.filters.map(f => formatFilter(f, filter.operation)).join(` ${filter.operation} `);
+        return parent && filter.filters.length > 1 ? `(${text})` : text;
+    }
+
+    switch (filter.type) {
+        case 'rating':
+            return `${filter.subtype}${filter.operator || '>='}${filter.value}`;
+        case 'tags': {
+            const text = filter.value.map(tag => `tag:${formatValue(tag)}`).join(' AND ');
+            return parent && parent !== 'AND' && filter.value.length > 1 ? `(${text})` : text;
+        }
+        case 'cuisine': {
+            // Any of the cuisines
+            const text = filter.value.map(cuisine => `cuisine:${formatValue(cuisine)}`).join(' OR ');
+            return parent && parent !== 'OR' && filter.value.length > 1 ? `(${text})` : text;
+        }
+        case 'diet': {
+            const text = filter.value.map(diet => `diet:${formatValue(diet)}`).join(' AND ');
+            return parent && parent !== 'AND' && filter.value.length > 1 ? `(${text})` : text;
+        }
+        case 'amenity':
+            return `amenity:${formatValue(filter.value)}`;
+        case 'openAt':
+            return `open:${formatValue(filter.value)}`;
+        case 'hasReviews':
+            return 'reviewed';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Write filter definitions as one expression joined with AND
+ * 
+ * @param {Array} filters - FilterEngine filter definitions
+ * @returns {string} - Filter expression, empty if there are no filters
+ */
+function formatFilterQuery(filters) {
+    if (filters.length === 0) return '';
+    return formatFilter(combine('AND', filters));
+}
+
+export {
+    FilterQueryError,
+    parseFilterQuery,
+    formatFilterQuery
+};
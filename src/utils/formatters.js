@@ -8,6 +8,19 @@ function formatRating(value) {
     return value !== null ? value.toFixed(1) : 'N/A';
 }
 
+/**
+ * Formats an OSM amenity value as a readable name, e.g. fast_food to Fast Food
+ * 
+ * @param {string} amenity - Amenity type
+ * @returns {string} - Formatted amenity name
+ */
+function formatAmenity(amenity) {
+    return amenity
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
 /**
  * Calculates average ratings from an array of comments
  * 
@@ -34,7 +47,45 @@ function calculateAverageRatings(comments) {
     };
 }
 
+/**
+ * Reads the review aggregates that GET /restaurants?aggregates=true inlines with each restaurant
+ * 
+ * @param {Object} restaurant - Restaurant row from the API
+ * @returns {Object|null} - Object containing avgRatings, tags, reviewCount, foodRatingCount and hasReviews, or null if the row has no aggregates
+ */
+function getInlineAggregates(restaurant) {
+    if (restaurant.review_count === undefined) return null;
+    
+    return {
+        avgRatings: {
+            food: restaurant.avg_food ?? null,
+            price: restaurant.avg_price ?? null,
+            ambience: restaurant.avg_ambience ?? null
+        },
+        tags: restaurant.tags || [],
+        reviewCount: restaurant.review_count,
+        foodRatingCount: restaurant.food_rating_count ?? 0,
+        hasReviews: !!restaurant.has_reviews
+    };
+}
+
+/**
+ * Checks whether comments or tags count as reviews
+ * 
+ * @param {Array} comments - Array of comment objects
+ * @param {Array} tags - Array of tag strings
+ * @returns {boolean} - Whether the restaurant has any reviews
+ */
+function hasAnyReviews(comments, tags) {
+    return comments.some(comment => 
+        comment.food_rating || comment.price_rating || comment.ambience_rating || comment.text
+    ) || tags.length > 0;
+}
+
 export {
     formatRating,
-    calculateAverageRatings
+    formatAmenity,
+    calculateAverageRatings,
+    getInlineAggregates,
+    hasAnyReviews
 };
@@ -0,0 +1,79 @@
+/**
+ * HTML escaping and rendering helpers shared by the components that build
+ * markup from restaurant names, reviews and tags
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Markup that has already been escaped and can be inserted as is
+ */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute
+ * 
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string, empty for null and undefined
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Marks a trusted string as safe markup so html`` doesn't escape it
+ * 
+ * @param {string} value - Trusted markup
+ * @returns {SafeHtml} - Safe markup
+ */
+function raw(value) {
+    return new SafeHtml(value);
+}
+
+/**
+ * Renders an interpolated value: safe markup as is, arrays joined, null, undefined
+ * and false as nothing, everything else escaped
+ * 
+ * @param {*} value - Interpolated value
+ * @returns {string} - Rendered markup
+ */
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value, e.g. html`<span>${tag}</span>`.
+ * Nested html`` results and arrays of them are inserted without double escaping.
+ * 
+ * @param {Array} strings - Template literal strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} - Safe markup, use String() or assign to innerHTML
+ */
+function html(strings, ...values) {
+    return raw(strings.reduce((markup, string, i) => 
+        markup + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+export {
+    escapeHtml,
+    html,
+    raw
+};
@@ -0,0 +1,796 @@
+/**
+ * Parser for OSM opening_hours values, shared by the popups, the filters and
+ * the server-rendered restaurant pages, e.g.
+ * `Mo-Fr 12:00-15:00,19:00-23:00; Sa 19:00-01:00; Su[1] 12:00-16:00; PH off`.
+ * 
+ * Supported: years, months and dates (`2025 Dec 24-26`, `Jan-Mar`), ISO weeks
+ * (`week 10-20/2`), weekdays with ranges and nth weekday of the month
+ * (`Fr-Mo`, `Su[-1]`), time ranges past midnight, open ends and sunrise or
+ * sunset (`18:00+`, `(sunset-01:00)-24:00`), `24/7`, the open, off, closed and
+ * unknown modifiers, comments, and normal (`;`), additional (`,`) and fallback
+ * (`||`) rules, with a `:` after the weekdays tolerated. Public and school holidays (PH, SH) can't be known here, so
+ * rules only for them never apply. Sunrise and sunset are fixed times.
+ * 
+ * Schedules are evaluated on local dates, { year, month, day, weekday } with
+ * weekday 0 for Monday, in the restaurant's time zone (see timeZones.js).
+ */
+import { getLocalDateTime } from './timeZones.js';
+
+const WEEKDAYS = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const HOLIDAYS = ['ph', 'sh'];
+const MODIFIERS = { open: 'open', off: 'closed', closed: 'closed', unknown: 'unknown' };
+
+// Minutes after midnight used for the times that depend on the sun
+const VARIABLE_TIMES = { dawn: 330, sunrise: 360, sunset: 1080, dusk: 1110 };
+
+// How long an open end ("18:00+") is taken to stay open
+const OPEN_END_MINUTES = 240;
+
+const DAY_MINUTES = 24 * 60;
+
+// Parsed schedules by opening_hours value, many restaurants share the same hours
+const scheduleCache = new Map();
+const SCHEDULE_CACHE_SIZE = 5000;
+
+/**
+ * Syntax error in an opening_hours value
+ */
+class OpeningHoursError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - 1-based column the error is at
+     */
+    constructor(message, position) {
+        super(`${message} (at position ${position})`);
+        this.name = 'OpeningHoursError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split an opening_hours value into tokens
+ * 
+ * @param {string} text - opening_hours value
+ * @returns {Array} - Tokens as { type, value, position }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const position = index + 1;
+        let match;
+
+        if ((match = rest.match(/^\s+/))) {
+            index += match[0].length;
+            continue;
+        }
+
+        if ((match = rest.match(/^"([^"]*)"/))) {
+            tokens.push({ type: 'comment', value: match[1], position });
+        } else if ((match = rest.match(/^24\/7/))) {
+            tokens.push({ type: 'always', position });
+        } else if ((match = rest.match(/^(\d{1,2}):(\d{2})/))) {
+            tokens.push({ type: 'time', value: Number(match[1]) * 60 + Number(match[2]), position });
+        } else if ((match = rest.match(/^\d+/))) {
+            tokens.push({ type: 'number', value: Number(match[0]), position });
+        } else if ((match = rest.match(/^[A-Za-z]+/))) {
+            tokens.push({ type: 'word', value: match[0].toLowerCase(), position });
+        } else if ((match = rest.match(/^\|\|/))) {
+            tokens.push({ type: '||', position });
+        } else if ((match = rest.match(/^[-–—,;[\]+/():]/))) {
+            // Dashes are often typed as en or em dashes
+            tokens.push({ type: /[–—]/.test(match[0]) ? '-' : match[0], position });
+        } else {
+            throw new OpeningHoursError(`Unexpected "${rest[0]}"`, position);
+        }
+        index += match[0].length;
+    }
+
+    tokens.push({ type: 'end', position: text.length + 1 });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser over the tokens, one rule at a time
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.index + offset];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Check whether the token at an offset is a word from a list
+     * 
+     * @param {Array} words - Lowercase words
+     * @param {number} offset - Offset from the current token
+     * @returns {boolean} - Whether it is one of them
+     */
+    isWord(words, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'word' && words.includes(token.value);
+    }
+
+    /**
+     * Check whether a time selector starts at an offset
+     * 
+     * @param {number} offset - Offset from the current token
+     * @returns {boolean} - Whether a time or a variable time follows
+     */
+    isTimeStart(offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'time' || token.type === '(' || this.isWord(Object.keys(VARIABLE_TIMES), offset);
+    }
+
+    expect(type, description) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw new OpeningHoursError(`Expected ${description}`, token.position);
+        }
+        return token;
+    }
+
+    /**
+     * Parse all the rules
+     * 
+     * @returns {Array} - Rules
+     */
+    parseRules() {
+        const rules = [];
+        let kind = 'normal';
+
+        while (this.peek().type !== 'end') {
+            rules.push(this.parseRule(kind));
+
+            const separator = this.next();
+            if (separator.type === ';') {
+                kind = 'normal';
+            } else if (separator.type === '||') {
+                kind = 'fallback';
+            } else if (separator.type === ',') {
+                kind = 'additional';
+            } else if (separator.type !== 'end') {
+                throw new OpeningHoursError('Expected ";" between rules', separator.position);
+            } else {
+                break;
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * Parse a rule: date, week and weekday selectors, times, a modifier and a comment
+     * 
+     * @param {string} kind - normal, additional or fallback
+     * @returns {Object} - Rule
+     */
+    parseRule(kind) {
+        const start = this.peek();
+        const rule = {
+            kind,
+            years: null,
+            dates: null,
+            weeks: null,
+            weekdays: null,
+            holidaysOnly: false,
+            times: null,
+            state: 'open',
+            comment: null
+        };
+
+        if (this.peek().type === 'always') {
+            this.next();
+        } else {
+            if (this.peek().type === 'number' && this.peek().value >= 1900) {
+                rule.years = this.parseRanges(1900, 9999, 'a year');
+            }
+            if (this.isWord(MONTHS)) {
+                rule.dates = this.parseDates();
+            }
+            if (this.isWord(['week'])) {
+                this.next();
+                rule.weeks = this.parseRanges(1, 53, 'a week number');
+            }
+            if ((rule.years || rule.dates || rule.weeks) && this.peek().type === ':') {
+                this.next();
+            }
+            if (this.isWord([...WEEKDAYS, ...HOLIDAYS])) {
+                this.parseWeekdays(rule);
+                // Not in the spec, but often typed, e.g. "Mo-Fr: 09:00-18:00"
+                if (this.peek().type === ':') this.next();
+            }
+            if (this.isTimeStart()) {
+                rule.times = this.parseTimes();
+            }
+        }
+
+        if (this.isWord(Object.keys(MODIFIERS))) {
+            rule.state = MODIFIERS[this.next().value];
+        }
+        if (this.peek().type === 'comment') {
+            const comment = this.next();
+            rule.comment = comment.value;
+            // A comment on its own, e.g. "by appointment", doesn't say when it's open
+            if (comment === start) rule.state = 'unknown';
+        }
+
+        if (this.peek() === start) {
+            const token = this.peek();
+            throw new OpeningHoursError(
+                token.type === 'word' ? `Unknown "${token.value}"` : 'Expected days or times',
+                token.position
+            );
+        }
+        return rule;
+    }
+
+    /**
+     * Parse a list of number ranges, e.g. "1-10/2,20"
+     * 
+     * @param {number} min - Smallest value allowed
+     * @param {number} max - Largest value allowed
+     * @param {string} description - What the numbers are, for errors
+     * @returns {Array} - Ranges as { from, to, step }
+     */
+    parseRanges(min, max, description) {
+        const ranges = [];
+        do {
+            const from = this.expect('number', description);
+            const range = { from: from.value, to: from.value, step: 1 };
+            if (this.peek().type === '-' && this.peek(1).type === 'number') {
+                this.next();
+                range.to = this.next().value;
+                if (this.peek().type === '/') {
+                    this.next();
+                    range.step = Math.max(1, this.expect('number', 'a step').value);
+                }
+            }
+            if (range.from < min || range.to > max) {
+                throw new OpeningHoursError(`Expected ${description} from ${min} to ${max}`, from.position);
+            }
+            ranges.push(range);
+        } while (this.peek().type === ',' && this.peek(1).type === 'number' && this.next());
+        return ranges;
+    }
+
+    /**
+     * Parse a month and optional day, e.g. "Dec" or "Dec 24"
+     * 
+     * @param {boolean} isEnd - Whether it ends a range, a month alone then runs to its last day
+     * @returns {number} - Month and day as month * 100 + day
+     */
+    parseMonthDay(isEnd) {
+        const month = MONTHS.indexOf(this.expect('word', 'a month').value) + 1;
+        if (this.peek().type === 'number' && this.peek().value <= 31) {
+            return month * 100 + this.next().value;
+        }
+        return month * 100 + (isEnd ? 31 : 1);
+    }
+
+    /**
+     * Parse month and date ranges, e.g. "Jan-Mar", "Dec 24-26" or "Dec 24-Jan 02"
+     * 
+     * @returns {Array} - Ranges as { from, to } in month * 100 + day form
+     */
+    parseDates() {
+        const ranges = [];
+        do {
+            const hasDay = this.peek(1).type === 'number';
+            const from = this.parseMonthDay(false);
+            let to = hasDay ? from : Math.floor(from / 100) * 100 + 31;
+            if (this.peek().type === '-') {
+                this.next();
+                if (this.peek().type === 'number') {
+                    to = Math.floor(from / 100) * 100 + this.next().value;
+                } else {
+                    to = this.parseMonthDay(true);
+                }
+            }
+            ranges.push({ from, to });
+        } while (this.peek().type === ',' && this.isWord(MONTHS, 1) && this.next());
+        return ranges;
+    }
+
+    /**
+     * Parse weekdays, e.g. "Mo-Fr", "Sa,Su", "Su[1,-1]" or "Mo-Fr,PH"
+     * 
+     * @param {Object} rule - Rule to add the weekdays to
+     */
+    parseWeekdays(rule) {
+        const selectors = [];
+        let hasHolidays = false;
+
+        do {
+            const token = this.next();
+            if (HOLIDAYS.includes(token.value)) {
+                hasHolidays = true;
+                continue;
+            }
+
+            const from = WEEKDAYS.indexOf(token.value);
+            let to = from;
+            if (this.peek().type === '-' && this.isWord(WEEKDAYS, 1)) {
+                this.next();
+                to = WEEKDAYS.indexOf(this.next().value);
+            }
+
+            const days = [];
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.push(day);
+                if (day === to) break;
+            }
+
+            selectors.push({ days, nth: this.peek().type === '[' ? this.parseNth() : null });
+        } while (this.peek().type === ',' && this.isWord([...WEEKDAYS, ...HOLIDAYS], 1) && this.next());
+
+        if (selectors.length > 0) {
+            rule.weekdays = selectors;
+        } else if (hasHolidays) {
+            rule.holidaysOnly = true;
+        }
+    }
+
+    /**
+     * Parse the nth weekdays of the month, e.g. "[1]", "[-1]" or "[1-2,4]"
+     * 
+     * @returns {Array} - Numbers from -5 to 5, negative from the end of the month
+     */
+    parseNth() {
+        this.next();
+        const nth = [];
+        const readNumber = () => {
+            const negative = this.peek().type === '-' && !!this.next();
+            const token = this.expect('number', 'a week of the month');
+            if (token.value < 1 || token.value > 5) {
+                throw new OpeningHoursError('Expected a week of the month from 1 to 5', token.position);
+            }
+            return negative ? -token.value : token.value;
+        };
+
+        do {
+            const from = readNumber();
+            let to = from;
+            if (from > 0 && this.peek().type === '-' && this.peek(1).type === 'number') {
+                this.next();
+                to = readNumber();
+            }
+            for (let n = from; n <= to; n++) nth.push(n);
+        } while (this.peek().type === ',' && this.next());
+
+        this.expect(']', '"]"');
+        return nth;
+    }
+
+    /**
+     * Parse a time, e.g. "19:00", "sunset" or "(sunset-01:00)"
+     * 
+     * @returns {number} - Minutes after midnight
+     */
+    parseTime() {
+        const token = this.next();
+        if (token.type === 'time') {
+            if (token.value > 2 * DAY_MINUTES) {
+                throw new OpeningHoursError('Expected a time up to 48:00', token.position);
+            }
+            return token.value;
+        }
+        if (token.type === 'word' && token.value in VARIABLE_TIMES) {
+            return VARIABLE_TIMES[token.value];
+        }
+        if (token.type === '(') {
+            const event = this.expect('word', 'sunrise, sunset, dawn or dusk');
+            if (!(event.value in VARIABLE_TIMES)) {
+                throw new OpeningHoursError('Expected sunrise, sunset, dawn or dusk', event.position);
+            }
+            const sign = this.next();
+            if (sign.type !== '+' && sign.type !== '-') {
+                throw new OpeningHoursError('Expected + or - after the event', sign.position);
+            }
+            const offset = this.expect('time', 'a time offset').value;
+            this.expect(')', '")"');
+            return VARIABLE_TIMES[event.value] + (sign.type === '+' ? offset : -offset);
+        }
+        throw new OpeningHoursError('Expected a time', token.position);
+    }
+
+    /**
+     * Parse time ranges, e.g. "12:00-15:00,19:00-23:00", "22:00-02:00" or "18:00+"
+     * 
+     * @returns {Array} - Spans as { start, end, openEnd } in minutes, end past 24:00 for the next day
+     */
+    parseTimes() {
+        const spans = [];
+        do {
+            const position = this.peek().position;
+            const start = this.parseTime();
+            if (this.peek().type === '+') {
+                this.next();
+                spans.push({ start, end: start + OPEN_END_MINUTES, openEnd: true });
+                continue;
+            }
+
+            this.expect('-', 'a time range, e.g. 12:00-15:00');
+            let end = this.parseTime();
+            if (end <= start) end += DAY_MINUTES;
+            // "12:00-14:00+" may stay open later, it is read as closing at 14:00
+            if (this.peek().type === '+') this.next();
+            if (this.peek().type === '/') {
+                throw new OpeningHoursError('Repeating times are not supported', position);
+            }
+            spans.push({ start, end, openEnd: false });
+        } while (this.peek().type === ',' && this.isTimeStart(1) && this.next());
+        return spans;
+    }
+}
+
+/**
+ * Parse an opening_hours value
+ * 
+ * @param {string} text - opening_hours value
+ * @returns {Object} - Schedule, { rules }
+ * @throws {OpeningHoursError} - If the value can't be read
+ */
+function parseOpeningHours(text) {
+    const parser = new Parser(tokenize(text));
+    const rules = parser.parseRules();
+    if (rules.length === 0) {
+        throw new OpeningHoursError('Expected days or times', 1);
+    }
+    return { rules };
+}
+
+/**
+ * Get the schedule of an opening_hours value, without throwing
+ * 
+ * @param {string|null} text - opening_hours value
+ * @returns {Object|null} - Schedule, or null if the value is missing or can't be read
+ */
+function getSchedule(text) {
+    if (!text || !text.trim()) return null;
+
+    if (!scheduleCache.has(text)) {
+        if (scheduleCache.size >= SCHEDULE_CACHE_SIZE) scheduleCache.clear();
+        try {
+            scheduleCache.set(text, parseOpeningHours(text));
+        } catch (error) {
+            if (!(error instanceof OpeningHoursError)) throw error;
+            scheduleCache.set(text, null);
+        }
+    }
+    return scheduleCache.get(text);
+}
+
+/**
+ * Move a local date by a number of days
+ * 
+ * @param {Object} date - Local date, { year, month, day }
+ * @param {number} days - Days to add, negative to go back
+ * @returns {Object} - Local date with its weekday
+ */
+function addDays(date, days) {
+    const moved = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return {
+        year: moved.getUTCFullYear(),
+        month: moved.getUTCMonth() + 1,
+        day: moved.getUTCDate(),
+        weekday: (moved.getUTCDay() + 6) % 7
+    };
+}
+
+/**
+ * Get the ISO week number of a local date
+ * 
+ * @param {Object} date - Local date
+ * @returns {number} - Week from 1 to 53
+ */
+function getIsoWeek(date) {
+    // The week belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(date.year, date.month - 1, date.day + 3 - date.weekday));
+    const firstDay = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    return Math.floor((thursday - firstDay) / (7 * 24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Check whether a number is in one of a list of ranges
+ * 
+ * @param {Array} ranges - Ranges as { from, to, step }
+ * @param {number} value - Number to check
+ * @returns {boolean} - Whether it is in a range
+ */
+function inRanges(ranges, value) {
+    return ranges.some(({ from, to, step }) => value >= from && value <= to && (value - from) % step === 0);
+}
+
+/**
+ * Check whether a rule's selectors match a local date
+ * 
+ * @param {Object} rule - Parsed rule
+ * @param {Object} date - Local date
+ * @returns {boolean} - Whether the rule applies on that day
+ */
+function matchesDate(rule, date) {
+    if (rule.holidaysOnly) return false;
+    if (rule.years && !inRanges(rule.years, date.year)) return false;
+    if (rule.weeks && !inRanges(rule.weeks, getIsoWeek(date))) return false;
+
+    if (rule.dates) {
+        const key = date.month * 100 + date.day;
+        const inDates = rule.dates.some(({ from, to }) =>
+            from <= to ? key >= from && key <= to : key >= from || key <= to
+        );
+        if (!inDates) return false;
+    }
+
+    if (rule.weekdays) {
+        const daysInMonth = new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+        const nthFromStart = Math.ceil(date.day / 7);
+        const nthFromEnd = -Math.ceil((daysInMonth - date.day + 1) / 7);
+        return rule.weekdays.some(({ days, nth }) =>
+            days.includes(date.weekday) && (!nth || nth.includes(nthFromStart) || nth.includes(nthFromEnd))
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Remove spans of time from intervals
+ * 
+ * @param {Array} intervals - Intervals as { start, end, ... }
+ * @param {Array} spans - Spans to remove, as { start, end }
+ * @returns {Array} - What is left of the intervals
+ */
+function subtractSpans(intervals, spans) {
+    return spans.reduce((remaining, span) => remaining.flatMap(interval => {
+        if (span.end <= interval.start || span.start >= interval.end) return [interval];
+        return [
+            ...(interval.start < span.start ? [{ ...interval, end: span.start }] : []),
+            ...(span.end < interval.end ? [{ ...interval, start: span.end }] : [])
+        ];
+    }), intervals);
+}
+
+/**
+ * Get the intervals a place is open, or maybe open, on a local date. Intervals
+ * running past midnight end after 24:00.
+ * 
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} date - Local date
+ * @returns {Array} - Intervals as { start, end, openEnd, state, comment }, state open or unknown
+ */
+function getDayIntervals(schedule, date) {
+    let intervals = [];
+    let matched = false;
+
+    schedule.rules.forEach(rule => {
+        if (rule.kind === 'fallback' && matched) return;
+        if (!matchesDate(rule, date)) return;
+
+        // A normal rule replaces what earlier rules said about the day
+        if (rule.kind !== 'additional') intervals = [];
+        matched = true;
+
+        const spans = rule.times || [{ start: 0, end: DAY_MINUTES, openEnd: false }];
+        intervals = subtractSpans(intervals, spans);
+        if (rule.state !== 'closed') {
+            intervals.push(...spans.map(span => ({ ...span, state: rule.state, comment: rule.comment })));
+        }
+    });
+
+    return intervals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the state of a place at a local time
+ * 
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} date - Local date
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Object} - { state, comment, interval } with state open, closed or unknown and the
+ *   interval it is in, null when closed
+ */
+function getStateAt(schedule, date, minutes) {
+    const overnight = getDayIntervals(schedule, addDays(date, -1))
+        .filter(interval => interval.end > DAY_MINUTES)
+        .map(interval => ({ ...interval, start: interval.start - DAY_MINUTES, end: interval.end - DAY_MINUTES }));
+
+    const interval = [...overnight, ...getDayIntervals(schedule, date)]
+        .find(({ start, end }) => minutes >= start && minutes < end);
+
+    return interval
+        ? { state: interval.state, comment: interval.comment, interval }
+        : { state: 'closed', comment: null, interval: null };
+}
+
+/**
+ * Format minutes after midnight as a time
+ * 
+ * @param {number} minutes - Minutes, past 24:00 for the next day
+ * @returns {string} - Time, e.g. "19:30"
+ */
+function formatTime(minutes) {
+    const wrapped = minutes > DAY_MINUTES ? minutes % DAY_MINUTES : minutes;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format the intervals of a day
+ * 
+ * @param {Array} intervals - Intervals from getDayIntervals
+ * @returns {string} - e.g. "12:00–15:00, 19:00–23:00", "Open 24 hours" or "Closed"
+ */
+function formatIntervals(intervals) {
+    if (intervals.length === 0) return 'Closed';
+
+    return intervals.map(interval => {
+        const note = interval.comment || (interval.state === 'unknown' ? 'unconfirmed' : null);
+        if (interval.start === 0 && interval.end >= DAY_MINUTES) {
+            return note || 'Open 24 hours';
+        }
+
+        const time = interval.openEnd
+            ? `${formatTime(interval.start)}+`
+            : `${formatTime(interval.start)}–${formatTime(interval.end)}`;
+        return note ? `${time} (${note})` : time;
+    }).join(', ');
+}
+
+/**
+ * Get the opening hours for each day of the current week, Monday to Sunday
+ * 
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} today - Local date of today
+ * @returns {Array} - Days as { weekday, label, isToday, intervals, text }
+ */
+function getWeek(schedule, today) {
+    const monday = addDays(today, -today.weekday);
+    return WEEKDAY_LABELS.map((label, weekday) => {
+        const intervals = getDayIntervals(schedule, addDays(monday, weekday));
+        return { weekday, label, isToday: weekday === today.weekday, intervals, text: formatIntervals(intervals) };
+    });
+}
+
+/**
+ * Find when a place next opens or closes, looking a week ahead
+ * 
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} date - Local date
+ * @param {number} minutes - Minutes after midnight
+ * @param {boolean} isOpen - Whether the place is open now, to find the closing time
+ * @returns {Object|null} - { days, minutes } with the days from the date, null if nothing changes within the week
+ */
+function findNextChange(schedule, date, minutes, isOpen) {
+    for (let days = 0; days <= 7; days++) {
+        const day = addDays(date, days);
+        const overnight = getDayIntervals(schedule, addDays(day, -1))
+            .filter(interval => interval.end > DAY_MINUTES)
+            .map(interval => ({ start: 0, end: interval.end - DAY_MINUTES }));
+
+        // The state can only change where an interval starts or ends
+        const times = [0, ...[...overnight, ...getDayIntervals(schedule, day)].flatMap(({ start, end }) => [start, end])]
+            .filter(time => time < DAY_MINUTES && (days > 0 || time > minutes))
+            .sort((a, b) => a - b);
+
+        const time = times.find(time => (getStateAt(schedule, day, time).state === 'open') !== isOpen);
+        if (time !== undefined) {
+            return { days, minutes: time };
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe whether a place is open at a moment, for the badge in its popup
+ * 
+ * @param {string|null} openingHours - opening_hours value
+ * @param {string} timeZone - Time zone of the place
+ * @param {Date} now - Moment, now by default
+ * @returns {Object|null} - { state, label } with state open, closed or unknown, null without
+ *   readable opening hours
+ */
+function getOpeningStatus(openingHours, timeZone, now = new Date()) {
+    const schedule = getSchedule(openingHours);
+    if (!schedule) return null;
+
+    const local = getLocalDateTime(now, timeZone);
+    const { state, comment } = getStateAt(schedule, local, local.minutes);
+    if (state === 'unknown') {
+        return { state, label: comment ? `Maybe open (${comment})` : 'Maybe open' };
+    }
+
+    const isOpen = state === 'open';
+    const change = findNextChange(schedule, local, local.minutes, isOpen);
+    if (!change) {
+        return { state, label: isOpen ? 'Open 24/7' : 'Closed' };
+    }
+
+    // Closing after midnight still reads as tonight
+    const time = formatTime(change.minutes);
+    const when = change.days === 0 || (change.days === 1 && isOpen) ? time
+        : change.days === 1 ? `tomorrow ${time}`
+        : `${WEEKDAY_LABELS[addDays(local, change.days).weekday]} ${time}`;
+    return {
+        state,
+        label: isOpen ? `Open now · until ${when}` : `Closed · opens ${when}`
+    };
+}
+
+/**
+ * Read the value of an "open at" filter
+ * 
+ * @param {string} value - "now" or a weekday and time, e.g. "fr 20:00"
+ * @returns {Object|null} - { now: true } or { weekday, minutes }, null if it isn't valid
+ */
+function parseOpenAt(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === 'now') return { now: true };
+
+    const match = text.match(/^([a-z]{2})\s+(\d{1,2}):(\d{2})$/);
+    if (!match || !WEEKDAYS.includes(match[1]) || Number(match[2]) > 23 || Number(match[3]) > 59) {
+        return null;
+    }
+    return { weekday: WEEKDAYS.indexOf(match[1]), minutes: Number(match[2]) * 60 + Number(match[3]) };
+}
+
+/**
+ * Write the value of an "open at" filter
+ * 
+ * @param {number} weekday - Weekday, 0 for Monday
+ * @param {string} time - Time, e.g. "20:00"
+ * @returns {string} - Filter value, e.g. "fr 20:00"
+ */
+function formatOpenAt(weekday, time) {
+    return `${WEEKDAYS[weekday]} ${time}`;
+}
+
+/**
+ * Check whether a place is open now, or at a weekday and time in its local time
+ * during the coming week
+ * 
+ * @param {string|null} openingHours - opening_hours value
+ * @param {string} timeZone - Time zone of the place
+ * @param {string} when - "Open at" filter value, see parseOpenAt
+ * @param {Date} now - Current moment, now by default
+ * @returns {boolean} - Whether it is open, false without readable opening hours
+ */
+function isOpenAt(openingHours, timeZone, when, now = new Date()) {
+    const schedule = getSchedule(openingHours);
+    const at = parseOpenAt(when);
+    if (!schedule || !at) return false;
+
+    const local = getLocalDateTime(now, timeZone);
+    if (at.now) {
+        return getStateAt(schedule, local, local.minutes).state === 'open';
+    }
+
+    const date = addDays(local, (at.weekday - local.weekday + 7) % 7);
+    return getStateAt(schedule, date, at.minutes).state === 'open';
+}
+
+export {
+    WEEKDAY_LABELS,
+    OpeningHoursError,
+    parseOpeningHours,
+    getSchedule,
+    getDayIntervals,
+    getWeek,
+    formatTime,
+    formatIntervals,
+    getOpeningStatus,
+    parseOpenAt,
+    formatOpenAt,
+    isOpenAt
+};
@@ -0,0 +1,155 @@
+/**
+ * Extra OpenStreetMap tags kept for each restaurant: cuisine, diet:*,
+ * wheelchair, outdoor_seating, website, phone, takeaway and delivery.
+ * They are stored in restaurants columns of the same name (diet:* as a JSON
+ * object in the diet column) and returned by the API with cuisine split into
+ * a list and diet parsed, e.g.
+ * { cuisine: ['italian', 'pizza'], diet: { vegan: 'yes' }, wheelchair: 'limited', ... }
+ */
+
+// OSM tags stored as is, by column name
+const PLAIN_ATTRIBUTES = ['wheelchair', 'outdoor_seating', 'website', 'phone', 'takeaway', 'delivery'];
+
+// Every restaurants column holding an OSM attribute
+const OSM_ATTRIBUTE_COLUMNS = ['cuisine', 'diet', ...PLAIN_ATTRIBUTES];
+
+const DIET_PREFIX = 'diet:';
+
+// Labels for the yes/limited/only/no values of the OSM tags, no shows nothing unless listed
+const FEATURE_LABELS = {
+    wheelchair: { yes: 'Wheelchair accessible', limited: 'Limited wheelchair access', no: 'Not wheelchair accessible' },
+    outdoor_seating: { yes: 'Outdoor seating' },
+    takeaway: { yes: 'Takeaway', only: 'Takeaway only' },
+    delivery: { yes: 'Delivery', only: 'Delivery only' }
+};
+
+/**
+ * Split an OSM list value, e.g. "italian;pizza" or "italian; pizza"
+ * 
+ * @param {string|null} value - OSM tag value
+ * @returns {Array} - Trimmed, lowercase values
+ */
+function splitOsmList(value) {
+    return (value || '').split(';').map(item => item.trim().toLowerCase()).filter(item => item);
+}
+
+/**
+ * Pick the extra attributes out of an Overpass element's tags, as column values
+ * 
+ * @param {Object} tags - OSM tags of the element
+ * @returns {Object} - Column values by column name, null for missing tags
+ */
+function extractOsmAttributes(tags) {
+    const diet = {};
+    Object.entries(tags).forEach(([key, value]) => {
+        if (key.startsWith(DIET_PREFIX) && key.length > DIET_PREFIX.length) {
+            diet[key.slice(DIET_PREFIX.length)] = value.trim().toLowerCase();
+        }
+    });
+
+    const cuisine = splitOsmList(tags.cuisine);
+    const columns = {
+        cuisine: cuisine.length > 0 ? cuisine.join(';') : null,
+        diet: Object.keys(diet).length > 0 ? JSON.stringify(diet) : null
+    };
+    PLAIN_ATTRIBUTES.forEach(key => {
+        columns[key] = tags[key]?.trim() || null;
+    });
+    return columns;
+}
+
+/**
+ * Turn the stored attribute columns of a restaurant row into their API form
+ * 
+ * @param {Object} row - Restaurant row
+ * @returns {Object} - The row with cuisine as a list and diet as an object
+ */
+function parseOsmAttributes(row) {
+    let diet = {};
+    try {
+        diet = row.diet ? JSON.parse(row.diet) : {};
+    } catch (error) {
+        console.error(`Invalid diet attributes on restaurant ${row.osm_id}:`, error.message);
+    }
+
+    return {
+        ...row,
+        cuisine: splitOsmList(row.cuisine),
+        diet
+    };
+}
+
+/**
+ * Format an OSM value for display, e.g. "gluten_free" to "Gluten free"
+ * 
+ * @param {string} value - OSM value
+ * @returns {string} - Readable value
+ */
+function formatOsmValue(value) {
+    const text = value.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describe the diets a restaurant caters for, e.g. "Vegan", "Vegetarian only", "Gluten free (limited)"
+ * 
+ * @param {Object} diet - Diet values by diet, from parseOsmAttributes
+ * @returns {Array} - Labels of the diets that aren't "no"
+ */
+function describeDiet(diet = {}) {
+    return Object.entries(diet)
+        .filter(([, value]) => value !== 'no')
+        .map(([name, value]) => {
+            const label = formatOsmValue(name);
+            if (value === 'only') return `${label} only`;
+            if (value === 'limited') return `${label} (limited)`;
+            return label;
+        });
+}
+
+/**
+ * Describe the amenities of a restaurant: wheelchair access, outdoor seating, takeaway and delivery
+ * 
+ * @param {Object} restaurant - Restaurant with its OSM attributes
+ * @returns {Array} - Labels
+ */
+function describeFeatures(restaurant) {
+    return Object.entries(FEATURE_LABELS)
+        .map(([key, labels]) => labels[restaurant[key]])
+        .filter(label => label);
+}
+
+/**
+ * Make an OSM website value safe to link to. Values without a scheme get https.
+ * 
+ * @param {string|null} website - OSM website value
+ * @returns {string|null} - http(s) URL, or null if it isn't one
+ */
+function getWebsiteUrl(website) {
+    if (!website) return null;
+    const url = /^[a-z][a-z0-9+.-]*:/i.test(website) ? website : `https://${website}`;
+    return /^https?:\/\/[^\s"<>]+$/i.test(url) ? url : null;
+}
+
+/**
+ * Make an OSM phone value usable in a tel: link. Several numbers are separated by ;
+ * 
+ * @param {string|null} phone - OSM phone value
+ * @returns {string|null} - First number with only digits and a leading +, or null without one
+ */
+function getPhoneLink(phone) {
+    const number = (phone || '').split(';')[0].replace(/[^\d+]/g, '');
+    return number.replace(/\D/g, '').length > 0 ? `tel:${number}` : null;
+}
+
+export {
+    OSM_ATTRIBUTE_COLUMNS,
+    splitOsmList,
+    extractOsmAttributes,
+    parseOsmAttributes,
+    formatOsmValue,
+    describeDiet,
+    describeFeatures,
+    getWebsiteUrl,
+    getPhoneLink
+};
@@ -0,0 +1,50 @@
+/**
+ * Typed OpenStreetMap ids of restaurants. Nodes, ways and relations are
+ * numbered separately, so restaurants are keyed by the id with a one letter
+ * type prefix: n123 for node 123, w123 for way 123 and r123 for relation 123.
+ * Ids stored before the prefix was added were taken as nodes, and bare
+ * numbers in old links still are.
+ */
+
+// Prefix of each Overpass element type
+const OSM_TYPE_PREFIXES = {
+    node: 'n',
+    way: 'w',
+    relation: 'r'
+};
+
+const OSM_ID_PATTERN = /^[nwr][0-9]+$/;
+const LEGACY_OSM_ID_PATTERN = /^[0-9]+$/;
+
+/**
+ * Get the typed id of an Overpass element
+ * 
+ * @param {Object} element - Overpass element with type and id
+ * @returns {string} - Typed id, e.g. "w123"
+ */
+function getOsmId(element) {
+    const prefix = OSM_TYPE_PREFIXES[element.type];
+    if (!prefix) {
+        throw new Error(`Unknown OSM element type: ${element.type}`);
+    }
+    return `${prefix}${element.id}`;
+}
+
+/**
+ * Turn a restaurant id from a link or an older client into a typed id
+ * 
+ * @param {string} osmId - Typed id, or a bare number from before ids were typed
+ * @returns {string} - Typed id, bare numbers become node ids
+ */
+function normalizeOsmId(osmId) {
+    const value = String(osmId).trim();
+    return LEGACY_OSM_ID_PATTERN.test(value) ? `${OSM_TYPE_PREFIXES.node}${value}` : value;
+}
+
+export {
+    OSM_TYPE_PREFIXES,
+    OSM_ID_PATTERN,
+    LEGACY_OSM_ID_PATTERN,
+    getOsmId,
+    normalizeOsmId
+};
@@ -0,0 +1,270 @@
+/**
+ * Server rendering of the shareable restaurant pages (/r/:osmId). The app's
+ * index.html gets the restaurant's title, Open Graph and schema.org markup in
+ * its head and a readable summary in its body, so link previews and crawlers
+ * see the restaurant. The map then starts on top of it as usual.
+ */
+import { html, raw } from './html.js';
+import { formatRating, formatAmenity, getInlineAggregates } from './formatters.js';
+import { getSchedule, getWeek, formatTime } from './openingHours.js';
+import { getTimeZone, getLocalDateTime } from './timeZones.js';
+
+const SITE_NAME = 'MensaViva';
+const DESCRIPTION_MAX_LENGTH = 200;
+
+const SCHEMA_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Rating types with their labels, as shown in the popups
+const RATINGS = [
+    { type: 'food', icon: '🍽️', label: 'Food' },
+    { type: 'price', icon: '💰', label: 'Price' },
+    { type: 'ambience', icon: '🌟', label: 'Ambience' }
+];
+
+/**
+ * Split an OSM opening_hours value into its rules
+ * 
+ * @param {string|null} openingHours - OSM opening_hours value
+ * @returns {Array} - Rules, e.g. ['Mo-Fr 08:00-18:00', 'Sa 10:00-14:00']
+ */
+function splitOpeningHours(openingHours) {
+    return (openingHours || '').split(';').map(rule => rule.trim()).filter(rule => rule);
+}
+
+/**
+ * Get this week's opening hours of a restaurant, in its local time
+ * 
+ * @param {Object} restaurant - Restaurant row
+ * @returns {Array|null} - Days from getWeek, null if the opening hours are missing or can't be read
+ */
+function getOpeningWeek(restaurant) {
+    const schedule = getSchedule(restaurant.opening_hours);
+    if (!schedule) return null;
+    return getWeek(schedule, getLocalDateTime(new Date(), getTimeZone(restaurant.lat, restaurant.lng)));
+}
+
+/**
+ * Build the schema.org opening hours of a restaurant, from the week's hours when
+ * they can be read and the raw rules otherwise
+ * 
+ * @param {Object} restaurant - Restaurant row
+ * @returns {Object} - { openingHoursSpecification } or { openingHours }, empty without opening hours
+ */
+function buildOpeningHours(restaurant) {
+    const week = getOpeningWeek(restaurant);
+    if (!week) {
+        const openingHours = splitOpeningHours(restaurant.opening_hours);
+        return openingHours.length > 0 ? { openingHours } : {};
+    }
+
+    const specification = week.flatMap(({ weekday, intervals }) => intervals
+        .filter(interval => interval.state === 'open')
+        .map(interval => ({
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: `https://schema.org/${SCHEMA_DAYS[weekday]}`,
+            opens: formatTime(interval.start),
+            closes: formatTime(interval.end)
+        })));
+    return specification.length > 0 ? { openingHoursSpecification: specification } : {};
+}
+
+/**
+ * Build the one line summary used as page and link preview description
+ * 
+ * @param {Object} restaurant - Restaurant row with review aggregates
+ * @returns {string} - Description, e.g. "Cafe · Rua Augusta 10 · Food 4.5 · vegan, terrace"
+ */
+function buildDescription(restaurant) {
+    const { avgRatings, tags } = getInlineAggregates(restaurant);
+    const parts = [formatAmenity(restaurant.amenity || 'restaurant')];
+
+    if (restaurant.address) parts.push(restaurant.address);
+    RATINGS.forEach(({ type, label }) => {
+        if (avgRatings[type] !== null) {
+            parts.push(`${label} ${formatRating(avgRatings[type])}`);
+        }
+    });
+    if (tags.length > 0) parts.push(tags.join(', '));
+
+    const description = parts.join(' · ');
+    return description.length > DESCRIPTION_MAX_LENGTH
+        ? `${description.slice(0, DESCRIPTION_MAX_LENGTH - 1)}…`
+        : description;
+}
+
+/**
+ * Build the schema.org Restaurant description of a restaurant
+ * 
+ * @param {Object} page - { restaurant, reviews, url }
+ * @returns {Object} - JSON-LD object
+ */
+function buildStructuredData({ restaurant, reviews, url }) {
+    const { avgRatings, tags, foodRatingCount } = getInlineAggregates(restaurant);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Restaurant',
+        name: restaurant.name,
+        url,
+        geo: { '@type': 'GeoCoordinates', latitude: restaurant.lat, longitude: restaurant.lng },
+        ...(restaurant.address && { address: restaurant.address }),
+        ...buildOpeningHours(restaurant),
+        ...(tags.length > 0 && { keywords: tags.join(', ') }),
+        // Rated on food, like each review's reviewRating
+        ...(avgRatings.food !== null && {
+            aggregateRating: {
+                '@type': 'AggregateRating',
+                ratingValue: Number(avgRatings.food.toFixed(1)),
+                bestRating: 5,
+                worstRating: 1,
+                ratingCount: foodRatingCount
+            }
+        }),
+        ...(reviews.length > 0 && {
+            review: reviews.map(review => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: 'Anonymous' },
+                datePublished: review.date.slice(0, 10),
+                ...(review.text && { reviewBody: review.text }),
+                ...(review.food_rating && {
+                    reviewRating: { '@type': 'Rating', ratingValue: review.food_rating, bestRating: 5, worstRating: 1 }
+                })
+            }))
+        })
+    };
+}
+
+/**
+ * Render the head markup: Open Graph, Twitter card, canonical link and JSON-LD
+ * 
+ * @param {Object} page - { restaurant, reviews, url, imageUrl }
+ * @returns {SafeHtml} - Head markup
+ */
+function renderHead(page) {
+    const { restaurant, url, imageUrl } = page;
+    const description = buildDescription(restaurant);
+    // JSON can't close the script element once < is escaped
+    const structuredData = JSON.stringify(buildStructuredData(page)).replace(/</g, '\\u003c');
+
+    return html`
+    <link rel="canonical" href="${url}">
+    <meta property="og:type" content="restaurant.restaurant">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${restaurant.name}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    <meta property="og:image" content="${imageUrl}">
+    <meta property="place:location:latitude" content="${restaurant.lat}">
+    <meta property="place:location:longitude" content="${restaurant.lng}">
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${restaurant.name}">
+    <meta name="twitter:description" content="${description}">
+    <script type="application/ld+json">${raw(structuredData)}</script>
+`;
+}
+
+/**
+ * Render a review of the latest reviews list
+ * 
+ * @param {Object} review - Comment row
+ * @returns {SafeHtml} - Review markup
+ */
+function renderReview(review) {
+    const ratings = RATINGS
+        .filter(({ type }) => review[`${type}_rating`])
+        .map(({ type, icon }) => `${icon} ${review[`${type}_rating`]}`)
+        .join(' • ');
+
+    return html`
+            <article class="restaurant-page-review">
+                ${review.text && html`<p>${review.text}</p>`}
+                <div class="comment-meta">
+                    <span>${ratings}</span>
+                    <time datetime="${review.date.slice(0, 10)}">${review.date.slice(0, 10)}</time>
+                </div>
+            </article>`;
+}
+
+/**
+ * Render the readable summary of a restaurant shown before the map takes over
+ * 
+ * @param {Object} page - { restaurant, reviews }
+ * @returns {SafeHtml} - Body markup
+ */
+function renderBody({ restaurant, reviews }) {
+    const { avgRatings, tags, reviewCount } = getInlineAggregates(restaurant);
+    const openingHours = splitOpeningHours(restaurant.opening_hours);
+    const week = getOpeningWeek(restaurant);
+
+    return html`
+    <aside id="restaurant-page" class="restaurant-page" aria-labelledby="restaurant-page-title">
+        <h1 id="restaurant-page-title">${restaurant.name}</h1>
+        <p class="restaurant-page-amenity">${formatAmenity(restaurant.amenity || 'restaurant')}</p>
+        ${restaurant.closed_at && html`
+        <p class="restaurant-page-closed">Closed since ${restaurant.closed_at.slice(0, 10)}</p>`}
+        ${restaurant.address && html`
+        <div class="info-row">
+            <i class="fas fa-map-marker-alt"></i>
+            <span>${restaurant.address}</span>
+        </div>`}
+        <div class="info-row">
+            <i class="fas fa-clock"></i>
+            <div class="opening-hours">
+                ${week ? html`
+                <table class="opening-hours-table">
+                    ${week.map(day => html`
+                    <tr>
+                        <th scope="row">${day.label}</th>
+                        <td>${day.text}</td>
+                    </tr>`)}
+                </table>`
+                : openingHours.length > 0
+                    ? openingHours.map(rule => html`<div class="opening-hours-row">${rule}</div>`)
+                    : 'Opening hours not available'}
+            </div>
+        </div>
+        <dl class="restaurant-page-ratings">
+            ${RATINGS.map(({ type, icon, label }) => html`
+            <div>
+                <dt>${icon} ${label}</dt>
+                <dd>${formatRating(avgRatings[type])}</dd>
+            </div>`)}
+        </dl>
+        <p class="restaurant-page-review-count">${reviewCount === 1 ? '1 review' : `${reviewCount} reviews`}</p>
+        ${tags.length > 0 && html`
+        <div class="tags-list">
+            ${tags.map(tag => html`<span class="tag">${tag}</span>`)}
+        </div>`}
+        ${reviews.length > 0 && html`
+        <section class="restaurant-page-reviews">
+            <h2>Latest reviews</h2>
+            ${reviews.map(renderReview)}
+        </section>`}
+    </aside>
+`;
+}
+
+/**
+ * Render the page of a restaurant from the app's index.html
+ * 
+ * @param {string} template - Contents of index.html
+ * @param {Object} page - { restaurant, reviews, url, imageUrl } with the restaurant row including
+ *   its review aggregates and the latest visible comments, newest first
+ * @returns {string} - Page HTML
+ */
+function renderRestaurantPage(template, page) {
+    const { restaurant } = page;
+    const title = html`<title>${restaurant.name} · ${SITE_NAME}</title>`;
+    const description = html`<meta name="description" content="${buildDescription(restaurant)}">`;
+
+    // Replacer functions, so $ in restaurant names isn't read as a replacement pattern
+    return template
+        .replace(/<title>[^<]*<\/title>/, () => String(title))
+        .replace(/<meta name="description"[^>]*>/, () => String(description))
+        .replace('</head>', () => `${renderHead(page)}</head>`)
+        .replace(/<body[^>]*>/, match => `${match}${renderBody(page)}`);
+}
+
+export {
+    renderRestaurantPage
+};
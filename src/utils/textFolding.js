@@ -0,0 +1,148 @@
+/**
+ * Folds text to lowercase ASCII-ish search keys so that "Café", "cafe" and
+ * "CAFÉ" match, and names in Greek, Cyrillic, Georgian, Hangul and kana can be
+ * found by typing their Latin spelling. Scripts without a mapping (Han, Thai...)
+ * are kept as is and still match when typed in the same script.
+ */
+
+// Letters that don't decompose into a base letter plus accents
+const LATIN_LETTERS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd',
+    'þ': 'th', 'ı': 'i', 'ħ': 'h', 'ŋ': 'ng'
+};
+
+const GREEK_LETTERS = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps',
+    'ω': 'o'
+};
+
+// Russian, Ukrainian, Bulgarian and Serbian letters
+const CYRILLIC_LETTERS = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p',
+    'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch',
+    'ш': 'sh', 'щ': 'sht', 'ъ': 'a', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+    'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj',
+    'ћ': 'c', 'џ': 'dz'
+};
+
+// Georgian national romanization, without the apostrophes of the ejectives
+const GEORGIAN_LETTERS = {
+    'ა': 'a', 'ბ': 'b', 'გ': 'g', 'დ': 'd', 'ე': 'e', 'ვ': 'v', 'ზ': 'z', 'თ': 't',
+    'ი': 'i', 'კ': 'k', 'ლ': 'l', 'მ': 'm', 'ნ': 'n', 'ო': 'o', 'პ': 'p', 'ჟ': 'zh',
+    'რ': 'r', 'ს': 's', 'ტ': 't', 'უ': 'u', 'ფ': 'p', 'ქ': 'k', 'ღ': 'gh', 'ყ': 'q',
+    'შ': 'sh', 'ჩ': 'ch', 'ც': 'ts', 'ძ': 'dz', 'წ': 'ts', 'ჭ': 'ch', 'ხ': 'kh', 'ჯ': 'j',
+    'ჰ': 'h'
+};
+
+const LETTERS = { ...LATIN_LETTERS, ...GREEK_LETTERS, ...CYRILLIC_LETTERS, ...GEORGIAN_LETTERS };
+
+// Hangul syllables are built from an initial, a vowel and an optional final (Revised Romanization)
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+// Hiragana in Hepburn, katakana is mapped onto hiragana first
+const KANA_SYLLABLES = {
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o'
+};
+const KANA_SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+const KANA_SMALL_TSU = 'っ';
+const KATAKANA_OFFSET = 0x60;
+
+/**
+ * Romanizes a Hangul syllable
+ * 
+ * @param {string} char - Single character
+ * @returns {string|null} - Latin spelling, or null if the character isn't a Hangul syllable
+ */
+function romanizeHangul(char) {
+    const code = char.codePointAt(0);
+    if (code < HANGUL_BASE || code > HANGUL_LAST) return null;
+
+    const index = code - HANGUL_BASE;
+    return HANGUL_INITIALS[Math.floor(index / 588)] +
+        HANGUL_VOWELS[Math.floor((index % 588) / 28)] +
+        HANGUL_FINALS[index % 28];
+}
+
+/**
+ * Romanizes a run of kana, e.g. "とうきょう" to "tokyo"
+ * 
+ * @param {string} kana - Hiragana and katakana characters
+ * @returns {string} - Latin spelling with long vowels shortened
+ */
+function romanizeKana(kana) {
+    let result = '';
+    let doubleNext = false;
+
+    for (const char of kana) {
+        const code = char.codePointAt(0);
+        const hiragana = code >= 0x30A1 && code <= 0x30F6
+            ? String.fromCodePoint(code - KATAKANA_OFFSET)
+            : char;
+
+        if (hiragana === KANA_SMALL_TSU) {
+            doubleNext = true;
+        } else if (KANA_SMALL_Y[hiragana]) {
+            // "ki" + "ya" is "kya", but "shi" + "ya" is "sha"
+            const vowel = KANA_SMALL_Y[hiragana];
+            result = /(sh|ch|j)i$/.test(result)
+                ? result.slice(0, -1) + vowel
+                : result.replace(/i$/, 'y') + vowel;
+        } else if (KANA_SYLLABLES[hiragana]) {
+            const syllable = KANA_SYLLABLES[hiragana];
+            if (doubleNext) {
+                result += syllable.startsWith('ch') ? 't' : syllable[0];
+                doubleNext = false;
+            }
+            result += syllable;
+        }
+        // The long vowel mark and unknown characters are dropped
+    }
+
+    return result.replace(/ou/g, 'o').replace(/uu/g, 'u');
+}
+
+/**
+ * Folds text for searching: lowercase, accents removed and known scripts transliterated
+ * 
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+function foldText(text) {
+    return String(text ?? '')
+        .normalize('NFC')
+        .toLowerCase()
+        // Kana and Hangul decompose under NFKD, so they are romanized first
+        .replace(/[ぁ-ゖァ-ヺー]+/g, romanizeKana)
+        .replace(/[가-힣]/g, romanizeHangul)
+        // Before NFKD too, it would turn й and ї into и and і plus an accent
+        .replace(/./gu, char => LETTERS[char] ?? char)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/./gu, char => LETTERS[char] ?? char);
+}
+
+export {
+    foldText
+};
@@ -0,0 +1,154 @@
+/**
+ * Local time at a restaurant's location, for reading its opening hours.
+ * Time zones come from a small table of regions, checked in order, and fall
+ * back to the UTC offset of the longitude (without daylight saving time)
+ * elsewhere. The regions are rough boxes, so places near a border between
+ * two zones can get the neighbouring one.
+ */
+
+// [south, west, north, east, IANA time zone], the first box containing a point wins
+const TIME_ZONE_REGIONS = [
+    // Portugal and the Atlantic islands
+    [36.8, -31.5, 39.8, -24.9, 'Atlantic/Azores'],
+    [32.3, -17.5, 33.2, -16.2, 'Atlantic/Madeira'],
+    [27.5, -18.3, 29.5, -13.3, 'Atlantic/Canary'],
+    [40.0, -9.6, 42.2, -6.2, 'Europe/Lisbon'],
+    [36.9, -9.6, 40.0, -7.3, 'Europe/Lisbon'],
+    // Western Europe on GMT
+    [51.4, -10.7, 55.4, -5.4, 'Europe/Dublin'],
+    [49.8, -8.7, 60.9, 0.2, 'Europe/London'],
+    [50.8, 0.2, 53.0, 1.8, 'Europe/London'],
+    [63.2, -24.6, 66.6, -13.4, 'Atlantic/Reykjavik'],
+    [21.0, -17.1, 35.9, -1.0, 'Africa/Casablanca'],
+    // Eastern Europe
+    [59.7, 20.5, 70.1, 31.6, 'Europe/Helsinki'],
+    [54.3, 19.6, 55.3, 22.9, 'Europe/Kaliningrad'],
+    [54.4, 21.0, 59.7, 28.3, 'Europe/Riga'],
+    [53.9, 23.5, 54.4, 26.9, 'Europe/Vilnius'],
+    [43.6, 22.0, 48.3, 30.2, 'Europe/Bucharest'],
+    [41.2, 22.4, 44.2, 28.6, 'Europe/Sofia'],
+    [34.8, 20.0, 41.7, 28.3, 'Europe/Athens'],
+    [34.5, 32.2, 35.8, 34.7, 'Asia/Nicosia'],
+    // Georgia, ahead of the Turkish and Russian boxes it overlaps
+    [41.5, 39.9, 43.6, 46.8, 'Asia/Tbilisi'],
+    [41.0, 43.4, 41.5, 46.8, 'Asia/Tbilisi'],
+    [51.9, 23.6, 56.2, 32.8, 'Europe/Minsk'],
+    [44.3, 23.7, 52.4, 40.3, 'Europe/Kyiv'],
+    [35.8, 26.0, 42.2, 44.8, 'Europe/Istanbul'],
+    [41.1, 27.0, 70.0, 60.0, 'Europe/Moscow'],
+    // The rest of Europe is on Central European Time
+    [35.0, -9.4, 71.5, 31.1, 'Europe/Paris'],
+    // North America
+    [18.8, -160.3, 22.3, -154.7, 'Pacific/Honolulu'],
+    [51.0, -170.0, 71.5, -141.0, 'America/Anchorage'],
+    // Quintana Roo stays on UTC-5 all year
+    [17.8, -88.0, 21.7, -86.7, 'America/Cancun'],
+    [18.4, -89.2, 19.6, -88.0, 'America/Cancun'],
+    [14.5, -118.5, 25.8, -86.7, 'America/Mexico_City'],
+    [31.3, -114.8, 37.0, -109.0, 'America/Phoenix'],
+    [31.3, -125.0, 60.0, -114.0, 'America/Los_Angeles'],
+    [31.3, -114.0, 60.0, -102.0, 'America/Denver'],
+    [25.8, -102.0, 60.0, -87.5, 'America/Chicago'],
+    [24.4, -87.5, 60.0, -67.0, 'America/New_York'],
+    // South America
+    [-56.0, -75.7, -17.5, -70.0, 'America/Santiago'],
+    [-55.1, -73.6, -21.8, -53.6, 'America/Argentina/Buenos_Aires'],
+    [-33.8, -53.7, 5.3, -34.8, 'America/Sao_Paulo'],
+    // Africa and Asia
+    [-34.9, 16.4, -22.1, 32.9, 'Africa/Johannesburg'],
+    [29.5, 34.2, 33.3, 35.9, 'Asia/Jerusalem'],
+    [22.6, 51.5, 26.1, 56.4, 'Asia/Dubai'],
+    [8.0, 72.5, 30.0, 88.2, 'Asia/Kolkata'],
+    [1.2, 103.6, 1.5, 104.1, 'Asia/Singapore'],
+    // Malaysia, along the Strait of Malacca and on Borneo
+    [3.7, 100.0, 6.0, 104.6, 'Asia/Kuala_Lumpur'],
+    [2.3, 101.0, 3.7, 104.6, 'Asia/Kuala_Lumpur'],
+    [1.2, 102.3, 2.3, 104.6, 'Asia/Kuala_Lumpur'],
+    [0.9, 109.6, 7.4, 119.3, 'Asia/Kuching'],
+    [5.6, 97.3, 20.5, 105.6, 'Asia/Bangkok'],
+    [33.1, 124.6, 38.6, 131.9, 'Asia/Seoul'],
+    [24.0, 129.5, 45.6, 153.9, 'Asia/Tokyo'],
+    [18.1, 73.5, 53.6, 134.8, 'Asia/Shanghai'],
+    // Oceania
+    [-43.7, 143.8, -39.5, 148.5, 'Australia/Hobart'],
+    [-39.2, 140.9, -28.1, 153.7, 'Australia/Sydney'],
+    [-29.2, 138.0, -10.0, 153.6, 'Australia/Brisbane'],
+    [-38.1, 129.0, -26.0, 140.9, 'Australia/Adelaide'],
+    [-26.0, 129.0, -10.9, 138.0, 'Australia/Darwin'],
+    [-35.2, 112.9, -13.7, 129.0, 'Australia/Perth'],
+    [-47.3, 166.4, -34.4, 178.6, 'Pacific/Auckland']
+];
+
+// Intl formatters are slow to create, so one is kept per time zone
+const formatters = new Map();
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Get the time zone of a location
+ * 
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} - IANA time zone, e.g. "Europe/Lisbon", or "Etc/GMT-1" style outside the known regions
+ */
+function getTimeZone(lat, lng) {
+    const region = TIME_ZONE_REGIONS.find(([south, west, north, east]) =>
+        lat >= south && lat <= north && lng >= west && lng <= east
+    );
+    if (region) return region[4];
+
+    // Etc zones count the other way round, Etc/GMT-1 is UTC+1
+    const offset = Math.max(-12, Math.min(12, Math.round((lng || 0) / 15)));
+    if (offset === 0) return 'Etc/GMT';
+    return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Get the formatter reading dates in a time zone
+ * 
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Get the local date and time of a moment in a time zone
+ * 
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, weekday, minutes } with month from 1, weekday from
+ *   0 for Monday and minutes since midnight
+ */
+function getLocalDateTime(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+export {
+    getTimeZone,
+    getLocalDateTime
+};
@@ -0,0 +1,202 @@
+import { apiError } from './apiErrors.js';
+
+/**
+ * Validation of request params, query and body against declarative schemas.
+ * Schemas use the JSON Schema subset OpenAPI 3.0 understands: type, nullable,
+ * enum, default, minLength, maxLength, pattern, minimum, maximum, items,
+ * minItems, maxItems, properties, required and anyOf. A pattern can carry an
+ * 'x-pattern-message' shown instead of the generic format error.
+ */
+
+// Compiled patterns by source, schemas are shared between requests
+const patternCache = new Map();
+
+/**
+ * Get the compiled RegExp of a schema pattern
+ * 
+ * @param {string} pattern - Pattern source
+ * @returns {RegExp} - Compiled pattern
+ */
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        patternCache.set(pattern, new RegExp(pattern, 'u'));
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * Convert a string from the URL to the type its schema expects. Values that
+ * don't convert are returned as is and fail the type check.
+ * 
+ * @param {Object} schema - Schema of the value
+ * @param {*} value - Raw value
+ * @returns {*} - Converted value
+ */
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '') {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Check whether a value has the JSON type a schema asks for
+ * 
+ * @param {string} type - Schema type
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value has that type
+ */
+function hasType(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Describe the range allowed by a minimum and/or maximum
+ * 
+ * @param {Object} schema - Schema with minimum and/or maximum
+ * @returns {string} - Range description
+ */
+function describeRange(schema) {
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return `between ${schema.minimum} and ${schema.maximum}`;
+    }
+    return schema.minimum !== undefined ? `at least ${schema.minimum}` : `at most ${schema.maximum}`;
+}
+
+/**
+ * Validate a value against a schema
+ * 
+ * @param {Object} schema - Schema of the value
+ * @param {*} value - Value to validate
+ * @param {string|null} field - Path of the value in the request, used in error messages
+ * @param {Object} options - { coerce } to convert strings from the URL first
+ * @returns {Object} - { value, error } with the converted value, or the error as { code, message, field }
+ */
+function validate(schema, value, field = null, options = {}) {
+    const name = field || 'Request body';
+    const fail = (code, message) => ({ value, error: { code, message, field } });
+
+    if (value === undefined && schema.default !== undefined) value = schema.default;
+    if (options.coerce) value = coerce(schema, value);
+    if (value === undefined) return { value, error: null };
+    if (value === null) {
+        return schema.nullable ? { value, error: null } : fail('invalid_type', `${name} must not be null`);
+    }
+
+    if (schema.anyOf) {
+        for (const option of schema.anyOf) {
+            const result = validate(option, value, field, options);
+            if (!result.error) return result;
+        }
+        return fail('invalid_type', `${name} is invalid`);
+    }
+
+    if (schema.type && !hasType(schema.type, value)) {
+        const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+        return fail('invalid_type', `${name} must be ${article} ${schema.type}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail('invalid_value', `${name} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'required' : 'too_short',
+                schema.minLength === 1 ? `${name} is required` : `${name} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail('too_long', `${name} can be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+            return fail('invalid_format', schema['x-pattern-message'] || `${name} has an invalid format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if ((schema.minimum !== undefined && value < schema.minimum) ||
+            (schema.maximum !== undefined && value > schema.maximum)) {
+            return fail('out_of_range', `${name} must be ${describeRange(schema)}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail('too_few', `${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail('too_many', `${name} can have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const result = validate(schema.items, value[i], `${field || ''}[${i}]`, options);
+                if (result.error) return result;
+                items.push(result.value);
+            }
+            value = items;
+        }
+    }
+
+    if (schema.type === 'object') {
+        const object = { ...value };
+        const required = schema.required || [];
+        // Fields are checked in the order the schema lists them, required ones without a schema last
+        const properties = { ...schema.properties };
+        required.forEach(property => { properties[property] = properties[property] || {}; });
+
+        for (const [property, propertySchema] of Object.entries(properties)) {
+            const path = field ? `${field}.${property}` : property;
+            const result = validate(propertySchema, object[property], path, options);
+            if (result.error) return result;
+            if (result.value === undefined && required.includes(property)) {
+                return { value, error: { code: 'required', message: `${path} is required`, field: path } };
+            }
+            if (result.value !== undefined) object[property] = result.value;
+        }
+        value = object;
+    }
+
+    return { value, error: null };
+}
+
+/**
+ * Create a middleware validating the params, query and body of a request. The
+ * converted values replace the raw ones, failures are sent as 400 responses.
+ * 
+ * @param {Object} schemas - { params, query, body } object schemas, each optional
+ * @returns {Function} - Express middleware
+ */
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        for (const location of ['params', 'query', 'body']) {
+            const schema = schemas[location];
+            if (!schema) continue;
+
+            // A missing body is validated as an empty object so required fields are reported by name
+            const input = location === 'body' && req.body === undefined ? {} : req[location];
+            const { value, error } = validate(schema, input, null, { coerce: location !== 'body' });
+            if (error) {
+                return res.status(400).json(apiError(error.code, error.message, { field: error.field }));
+            }
+            req[location] = value;
+        }
+        next();
+    };
+}
+
+export {
+    validate,
+    validateRequest
+};
@@ -0,0 +1,114 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterQueryError, parseFilterQuery, formatFilterQuery } from '../src/utils/filterQuery.js';
+import { matchesFilter } from '../src/utils/filterPredicates.js';
+
+const vegan = { type: 'tags', value: ['vegan'] };
+const vegetarian = { type: 'tags', value: ['vegetarian'] };
+const fastFood = { type: 'amenity', value: 'fast_food' };
+
+describe('parseFilterQuery', () => {
+    test('reads each kind of condition', () => {
+        assert.deepEqual(parseFilterQuery('food>=4'), { type: 'rating', subtype: 'food', operator: '>=', value: 4 });
+        assert.deepEqual(parseFilterQuery('price < 2.5'), { type: 'rating', subtype: 'price', operator: '<', value: 2.5 });
+        assert.deepEqual(parseFilterQuery('ambience:3'), { type: 'rating', subtype: 'ambience', operator: '>=', value: 3 });
+        assert.deepEqual(parseFilterQuery('Tag:Vegan'), vegan);
+        assert.deepEqual(parseFilterQuery('cuisine:Italian'), { type: 'cuisine', value: ['italian'] });
+        assert.deepEqual(parseFilterQuery('diet:gluten-free'), { type: 'diet', value: ['gluten_free'] });
+        assert.deepEqual(parseFilterQuery('amenity:fast_food'), fastFood);
+        assert.deepEqual(parseFilterQuery('open:now'), { type: 'openAt', value: 'now' });
+        assert.deepEqual(parseFilterQuery('open:"Fr   20:00"'), { type: 'openAt', value: 'fr 20:00' });
+        assert.deepEqual(parseFilterQuery('reviewed'), { type: 'hasReviews', value: true });
+    });
+
+    test('binds AND tighter than OR', () => {
+        assert.deepEqual(parseFilterQuery('tag:vegan OR tag:vegetarian AND NOT amenity:fast_food'), {
+            operation: 'OR',
+            filters: [vegan, { operation: 'AND', filters: [vegetarian, { operation: 'NOT', filters: [fastFood] }] }]
+        });
+    });
+
+    test('reads a missing operator as AND and flattens parentheses', () => {
+        const expected = {
+            operation: 'AND',
+            filters: [
+                { type: 'rating', subtype: 'food', operator: '>=', value: 4 },
+                { operation: 'OR', filters: [vegan, vegetarian] },
+                { operation: 'NOT', filters: [fastFood] }
+            ]
+        };
+        assert.deepEqual(parseFilterQuery('food>=4 AND (tag:vegan OR tag:vegetarian) AND NOT amenity:fast_food'), expected);
+        assert.deepEqual(parseFilterQuery('food>=4 (tag:vegan or tag:vegetarian) not amenity:fast_food'), expected);
+        assert.deepEqual(parseFilterQuery('((tag:vegan))'), vegan);
+    });
+
+    test('reads quoted values with escapes', () => {
+        assert.deepEqual(parseFilterQuery('tag:"outdoor seating"'), { type: 'tags', value: ['outdoor seating'] });
+        assert.deepEqual(parseFilterQuery('tag:"say \\"hi\\""'), { type: 'tags', value: ['say "hi"'] });
+    });
+
+    test('returns null for an empty expression', () => {
+        assert.equal(parseFilterQuery(''), null);
+        assert.equal(parseFilterQuery('   '), null);
+    });
+
+    test('reports errors with their position', () => {
+        const errorAt = (text, position, message) => assert.throws(() => parseFilterQuery(text), error =>
+            error instanceof FilterQueryError && error.position === position && message.test(error.message));
+
+        errorAt('food>=9', 1, /Ratings go from 0 to 5/);
+        errorAt('tag:vegan AND', 14, /Expected a filter after "AND"/);
+        errorAt('(tag:vegan', 1, /Missing "\)"/);
+        errorAt('tag:vegan)', 10, /without a matching "\("/);
+        errorAt('stars>3', 1, /Unknown field "stars"/);
+        errorAt('cheap', 1, /Unknown filter "cheap"/);
+        errorAt('tag:"vegan', 1, /Missing closing quote/);
+        errorAt('cuisine>thai', 1, /only works with food, price and ambience/);
+        errorAt('open:later', 1, /Use open:now/);
+        errorAt('food>=4 & tag:vegan', 9, /Unexpected "&"/);
+    });
+});
+
+describe('formatFilterQuery', () => {
+    test('writes filters back as an expression that parses to the same filters', () => {
+        [
+            'food>=4 AND (tag:vegan OR tag:vegetarian) AND NOT amenity:fast_food',
+            'tag:"outdoor seating" OR price<=2',
+            'NOT (cuisine:thai OR cuisine:indian)',
+            'open:"fr 20:00" AND reviewed'
+        ].forEach(text => {
+            const filter = parseFilterQuery(text);
+            assert.equal(formatFilterQuery([filter]), text);
+            assert.deepEqual(parseFilterQuery(formatFilterQuery([filter])), filter);
+        });
+    });
+
+    test('joins the filters of the panel with AND', () => {
+        const filters = [
+            { type: 'cuisine', value: ['thai', 'indian'] },
+            { type: 'diet', value: ['vegan', 'gluten_free'] },
+            { type: 'rating', subtype: 'food', value: 4 }
+        ];
+        assert.equal(formatFilterQuery(filters),
+            '(cuisine:thai OR cuisine:indian) AND diet:vegan AND diet:gluten_free AND food>=4');
+        assert.equal(formatFilterQuery([]), '');
+    });
+});
+
+describe('parsed filters', () => {
+    const restaurants = [
+        { id: 'n1', amenity: 'restaurant', tags: ['Vegan options'], ratings: { food: 4.5 }, cuisine: ['thai'], hasReviews: true },
+        { id: 'n2', amenity: 'fast_food', tags: ['vegan'], ratings: { food: 4 }, cuisine: ['burger'], hasReviews: true },
+        { id: 'n3', amenity: 'cafe', tags: [], ratings: {}, cuisine: [], diet: { vegan: 'only' }, hasReviews: false }
+    ];
+    const matching = text => restaurants
+        .filter(restaurant => matchesFilter(parseFilterQuery(text), restaurant))
+        .map(restaurant => restaurant.id);
+
+    test('select the restaurants they describe', () => {
+        assert.deepEqual(matching('food>=4 AND tag:vegan AND NOT amenity:fast_food'), ['n1']);
+        assert.deepEqual(matching('food>4 OR diet:vegetarian'), ['n1', 'n3']);
+        assert.deepEqual(matching('cuisine:thai OR cuisine:burger'), ['n1', 'n2']);
+        assert.deepEqual(matching('NOT reviewed'), ['n3']);
+    });
+});
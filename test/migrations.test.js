@@ -0,0 +1,180 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { runMigrations, migrations } from '../src/db/migrations.js';
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+// Schema made by init-db.js before migrations, without amenity or UNIQUE(lat, lng)
+const INIT_DB_SCHEMA = `
+    CREATE TABLE restaurants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        osm_id TEXT UNIQUE,
+        name TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        address TEXT,
+        opening_hours TEXT,
+        last_updated TIMESTAMP,
+        bbox_key TEXT
+    );
+    CREATE TABLE map_regions (
+        bbox_key TEXT PRIMARY KEY,
+        min_lat REAL,
+        max_lat REAL,
+        min_lng REAL,
+        max_lng REAL,
+        last_updated TIMESTAMP
+    );
+    CREATE TABLE comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        restaurant_id TEXT NOT NULL,
+        text TEXT,
+        food_rating INTEGER CHECK (food_rating BETWEEN 1 AND 5),
+        price_rating INTEGER CHECK (price_rating BETWEEN 1 AND 5),
+        ambience_rating INTEGER CHECK (ambience_rating BETWEEN 1 AND 5),
+        date DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        restaurant_id TEXT NOT NULL,
+        comment_id INTEGER NOT NULL,
+        name TEXT NOT NULL
+    );
+    CREATE TABLE comment_tags (
+        comment_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (comment_id, tag_id)
+    );
+`;
+
+// Restaurants table made by the server before migrations, with UNIQUE(lat, lng)
+const SERVER_SCHEMA = `
+    CREATE TABLE restaurants (
+        id INTEGER PRIMARY KEY,
+        osm_id TEXT UNIQUE,
+        name TEXT NOT NULL,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        address TEXT,
+        opening_hours TEXT,
+        last_updated TIMESTAMP,
+        bbox_key TEXT,
+        UNIQUE(lat, lng)
+    );
+    CREATE TABLE comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        restaurant_id TEXT NOT NULL,
+        text TEXT NOT NULL,
+        food_rating INTEGER,
+        price_rating INTEGER,
+        ambience_rating INTEGER,
+        date DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        restaurant_id TEXT NOT NULL,
+        name TEXT NOT NULL
+    );
+`;
+
+/**
+ * Open an in-memory database with some SQL already run
+ *
+ * @param {string} sql - Statements to run first
+ * @returns {Promise<Object>} - { db, all, run }, with all and run returning promises
+ */
+async function openDatabase(sql = '') {
+    const db = new sqlite3.Database(':memory:');
+    const all = (query, params = []) => new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+    await new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+    return { db, all, run };
+}
+
+/**
+ * Close a database
+ *
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<void>}
+ */
+function closeDatabase(db) {
+    return new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+}
+
+describe('runMigrations', () => {
+    test('creates a new database and applies each migration once', async () => {
+        const { db, all } = await openDatabase();
+
+        assert.equal(await runMigrations(db), LATEST_VERSION);
+        assert.equal(await runMigrations(db), LATEST_VERSION);
+        const versions = await all('SELECT version FROM schema_version ORDER BY version');
+        assert.deepEqual(versions.map(row => row.version), migrations.map(migration => migration.version));
+
+        const tables = (await all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(row => row.name);
+        ['restaurants', 'map_regions', 'comments', 'tags', 'comment_tags', 'moderation_reports', 'restaurants_fts']
+            .forEach(table => assert.ok(tables.includes(table), `${table} is missing`));
+
+        await closeDatabase(db);
+    });
+
+    test('keeps restaurants of an init-db.js database that share coordinates', async () => {
+        const { db, all } = await openDatabase(`${INIT_DB_SCHEMA}
+            INSERT INTO restaurants (osm_id, name, lat, lng) VALUES
+                ('123', 'Upstairs', 38.7, -9.1),
+                ('456', 'Downstairs', 38.7, -9.1);
+            INSERT INTO comments (restaurant_id, text, food_rating) VALUES ('456', 'Great soup', 5);
+            INSERT INTO tags (restaurant_id, comment_id, name) VALUES ('456', 1, 'soup');
+            INSERT INTO comment_tags (comment_id, tag_id) VALUES (1, 1);
+        `);
+
+        assert.equal(await runMigrations(db), LATEST_VERSION);
+
+        assert.deepEqual(await all('SELECT osm_id, name, amenity, closed_at FROM restaurants ORDER BY id'), [
+            { osm_id: 'n123', name: 'Upstairs', amenity: 'restaurant', closed_at: null },
+            { osm_id: 'n456', name: 'Downstairs', amenity: 'restaurant', closed_at: null }
+        ]);
+        assert.deepEqual(await all('SELECT restaurant_id, text FROM comments'), [{ restaurant_id: 'n456', text: 'Great soup' }]);
+        assert.deepEqual(await all('SELECT restaurant_id, name, hidden FROM tags'), [{ restaurant_id: 'n456', name: 'soup', hidden: 0 }]);
+
+        // Both are in the full-text index, with the tags of their reviews
+        const search = async query => (await all(`SELECT r.osm_id FROM restaurants_fts
+            JOIN restaurants r ON r.id = restaurants_fts.rowid WHERE restaurants_fts MATCH ?`, [query]))
+            .map(row => row.osm_id);
+        assert.deepEqual(await search('upstairs'), ['n123']);
+        assert.deepEqual(await search('soup'), ['n456']);
+
+        await closeDatabase(db);
+    });
+
+    test('drops UNIQUE(lat, lng) from a database made by the server', async () => {
+        const { db, all, run } = await openDatabase(`${SERVER_SCHEMA}
+            INSERT INTO restaurants (id, osm_id, name, lat, lng) VALUES (1, '123', 'Upstairs', 38.7, -9.1);
+        `);
+
+        assert.equal(await runMigrations(db), LATEST_VERSION);
+
+        await run(`INSERT INTO restaurants (osm_id, name, lat, lng) VALUES ('w456', 'Downstairs', 38.7, -9.1)`);
+        const rows = await all('SELECT osm_id FROM restaurants WHERE lat = 38.7 AND lng = -9.1 ORDER BY id');
+        assert.deepEqual(rows.map(row => row.osm_id), ['n123', 'w456']);
+
+        await closeDatabase(db);
+    });
+
+    test('keeps comments with their restaurant when its osm_id changes', async () => {
+        const { db, all, run } = await openDatabase();
+        await runMigrations(db);
+
+        await run(`INSERT INTO restaurants (osm_id, name, lat, lng) VALUES ('n123', 'Cafe', 38.7, -9.1)`);
+        await run(`INSERT INTO comments (restaurant_id, text) VALUES ('n123', 'Nice')`);
+        await run(`UPDATE restaurants SET osm_id = 'w123' WHERE osm_id = 'n123'`);
+
+        assert.deepEqual(await all('SELECT restaurant_id FROM comments'), [{ restaurant_id: 'w123' }]);
+
+        await closeDatabase(db);
+    });
+});
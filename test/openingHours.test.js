@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    OpeningHoursError,
+    parseOpeningHours,
+    getSchedule,
+    getDayIntervals,
+    formatIntervals,
+    getOpeningStatus,
+    parseOpenAt,
+    isOpenAt
+} from '../src/utils/openingHours.js';
+
+// Monday 19 October 2026 and the days after it
+const MONDAY = { year: 2026, month: 10, day: 19, weekday: 0 };
+const FRIDAY = { year: 2026, month: 10, day: 23, weekday: 4 };
+const SATURDAY = { year: 2026, month: 10, day: 24, weekday: 5 };
+const SUNDAY = { year: 2026, month: 10, day: 25, weekday: 6 };
+
+/**
+ * Get the opening hours of a day as text
+ *
+ * @param {string} openingHours - opening_hours value
+ * @param {Object} date - Local date
+ * @returns {string} - e.g. "12:00–15:00, 19:00–23:00"
+ */
+function hoursOn(openingHours, date) {
+    return formatIntervals(getDayIntervals(getSchedule(openingHours), date));
+}
+
+/**
+ * Get the badge of a place at a UTC time
+ *
+ * @param {string} openingHours - opening_hours value
+ * @param {string} time - ISO time in UTC, e.g. "2026-10-19T13:00:00Z"
+ * @param {string} timeZone - Time zone of the place
+ * @returns {Object|null} - { state, label }
+ */
+function statusAt(openingHours, time, timeZone = 'Etc/UTC') {
+    return getOpeningStatus(openingHours, timeZone, new Date(time));
+}
+
+describe('parseOpeningHours', () => {
+    test('reads weekdays, split times and comments', () => {
+        const hours = 'Mo-Fr 12:00-15:00,19:00-23:00; Sa 19:00-01:00; Su off "family day"';
+        assert.equal(hoursOn(hours, MONDAY), '12:00–15:00, 19:00–23:00');
+        assert.equal(hoursOn(hours, SATURDAY), '19:00–01:00');
+        assert.equal(hoursOn(hours, SUNDAY), 'Closed');
+    });
+
+    test('accepts a colon after the weekdays', () => {
+        assert.equal(hoursOn('Mo-Fr: 09:00-18:00', FRIDAY), '09:00–18:00');
+        assert.equal(hoursOn('Mo-Fr: 09:00-18:00', SATURDAY), 'Closed');
+    });
+
+    test('reads open ends, 24/7 and wrapping weekday ranges', () => {
+        assert.equal(hoursOn('Mo-Su 18:00+', MONDAY), '18:00+');
+        assert.equal(hoursOn('24/7', SUNDAY), 'Open 24 hours');
+        assert.equal(hoursOn('Fr-Mo 10:00-14:00', SUNDAY), '10:00–14:00');
+        assert.equal(hoursOn('Fr-Mo 10:00-14:00', { year: 2026, month: 10, day: 21, weekday: 2 }), 'Closed');
+    });
+
+    test('throws OpeningHoursError with the position of a syntax error', () => {
+        assert.throws(() => parseOpeningHours('Mo-Fr 12:00-'), error =>
+            error instanceof OpeningHoursError && error.position === 13);
+        assert.throws(() => parseOpeningHours('Mo-Fr 12:00-15:00 Sa 10:00-12:00'), OpeningHoursError);
+        assert.throws(() => parseOpeningHours('Mo-Fr $'), OpeningHoursError);
+    });
+
+    test('getSchedule returns null for missing or unreadable values', () => {
+        assert.equal(getSchedule(null), null);
+        assert.equal(getSchedule('  '), null);
+        assert.equal(getSchedule('whenever'), null);
+    });
+});
+
+describe('public holidays', () => {
+    test('PH off leaves the other rules in force, holidays are unknown here', () => {
+        const hours = 'Mo-Sa 10:00-20:00; PH off';
+        assert.equal(hoursOn(hours, MONDAY), '10:00–20:00');
+        assert.equal(statusAt(hours, '2026-10-19T12:00:00Z').state, 'open');
+    });
+
+    test('rules only for holidays never apply', () => {
+        assert.equal(hoursOn('PH 10:00-12:00', MONDAY), 'Closed');
+        assert.equal(hoursOn('Mo-Fr,PH 10:00-12:00', SATURDAY), 'Closed');
+        assert.equal(hoursOn('Mo-Fr,PH 10:00-12:00', MONDAY), '10:00–12:00');
+    });
+});
+
+describe('fallback rules', () => {
+    test('a fallback applies only on days no earlier rule matched', () => {
+        const hours = 'Mo-Fr 09:00-17:00 || "by appointment"';
+        assert.equal(hoursOn(hours, MONDAY), '09:00–17:00');
+        assert.equal(hoursOn(hours, SATURDAY), 'by appointment');
+    });
+
+    test('a fallback comment reads as maybe open', () => {
+        const hours = 'Mo-Fr 09:00-17:00 || "by appointment"';
+        assert.deepEqual(statusAt(hours, '2026-10-24T12:00:00Z'), {
+            state: 'unknown',
+            label: 'Maybe open (by appointment)'
+        });
+        assert.equal(statusAt(hours, '2026-10-19T12:00:00Z').state, 'open');
+    });
+});
+
+describe('getOpeningStatus', () => {
+    const hours = 'Mo-Fr 12:00-15:00,19:00-23:00; Sa 19:00-01:00';
+
+    test('says when an open place closes and a closed one opens', () => {
+        assert.deepEqual(statusAt(hours, '2026-10-19T13:00:00Z'), { state: 'open', label: 'Open now · until 15:00' });
+        assert.deepEqual(statusAt(hours, '2026-10-19T16:00:00Z'), { state: 'closed', label: 'Closed · opens 19:00' });
+        assert.deepEqual(statusAt(hours, '2026-10-19T23:30:00Z'), { state: 'closed', label: 'Closed · opens tomorrow 12:00' });
+    });
+
+    test('keeps a range past midnight open into the next day', () => {
+        assert.deepEqual(statusAt(hours, '2026-10-24T23:00:00Z'), { state: 'open', label: 'Open now · until 01:00' });
+        assert.deepEqual(statusAt(hours, '2026-10-25T00:30:00Z'), { state: 'open', label: 'Open now · until 01:00' });
+        assert.deepEqual(statusAt(hours, '2026-10-25T01:30:00Z'), { state: 'closed', label: 'Closed · opens tomorrow 12:00' });
+    });
+
+    test('reads the hours in the time zone of the place', () => {
+        // 08:30 UTC is 09:30 in Lisbon, 17:30 in Tokyo and 04:30 in New York
+        const time = '2026-10-19T08:30:00Z';
+        assert.equal(statusAt('Mo-Fr 09:00-18:00', time, 'Europe/Lisbon').state, 'open');
+        assert.equal(statusAt('Mo-Fr 09:00-18:00', time, 'Asia/Tokyo').state, 'open');
+        assert.equal(statusAt('Mo-Fr 09:00-18:00', time, 'America/New_York').state, 'closed');
+    });
+
+    test('returns null without readable opening hours', () => {
+        assert.equal(statusAt(null, '2026-10-19T13:00:00Z'), null);
+        assert.equal(statusAt('Mo-Fr 12:00-', '2026-10-19T13:00:00Z'), null);
+    });
+});
+
+describe('isOpenAt', () => {
+    const now = new Date('2026-10-19T13:00:00Z');
+
+    test('reads "now" and weekday times in the coming week', () => {
+        const hours = 'Mo-Fr 12:00-15:00; Sa 19:00-01:00';
+        assert.equal(isOpenAt(hours, 'Etc/UTC', 'now', now), true);
+        assert.equal(isOpenAt(hours, 'Etc/UTC', 'fr 14:59', now), true);
+        assert.equal(isOpenAt(hours, 'Etc/UTC', 'fr 15:00', now), false);
+        // Saturday's range runs into Sunday
+        assert.equal(isOpenAt(hours, 'Etc/UTC', 'su 00:30', now), true);
+        assert.equal(isOpenAt(hours, 'Etc/UTC', 'su 01:00', now), false);
+    });
+
+    test('is false for unreadable hours or filter values', () => {
+        assert.equal(isOpenAt('whenever', 'Etc/UTC', 'now', now), false);
+        assert.equal(isOpenAt('24/7', 'Etc/UTC', 'someday', now), false);
+        assert.equal(parseOpenAt('mo 24:00'), null);
+        assert.deepEqual(parseOpenAt(' Fr 20:00 '), { weekday: 4, minutes: 1200 });
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { foldText } from '../src/utils/textFolding.js';
+import RestaurantDataStore from '../src/services/RestaurantDataStore.js';
+import SearchEngine from '../src/services/SearchEngine.js';
+
+const WORLD = { south: -90, north: 90, west: -180, east: 180 };
+
+const RESTAURANTS = [
+    { id: 'n1', name: 'Café Nicola', lat: 38.71, lng: -9.14, street: 'Rua Augusta', city: 'Lisboa', tags: ['Good coffee'] },
+    { id: 'n2', name: 'Ταβέρνα Γιώργος', lat: 37.98, lng: 23.73, tags: ['Grilled octopus'] },
+    { id: 'n3', name: 'Пельменная', lat: 55.75, lng: 37.62 },
+    { id: 'n4', name: 'ხინკლის სახლი', lat: 41.72, lng: 44.78 },
+    { id: 'n5', name: 'ラーメン横丁', lat: 35.68, lng: 139.76 },
+    { id: 'n6', name: '비빔밥 하우스', lat: 37.57, lng: 126.98 },
+    { id: 'n7', name: 'Pastéis de Belém', lat: 38.69, lng: -9.2, address: 'Rua de Belém 84' },
+    { id: 'n8', name: 'Belem Bar', lat: 38.69, lng: -9.21 },
+    { id: 'n9', name: '拉面馆', lat: 31.23, lng: 121.47 }
+].map(restaurant => ({ osm_id: restaurant.id, ...restaurant }));
+
+/**
+ * Search the test restaurants
+ *
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} - IDs of the results, best first
+ */
+async function search(query) {
+    const { results } = await SearchEngine.search(query);
+    return results.map(result => result.restaurant.id);
+}
+
+describe('foldText', () => {
+    test('lowercases and removes accents', () => {
+        assert.equal(foldText('Café CRÈME'), 'cafe creme');
+        assert.equal(foldText('Straße Œuvre Łódź'), 'strasse oeuvre lodz');
+    });
+
+    test('transliterates Greek, Cyrillic and Georgian', () => {
+        assert.equal(foldText('Ταβέρνα Άλφα'), 'taverna alfa');
+        assert.equal(foldText('Пельмени'), 'pelmeni');
+        assert.equal(foldText('Чайхана'), 'chaykhana');
+        assert.equal(foldText('Їжак'), 'yizhak');
+        assert.equal(foldText('ხინკალი'), 'khinkali');
+    });
+
+    test('romanizes Hangul and kana', () => {
+        assert.equal(foldText('비빔밥'), 'bibimbap');
+        assert.equal(foldText('김치'), 'gimchi');
+        assert.equal(foldText('ラーメン'), 'ramen');
+        assert.equal(foldText('きっさてん'), 'kissaten');
+        assert.equal(foldText('しゃぶしゃぶ'), 'shabushabu');
+    });
+
+    test('keeps scripts without a mapping', () => {
+        assert.equal(foldText('拉面馆'), '拉面馆');
+        assert.equal(foldText(null), '');
+    });
+});
+
+describe('SearchEngine', () => {
+    before(() => {
+        RestaurantDataStore.clear();
+        RestaurantDataStore.batchUpdate(RESTAURANTS, WORLD, 12);
+    });
+
+    test('ignores case and accents', async () => {
+        assert.deepEqual(await search('CAFE'), ['n1']);
+        assert.deepEqual(await search('pasteis'), ['n7']);
+    });
+
+    test('finds names in other scripts by their Latin spelling', async () => {
+        assert.deepEqual(await search('taverna'), ['n2']);
+        assert.deepEqual(await search('giorgos'), ['n2']);
+        assert.deepEqual(await search('pelmen'), ['n3']);
+        assert.deepEqual(await search('khinkl'), ['n4']);
+        assert.deepEqual(await search('ramen'), ['n5']);
+        assert.deepEqual(await search('bibimbap'), ['n6']);
+    });
+
+    test('finds names typed in their own script', async () => {
+        assert.deepEqual(await search('Ταβέρνα'), ['n2']);
+        assert.deepEqual(await search('拉面'), ['n9']);
+    });
+
+    test('allows one typo in words of 4 to 6 letters and two in longer ones', async () => {
+        assert.deepEqual(await search('nicla'), ['n1']);
+        assert.deepEqual(await search('nixola'), ['n1']);
+        // Swapped letters count as one typo
+        assert.deepEqual(await search('nicloa'), ['n1']);
+        assert.deepEqual(await search('ocotpsu'), ['n2']);
+        assert.deepEqual(await search('nxxola'), []);
+    });
+
+    test('matches words shorter than 4 letters exactly', async () => {
+        assert.deepEqual(await search('bel'), ['n7', 'n8']);
+        assert.deepEqual(await search('bek'), []);
+    });
+
+    test('requires every word of the query', async () => {
+        assert.deepEqual(await search('pasteis bel'), ['n7']);
+        assert.deepEqual(await search('belem bar'), ['n8']);
+    });
+
+    test('also searches tags and addresses, which add to the score', async () => {
+        assert.deepEqual(await search('coffee'), ['n1']);
+        assert.deepEqual(await search('lisboa'), ['n1']);
+        // Belém is in both the name and the address of n7
+        assert.deepEqual(await search('belem'), ['n7', 'n8']);
+    });
+
+    test('suggests tags with a word starting with the query', () => {
+        assert.deepEqual(SearchEngine.getTagSuggestions('oct'), ['Grilled octopus']);
+        assert.deepEqual(SearchEngine.getTagSuggestions('o'), []);
+    });
+
+    test('rebuilds the index when the restaurants change', async () => {
+        RestaurantDataStore.batchUpdate([{ id: 'n10', osm_id: 'n10', name: 'Zanzibar', lat: 38.7, lng: -9.1 }], WORLD, 12);
+        assert.deepEqual(await search('zanzibar'), ['n10']);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { getTimeZone, getLocalDateTime } from '../src/utils/timeZones.js';
+
+// Center and IANA time zone of every city in cities.md
+const CITIES = {
+    'Lisbon': [38.722, -9.139, 'Europe/Lisbon'],
+    'Porto': [41.150, -8.611, 'Europe/Lisbon'],
+    'Barcelona': [41.389, 2.159, 'Europe/Madrid'],
+    'Berlin': [52.520, 13.405, 'Europe/Berlin'],
+    'Prague': [50.088, 14.420, 'Europe/Prague'],
+    'Budapest': [47.498, 19.040, 'Europe/Budapest'],
+    'Chiang Mai': [18.788, 98.985, 'Asia/Bangkok'],
+    'Bali': [-8.650, 115.216, 'Asia/Makassar'],
+    'Bangkok': [13.756, 100.502, 'Asia/Bangkok'],
+    'Ho Chi Minh City': [10.823, 106.630, 'Asia/Ho_Chi_Minh'],
+    'Medellin': [6.244, -75.581, 'America/Bogota'],
+    'Mexico City': [19.433, -99.133, 'America/Mexico_City'],
+    'Playa del Carmen': [20.629, -87.074, 'America/Cancun'],
+    'Canggu': [-8.650, 115.138, 'Asia/Makassar'],
+    'Tbilisi': [41.716, 44.783, 'Asia/Tbilisi'],
+    'Kuala Lumpur': [3.139, 101.687, 'Asia/Kuala_Lumpur'],
+    'Singapore': [1.352, 103.820, 'Asia/Singapore'],
+    'Tokyo': [35.676, 139.650, 'Asia/Tokyo'],
+    'Seoul': [37.567, 126.978, 'Asia/Seoul'],
+    'Taipei': [25.033, 121.565, 'Asia/Taipei'],
+    'Las Palmas': [28.124, -15.430, 'Atlantic/Canary'],
+    'Athens': [37.984, 23.728, 'Europe/Athens'],
+    'Split': [43.508, 16.440, 'Europe/Zagreb'],
+    'Ljubljana': [46.057, 14.506, 'Europe/Ljubljana'],
+    'Tallinn': [59.437, 24.754, 'Europe/Tallinn'],
+    'Riga': [56.950, 24.106, 'Europe/Riga'],
+    'Vilnius': [54.687, 25.280, 'Europe/Vilnius'],
+    'Sofia': [42.698, 23.322, 'Europe/Sofia'],
+    'Bucharest': [44.427, 26.103, 'Europe/Bucharest'],
+    'Belgrade': [44.787, 20.449, 'Europe/Belgrade'],
+    'Istanbul': [41.008, 28.978, 'Europe/Istanbul'],
+    'Dubai': [25.205, 55.271, 'Asia/Dubai'],
+    'Cape Town': [-33.925, 18.424, 'Africa/Johannesburg'],
+    'Buenos Aires': [-34.604, -58.382, 'America/Argentina/Buenos_Aires'],
+    'Santiago': [-33.449, -70.669, 'America/Santiago'],
+    'Lima': [-12.046, -77.043, 'America/Lima'],
+    // download-restaurants.js takes the geocoder's first match, San Jose, California
+    'San Jose': [37.339, -121.895, 'America/Los_Angeles'],
+    'Austin': [30.267, -97.743, 'America/Chicago'],
+    'Miami': [25.762, -80.192, 'America/New_York'],
+    'New York': [40.713, -74.006, 'America/New_York'],
+    'San Francisco': [37.775, -122.419, 'America/Los_Angeles'],
+    'London': [51.507, -0.128, 'Europe/London'],
+    'Amsterdam': [52.368, 4.904, 'Europe/Amsterdam'],
+    'Copenhagen': [55.676, 12.568, 'Europe/Copenhagen'],
+    'Stockholm': [59.329, 18.069, 'Europe/Stockholm'],
+    'Helsinki': [60.170, 24.938, 'Europe/Helsinki'],
+    'Vienna': [48.208, 16.374, 'Europe/Vienna'],
+    'Zurich': [47.377, 8.541, 'Europe/Zurich']
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get the UTC offset of a time zone at a moment
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} date - Moment
+ * @returns {string} - Offset, e.g. "GMT+01:00"
+ */
+function getOffset(timeZone, date) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+    }
+    return formatters.get(timeZone)
+        .formatToParts(date)
+        .find(part => part.type === 'timeZoneName').value;
+}
+
+/**
+ * Check whether two time zones keep the same time all year. getTimeZone uses one
+ * zone for regions that share their rules, e.g. Europe/Paris for Berlin.
+ *
+ * @param {string} a - IANA time zone
+ * @param {string} b - IANA time zone
+ * @returns {boolean} - Whether their offsets agree every six hours of the year
+ */
+function keepSameTime(a, b) {
+    const start = Date.UTC(new Date().getUTCFullYear(), 0, 1);
+    for (let time = start; time < start + 366 * 24 * HOUR; time += 6 * HOUR) {
+        if (getOffset(a, new Date(time)) !== getOffset(b, new Date(time))) return false;
+    }
+    return true;
+}
+
+// Same list as download-restaurants.js
+const cities = fs.readFileSync(new URL('../cities.md', import.meta.url), 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+describe('getTimeZone', () => {
+    test('knows the center of every city in cities.md', () => {
+        assert.deepEqual(cities.filter(city => !CITIES[city]), []);
+        assert.deepEqual(Object.keys(CITIES).filter(city => !cities.includes(city)), []);
+    });
+
+    cities.filter(city => CITIES[city]).forEach(city => {
+        test(`puts ${city} in its time zone`, () => {
+            const [lat, lng, expected] = CITIES[city];
+            const actual = getTimeZone(lat, lng);
+            assert.ok(keepSameTime(actual, expected), `got ${actual}, expected ${expected}`);
+        });
+    });
+
+    test('falls back to the UTC offset of the longitude outside the known regions', () => {
+        assert.equal(getTimeZone(-20, -150), 'Etc/GMT+10');
+        assert.equal(getTimeZone(-10, 5), 'Etc/GMT');
+        assert.equal(getTimeZone(-60, 179), 'Etc/GMT-12');
+    });
+});
+
+describe('getLocalDateTime', () => {
+    test('reads the local date, weekday and minutes of a moment', () => {
+        // Sunday 01:30 in Lisbon is still Saturday in New York
+        const date = new Date('2026-10-25T00:30:00Z');
+        assert.deepEqual(getLocalDateTime(date, 'Europe/Lisbon'),
+            { year: 2026, month: 10, day: 25, weekday: 6, minutes: 90 });
+        assert.deepEqual(getLocalDateTime(date, 'America/New_York'),
+            { year: 2026, month: 10, day: 24, weekday: 5, minutes: 20 * 60 + 30 });
+    });
+});